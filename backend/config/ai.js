@@ -0,0 +1,46 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const SUPPORTED_PROVIDERS = ['gemini', 'openai', 'fixture'];
+
+// Resolve which AI provider to use and its settings from the environment.
+// Falls back to the offline fixture provider when no API key is configured.
+export const getAIConfig = () => {
+  const requested = (process.env.AI_PROVIDER || '').trim().toLowerCase();
+
+  let provider = requested;
+  if (!provider) {
+    if (process.env.GEMINI_API_KEY) {
+      provider = 'gemini';
+    } else if (process.env.OPENAI_API_KEY) {
+      provider = 'openai';
+    } else {
+      provider = 'fixture';
+    }
+  }
+
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unsupported AI_PROVIDER "${requested}". Expected one of: ${SUPPORTED_PROVIDERS.join(', ')}`
+    );
+  }
+
+  return {
+    provider,
+    // Total tries per generation, including re-prompts to repair invalid output
+    maxAttempts: parseInt(process.env.AI_MAX_ATTEMPTS, 10) || 3,
+    // Syllabi longer than this many characters are processed in chunks
+    chunkSize: parseInt(process.env.AI_CHUNK_SIZE, 10) || 6000,
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-pro'
+    },
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      timeout: parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 60000
+    }
+  };
+};
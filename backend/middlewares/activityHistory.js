@@ -0,0 +1,13 @@
+import { ensureActivityBackfilled } from '../utils/activityLog.js';
+
+// Recreate the user's history from before the activity log existed ahead of
+// the first request that reads it. A failure is reported but doesn't fail the
+// request; it is retried on the next one.
+export const backfillActivityHistory = async (req, res, next) => {
+  try {
+    await ensureActivityBackfilled(req.user._id);
+  } catch (error) {
+    console.error('Activity backfill error:', error);
+  }
+  next();
+};
@@ -0,0 +1,55 @@
+import multer from 'multer';
+import {
+  SYLLABUS_FILE_TYPES,
+  isSupportedSyllabusFile,
+  extractSyllabusText
+} from '../utils/syllabusExtractor.js';
+
+const MAX_SYLLABUS_FILE_SIZE = 10 * 1024 * 1024; // 10MB, same as the JSON body limit
+
+const syllabusUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SYLLABUS_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!isSupportedSyllabusFile(file)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept an optional `syllabusFile` multipart upload and put its text in req.body.syllabus.
+// JSON requests pass straight through, so the same route serves both.
+export const uploadSyllabusFile = (req, res, next) => {
+  syllabusUpload.single('syllabusFile')(req, res, async (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ message: 'Syllabus file cannot exceed 10MB' });
+      }
+      return res.status(400).json({
+        message: `Unsupported syllabus file. Allowed types: ${Object.keys(SYLLABUS_FILE_TYPES).join(', ')}`
+      });
+    }
+    if (err) {
+      return next(err);
+    }
+
+    if (!req.file) {
+      return next();
+    }
+
+    try {
+      const text = await extractSyllabusText(req.file);
+
+      if (text.length < 10) {
+        return res.status(400).json({ message: 'Could not extract enough text from the syllabus file' });
+      }
+
+      req.body.syllabus = text;
+      next();
+    } catch (error) {
+      console.error('Syllabus file extraction error:', error);
+      res.status(400).json({ message: 'Failed to read the syllabus file' });
+    }
+  });
+};
@@ -1,4 +1,5 @@
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
+import { isClozeText } from '../utils/cloze.js';
 
 export const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
@@ -76,17 +77,200 @@ export const validateSubject = [
   validateRequest
 ];
 
+// Topic tree validation rules
+export const validateTopic = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Topic name must be between 1 and 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+
+  body('estimatedTime')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Estimated time must be a positive number of minutes'),
+
+  body('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium, or hard'),
+
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent ID must be a valid topic ID'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer'),
+
+  validateRequest
+];
+
+export const validateTopicMove = [
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent ID must be a valid topic ID'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer'),
+
+  validateRequest
+];
+
+export const validateTopicReorder = [
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent ID must be a valid topic ID'),
+
+  body('orderedIds')
+    .isArray({ min: 1 })
+    .withMessage('orderedIds must be a non-empty array'),
+
+  body('orderedIds.*')
+    .isMongoId()
+    .withMessage('Each ordered ID must be a valid topic ID'),
+
+  validateRequest
+];
+
+export const validateTopicUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Topic name must be between 1 and 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+
+  body('estimatedTime')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Estimated time must be a positive number of minutes'),
+
+  body('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium, or hard'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Notes cannot exceed 5000 characters'),
+
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be true or false')
+    .toBoolean(),
+
+  validateRequest
+];
+
+export const validateTopicBulkUpdate = [
+  body('updates')
+    .optional()
+    .isArray()
+    .withMessage('updates must be an array'),
+
+  body('updates.*.id')
+    .isMongoId()
+    .withMessage('Each update must have a valid topic ID'),
+
+  body('updates.*.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Topic name must be between 1 and 200 characters'),
+
+  body('updates.*.description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+
+  body('updates.*.estimatedTime')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Estimated time must be a positive number of minutes'),
+
+  body('updates.*.difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium, or hard'),
+
+  body('updates.*.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Notes cannot exceed 5000 characters'),
+
+  body('updates.*.completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be true or false')
+    .toBoolean(),
+
+  body('deleteIds')
+    .optional()
+    .isArray()
+    .withMessage('deleteIds must be an array'),
+
+  body('deleteIds.*')
+    .isMongoId()
+    .withMessage('Each deleted ID must be a valid topic ID'),
+
+  body()
+    .custom(value => (value.updates?.length || 0) + (value.deleteIds?.length || 0) > 0)
+    .withMessage('Provide at least one update or deleted topic'),
+
+  validateRequest
+];
+
 // Flashcard validation rules
 export const validateFlashcard = [
+  body('type')
+    .optional()
+    .isIn(['basic', 'cloze'])
+    .withMessage('Type must be basic or cloze'),
+
+  body('direction')
+    .optional()
+    .isIn(['forward', 'reverse', 'both'])
+    .withMessage('Direction must be forward, reverse or both'),
+
   body('question')
+    .if(body('type').not().equals('cloze'))
     .trim()
     .isLength({ min: 5 })
     .withMessage('Question must be at least 5 characters long'),
   
   body('answer')
+    .if(body('type').not().equals('cloze'))
     .trim()
     .isLength({ min: 1 })
     .withMessage('Answer is required'),
+
+  body('clozeText')
+    .if(body('type').equals('cloze'))
+    .trim()
+    .custom(value => isClozeText(value))
+    .withMessage('Cloze text must contain at least one deletion like {{c1::term}}'),
   
   body('topic')
     .trim()
@@ -101,6 +285,26 @@ export const validateFlashcard = [
   validateRequest
 ];
 
+export const validateFlashcardScheduler = [
+  body('algorithm')
+    .optional()
+    .isIn(['sm2', 'fsrs'])
+    .withMessage('Algorithm must be sm2 or fsrs'),
+
+  body('desiredRetention')
+    .optional()
+    .isFloat({ min: 0.7, max: 0.97 })
+    .withMessage('Desired retention must be between 0.7 and 0.97'),
+
+  body('resetParameters')
+    .optional()
+    .isBoolean()
+    .withMessage('resetParameters must be true or false')
+    .toBoolean(),
+
+  validateRequest
+];
+
 // Quiz validation rules
 export const validateQuiz = [
   body('title')
@@ -147,6 +351,176 @@ export const validateStudyPlan = [
   validateRequest
 ];
 
+const WEEKDAY_NAMES = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+export const validateStudySchedule = [
+  body('weeklyAvailability')
+    .optional()
+    .isObject()
+    .withMessage('Weekly availability must be an object of minutes per weekday')
+    .custom(value => Object.keys(value).every(day => WEEKDAY_NAMES.includes(day)))
+    .withMessage(`Weekly availability days must be one of: ${WEEKDAY_NAMES.join(', ')}`),
+
+  body('weeklyAvailability.*')
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Available minutes must be between 0 and 1440'),
+
+  body('blackoutDates')
+    .optional()
+    .isArray({ max: 366 })
+    .withMessage('Blackout dates must be an array'),
+
+  body('blackoutDates.*.date')
+    .isISO8601()
+    .withMessage('Each blackout date must be a valid date'),
+
+  body('blackoutDates.*.reason')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reason cannot exceed 100 characters'),
+
+  body('maxSessionMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Max session length must be between 15 and 480 minutes'),
+
+  validateRequest
+];
+
+// Scheduler options shared by study plan generation and regeneration
+const studyPlanOptionRules = [
+  body('dailyMinutes')
+    .optional()
+    .isInt({ min: 15, max: 720 })
+    .withMessage('Daily minutes must be between 15 and 720'),
+
+  body('revisionDays')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Revision days must be between 0 and 60'),
+
+  body('enrichDescriptions')
+    .optional()
+    .isBoolean()
+    .withMessage('enrichDescriptions must be true or false')
+    .toBoolean()
+];
+
+export const validateStudyPlanGeneration = [
+  body('subjectId')
+    .isMongoId()
+    .withMessage('Valid subject ID is required'),
+
+  ...studyPlanOptionRules,
+
+  validateRequest
+];
+
+export const validateStudyPlanRegeneration = [
+  ...studyPlanOptionRules,
+
+  validateRequest
+];
+
+export const validateStudyPlanDiff = [
+  query('against')
+    .optional()
+    .isMongoId()
+    .withMessage('Version to compare with must be a valid ID'),
+
+  validateRequest
+];
+
+// Study session validation rules
+export const validateStudySessionStart = [
+  body('targetType')
+    .isIn(['task', 'topic', 'flashcards', 'quiz'])
+    .withMessage('Target type must be one of: task, topic, flashcards, quiz'),
+
+  body(['studyPlanId', 'taskId', 'subjectId', 'topicId', 'quizId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Target IDs must be valid IDs'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  validateRequest
+];
+
+// Pause and stop may say when studying ended, e.g. when the client's timer ran
+// out earlier than the request
+export const validateStudySessionPause = [
+  body('endedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid date'),
+
+  validateRequest
+];
+
+export const validateStudySessionStop = [
+  body('endedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid date'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  validateRequest
+];
+
+// Combined study calendar validation rules
+export const validateCalendarQuery = [
+  query('view')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('View must be one of: day, week, month'),
+
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+
+  validateRequest
+];
+
+export const validateAnalyticsRange = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 366 })
+    .withMessage('Days must be between 1 and 366'),
+
+  query('weeks')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Weeks must be between 1 and 52'),
+
+  query('subjectId')
+    .optional()
+    .isMongoId()
+    .withMessage('Subject ID must be valid'),
+
+  validateRequest
+];
+
+export const validateCalendarExport = [
+  query('start')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Start time must be in HH:MM format'),
+
+  validateRequest
+];
+
 // Generic ID validation
 export const validateId = [
   body('id')
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+// Append-only log of what users did. Analytics are computed from these
+// events, so they are never edited: corrections (e.g. un-completing a task)
+// are recorded as new events.
+export const ACTIVITY_TYPES = [
+  'task_completed',
+  'task_reopened',
+  'topic_completed',
+  'topic_reopened',
+  'card_reviewed',
+  'card_review_undone',
+  'quiz_started',
+  'quiz_answered',
+  'quiz_completed',
+  'session_ended'
+];
+
+// Event types that count as studying for streaks
+export const STUDY_ACTIVITY_TYPES = ['task_completed', 'card_reviewed', 'quiz_completed', 'session_ended'];
+
+const activityEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ACTIVITY_TYPES,
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  },
+  // What the event is about; only the fields for its type are set
+  studyPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudyPlan'
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId // StudyPlan dailyTasks entry
+  },
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId // Subject topics entry
+  },
+  topic: {
+    type: String, // topic name, as flashcards and quiz questions only store names
+    trim: true
+  },
+  flashcard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flashcard'
+  },
+  // Review log entry of a card_reviewed event; a card_review_undone event
+  // with the same reviewLog cancels the review
+  reviewLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReviewLog'
+  },
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  },
+  attemptId: {
+    type: mongoose.Schema.Types.ObjectId // Quiz attempts entry
+  },
+  questionIndex: {
+    type: Number // quiz_answered question; a later answer replaces an earlier one
+  },
+  studySession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudySession'
+  },
+  // Outcome of the event
+  minutes: {
+    type: Number // time studied (session_ended, quiz_completed)
+  },
+  quality: {
+    type: Number, // flashcard review grade, 0-5
+    min: 0,
+    max: 5
+  },
+  correct: {
+    type: Boolean // card recalled (quality >= 3) or quiz answer right
+  },
+  percentage: {
+    type: Number // quiz_completed score
+  },
+  // Set for events recreated from data stored before the log existed
+  backfilled: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+activityEventSchema.index({ user: 1, occurredAt: -1 });
+activityEventSchema.index({ user: 1, type: 1, occurredAt: -1 });
+activityEventSchema.index({ reviewLog: 1 }, { sparse: true });
+
+// Enforce append-only: existing events can't be saved again or updated
+activityEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Activity events cannot be modified'));
+  }
+  next();
+});
+
+activityEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Activity events cannot be modified'));
+});
+
+export default mongoose.model('ActivityEvent', activityEventSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { SM2Scheduler } from '../utils/scheduling/sm2Scheduler.js';
 
 const flashcardSchema = new mongoose.Schema({
   user: {
@@ -15,7 +16,13 @@ const flashcardSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Question is required'],
     trim: true,
-    minlength: [5, 'Question must be at least 5 characters long']
+    // Reverse cards ask with the answer of their forward card, which may be short
+    validate: {
+      validator: function(value) {
+        return this.direction === 'reverse' || value.length >= 5;
+      },
+      message: 'Question must be at least 5 characters long'
+    }
   },
   answer: {
     type: String,
@@ -23,11 +30,50 @@ const flashcardSchema = new mongoose.Schema({
     trim: true,
     minlength: [1, 'Answer must be at least 1 character long']
   },
+  // basic: question/answer. cloze: question and answer are rendered from
+  // clozeText for the deletion clozeIndex (see utils/cloze.js)
+  type: {
+    type: String,
+    enum: ['basic', 'cloze'],
+    default: 'basic'
+  },
+  clozeText: {
+    type: String,
+    trim: true
+  },
+  clozeIndex: {
+    type: Number,
+    min: 1
+  },
+  // basic cards only: a reverse card asks with the forward card's answer
+  direction: {
+    type: String,
+    enum: ['forward', 'reverse'],
+    default: 'forward'
+  },
+  // Cards created from the same note (the deletions of one cloze text, or
+  // the two directions of a basic card) share a noteId; each keeps its own
+  // reviewData
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Set when a sibling is reviewed so the note isn't reviewed twice a day;
+  // the card isn't due before then
+  buriedUntil: {
+    type: Date,
+    default: null
+  },
   topic: {
     type: String,
     required: true,
     trim: true
   },
+  // Subject topic matched from `topic` (see findTopicId), used for mastery
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   difficulty: {
     type: String,
     enum: ['easy', 'medium', 'hard'],
@@ -74,6 +120,28 @@ const flashcardSchema = new mongoose.Schema({
     reviewCount: {
       type: Number,
       default: 0
+    },
+    // Scheduler that last wrote this reviewData (see utils/scheduling)
+    scheduler: {
+      type: String,
+      enum: ['sm2', 'fsrs'],
+      default: 'sm2'
+    },
+    lastReview: {
+      type: Date
+    },
+    // FSRS memory state; null until the card is reviewed under FSRS
+    stability: {
+      type: Number,
+      default: null
+    },
+    difficulty: {
+      type: Number,
+      default: null
+    },
+    lapses: {
+      type: Number,
+      default: 0
     }
   },
   aiGenerated: {
@@ -88,48 +156,43 @@ const flashcardSchema = new mongoose.Schema({
   timestamps: true
 });
 
+flashcardSchema.index({ noteId: 1 });
+
 // Calculate success rate
 flashcardSchema.virtual('successRate').get(function() {
   if (this.stats.timesReviewed === 0) return 0;
   return Math.round((this.stats.correctAnswers / this.stats.timesReviewed) * 100);
 });
 
+flashcardSchema.virtual('isBuried').get(function() {
+  return !!this.buriedUntil && new Date() < this.buriedUntil;
+});
+
 // Check if card is due for review
 flashcardSchema.virtual('isDue').get(function() {
-  return new Date() >= this.reviewData.nextReview;
+  return new Date() >= this.reviewData.nextReview && !this.isBuried;
 });
 
-// Update review data (spaced repetition algorithm)
-flashcardSchema.methods.updateReviewData = function(quality) {
-  // quality: 0-5 (0 = wrong, 5 = perfect)
+// Update review data with a spaced repetition scheduler (SM-2 unless the
+// user chose otherwise). quality: 0-5 (0 = wrong, 5 = perfect)
+flashcardSchema.methods.updateReviewData = function(quality, scheduler = new SM2Scheduler()) {
+  const now = new Date();
+  const lastReview = this.reviewData.lastReview || this.stats.lastReviewed;
+
+  if (this.reviewData.scheduler !== scheduler.name) {
+    scheduler.migrate(this.reviewData, { now, stats: this.stats });
+  }
+
   this.stats.timesReviewed += 1;
-  this.stats.lastReviewed = new Date();
-  this.reviewData.reviewCount += 1;
-  
+  this.stats.lastReviewed = now;
   if (quality >= 3) {
     this.stats.correctAnswers += 1;
-    
-    if (this.reviewData.reviewCount === 1) {
-      this.reviewData.interval = 1;
-    } else if (this.reviewData.reviewCount === 2) {
-      this.reviewData.interval = 6;
-    } else {
-      this.reviewData.interval = Math.round(this.reviewData.interval * this.reviewData.easeFactor);
-    }
-    
-    this.reviewData.easeFactor = this.reviewData.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
   } else {
     this.stats.incorrectAnswers += 1;
-    this.reviewData.reviewCount = 0;
-    this.reviewData.interval = 1;
-  }
-  
-  if (this.reviewData.easeFactor < 1.3) {
-    this.reviewData.easeFactor = 1.3;
   }
-  
-  this.reviewData.nextReview = new Date(Date.now() + this.reviewData.interval * 24 * 60 * 60 * 1000);
-  
+
+  scheduler.review(this.reviewData, quality, { now, lastReview });
+
   return this.save();
 };
 
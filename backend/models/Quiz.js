@@ -51,6 +51,11 @@ const quizSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
+    // Subject topic matched from `topic` (see findTopicId), used for mastery
+    topicId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
     points: {
       type: Number,
       default: 1
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// One entry per flashcard review, with the card's scheduling state before
+// and after it. Used to re-fit scheduler parameters and to undo a review.
+// Undone reviews are kept but flagged, and ignored everywhere else.
+
+// Copy of Flashcard.reviewData at one point in time
+const reviewStateSchema = new mongoose.Schema({
+  scheduler: String,
+  interval: Number, // in days
+  easeFactor: Number,
+  reviewCount: Number,
+  nextReview: Date,
+  lastReview: Date,
+  stability: Number,
+  difficulty: Number,
+  lapses: Number
+}, { _id: false });
+
+const reviewLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  flashcard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flashcard',
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  },
+  reviewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  quality: {
+    type: Number, // 0-5 (0 = wrong, 5 = perfect)
+    required: true,
+    min: 0,
+    max: 5
+  },
+  responseTime: {
+    type: Number, // in seconds
+    default: null
+  },
+  // Days since the card's previous review; null for its first review
+  elapsedDays: {
+    type: Number,
+    default: null
+  },
+  previous: reviewStateSchema,
+  next: reviewStateSchema,
+  // Flashcard.stats before the review, restored on undo
+  previousStats: {
+    timesReviewed: Number,
+    correctAnswers: Number,
+    incorrectAnswers: Number,
+    lastReviewed: Date,
+    averageResponseTime: Number
+  },
+  // Siblings of the card buried by this review, unburied on undo
+  buriedSiblings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flashcard'
+  }],
+  undone: {
+    type: Boolean,
+    default: false
+  },
+  undoneAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+reviewLogSchema.index({ user: 1, reviewedAt: -1 });
+reviewLogSchema.index({ flashcard: 1, reviewedAt: -1 });
+
+export default mongoose.model('ReviewLog', reviewLogSchema);
@@ -47,6 +47,14 @@ const studyPlanSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
+    topicId: {
+      type: mongoose.Schema.Types.ObjectId // Subject topic this task covers (study tasks)
+    },
+    type: {
+      type: String,
+      enum: ['study', 'revision'],
+      default: 'study'
+    },
     description: {
       type: String,
       trim: true
@@ -55,6 +63,9 @@ const studyPlanSchema = new mongoose.Schema({
       type: String, // e.g., "2 hours", "90 minutes"
       required: true
     },
+    estimatedMinutes: {
+      type: Number
+    },
     difficulty: {
       type: String,
       enum: ['easy', 'medium', 'hard'],
@@ -74,6 +85,14 @@ const studyPlanSchema = new mongoose.Schema({
     actualTimeSpent: {
       type: Number, // in minutes
       default: 0
+    },
+    // Set when an overdue task is moved by a rebalance
+    originalDate: {
+      type: Date
+    },
+    rescheduledCount: {
+      type: Number,
+      default: 0
     }
   }],
   progress: {
@@ -103,9 +122,61 @@ const studyPlanSchema = new mongoose.Schema({
   },
   generatedBy: {
     type: String,
-    enum: ['user', 'ai'],
+    enum: ['user', 'ai', 'scheduler'],
     default: 'ai'
   },
+  // Scheduler inputs, kept so the plan can be rebuilt the same way
+  settings: {
+    dailyMinutes: {
+      type: Number
+    },
+    revisionDays: {
+      type: Number
+    }
+  },
+  // Versioning: each subject has one current plan (archivedAt null) and
+  // any number of archived earlier versions
+  version: {
+    type: Number,
+    default: 1
+  },
+  basedOn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudyPlan' // version this one was regenerated from
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Rebalance runs that moved overdue tasks (see utils/planRebalancer.js)
+  rescheduleHistory: [{
+    runAt: {
+      type: Date,
+      default: Date.now
+    },
+    trigger: {
+      type: String,
+      enum: ['manual', 'nightly', 'calendar'],
+      default: 'manual'
+    },
+    moves: [{
+      taskId: {
+        type: mongoose.Schema.Types.ObjectId
+      },
+      topic: {
+        type: String
+      },
+      fromDate: {
+        type: Date
+      },
+      toDate: {
+        type: Date
+      }
+    }],
+    warnings: [{
+      type: String
+    }]
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -114,6 +185,8 @@ const studyPlanSchema = new mongoose.Schema({
   timestamps: true
 });
 
+studyPlanSchema.index({ user: 1, subject: 1, version: -1 });
+
 // Calculate progress before saving
 studyPlanSchema.pre('save', function(next) {
   if (this.dailyTasks && this.dailyTasks.length > 0) {
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+const studySessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  // What was studied: a study plan task, a subject topic, a flashcard
+  // review of the subject's deck, or a quiz
+  targetType: {
+    type: String,
+    enum: ['task', 'topic', 'flashcards', 'quiz'],
+    required: true
+  },
+  studyPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudyPlan'
+  },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId // StudyPlan dailyTasks entry
+  },
+  topicId: {
+    type: mongoose.Schema.Types.ObjectId // Subject topics entry
+  },
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'paused', 'completed'],
+    default: 'running'
+  },
+  // Time actually spent studying; pauses fall between segments
+  segments: [{
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    endedAt: {
+      type: Date
+    }
+  }],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date
+  },
+  duration: {
+    type: Number, // in seconds, across closed segments
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+studySessionSchema.index({ user: 1, status: 1 });
+studySessionSchema.index({ user: 1, startedAt: -1 });
+
+// Seconds studied so far, including the segment still running
+studySessionSchema.methods.getElapsedSeconds = function(now = new Date()) {
+  const open = this.segments.find(segment => !segment.endedAt);
+  return this.duration + (open ? Math.max(0, Math.round((now - open.startedAt) / 1000)) : 0);
+};
+
+const closeSegment = (session, now) => {
+  const open = session.segments.find(segment => !segment.endedAt);
+  if (open) {
+    open.endedAt = now;
+    session.duration += Math.max(0, Math.round((now - open.startedAt) / 1000));
+  }
+};
+
+studySessionSchema.methods.pause = function(now = new Date()) {
+  closeSegment(this, now);
+  this.status = 'paused';
+};
+
+studySessionSchema.methods.resume = function(now = new Date()) {
+  this.segments.push({ startedAt: now });
+  this.status = 'running';
+};
+
+studySessionSchema.methods.stop = function(now = new Date()) {
+  closeSegment(this, now);
+  this.status = 'completed';
+  this.endedAt = now;
+};
+
+export default mongoose.model('StudySession', studySessionSchema);
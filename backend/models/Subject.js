@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { rollUpTopics } from '../utils/topicTree.js';
 
 const subjectSchema = new mongoose.Schema({
   name: {
@@ -17,6 +18,25 @@ const subjectSchema = new mongoose.Schema({
     required: [true, 'Syllabus content is required'],
     minlength: [10, 'Syllabus must be at least 10 characters long']
   },
+  syllabusFile: {
+    originalName: {
+      type: String,
+      trim: true
+    },
+    mimeType: {
+      type: String
+    },
+    size: {
+      type: Number // in bytes
+    },
+    data: {
+      type: Buffer,
+      select: false
+    },
+    uploadedAt: {
+      type: Date
+    }
+  },
   examDate: {
     type: Date,
     required: [true, 'Exam date is required'],
@@ -61,8 +81,51 @@ const subjectSchema = new mongoose.Schema({
     notes: {
       type: String,
       trim: true
+    },
+    // Tree structure: topics form units -> topics -> subtopics via parent links
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    order: {
+      type: Number,
+      default: 0
+    },
+    // Set when a syllabus re-extraction no longer contains this topic;
+    // kept so completion state and notes are not lost
+    removedFromSyllabus: {
+      type: Boolean,
+      default: false
+    },
+    removedAt: {
+      type: Date
+    },
+    // Roll-ups maintained by the pre('save') hook
+    level: {
+      type: Number,
+      default: 0
+    },
+    totalEstimatedTime: {
+      type: Number, // in minutes, own time for leaves or sum of children
+      default: 0
+    },
+    progress: {
+      type: Number, // percentage of leaf topics below this node completed
+      default: 0
     }
   }],
+  // Re-extracted topics awaiting the user's approval (see POST /:id/topics/reextract)
+  pendingTopicUpdate: {
+    topics: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    diff: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    createdAt: {
+      type: Date
+    }
+  },
   progress: {
     totalTopics: {
       type: Number,
@@ -76,6 +139,14 @@ const subjectSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    totalEstimatedTime: {
+      type: Number, // in minutes, across all leaf topics
+      default: 0
+    },
+    totalStudyTime: {
+      type: Number, // in minutes, from completed study sessions
+      default: 0
+    },
     lastStudied: {
       type: Date
     }
@@ -106,15 +177,17 @@ const subjectSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Calculate progress before saving
+// Roll up topic tree and calculate progress before saving.
+// Only leaf topics count towards progress; parents mirror their children.
+// A subject without topics rolls up to zeros.
 subjectSchema.pre('save', function(next) {
-  if (this.topics && this.topics.length > 0) {
-    this.progress.totalTopics = this.topics.length;
-    this.progress.completedTopics = this.topics.filter(topic => topic.completed).length;
-    this.progress.completionPercentage = Math.round(
-      (this.progress.completedTopics / this.progress.totalTopics) * 100
-    );
-  }
+  const totals = rollUpTopics(this.topics);
+  this.progress.totalTopics = totals.leaves;
+  this.progress.completedTopics = totals.completedLeaves;
+  this.progress.totalEstimatedTime = totals.estimatedTime;
+  this.progress.completionPercentage = totals.leaves > 0
+    ? Math.round((this.progress.completedTopics / this.progress.totalTopics) * 100)
+    : 0;
   next();
 });
 
@@ -59,17 +59,130 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['light', 'dark', 'system'],
       default: 'light'
+    },
+    // Time the study plan scheduler may use (see utils/studyScheduler.js)
+    studySchedule: {
+      // Minutes available per weekday; 0 means no studying that day
+      weeklyAvailability: {
+        monday: {
+          type: Number,
+          min: 0,
+          max: 1440,
+          default: 120
+        },
+        tuesday: {
+          type: Number,
+          min: 0,
+          max: 1440,
+          default: 120
+        },
+        wednesday: {
+          type: Number,
+          min: 0,
+          max: 1440,
+          default: 120
+        },
+        thursday: {
+          type: Number,
+          min: 0,
+          max: 1440,
+          default: 120
+        },
+        friday: {
+          type: Number,
+          min: 0,
+          max: 1440,
+          default: 120
+        },
+        saturday: {
+          type: Number,
+          min: 0,
+          max: 1440,
+          default: 120
+        },
+        sunday: {
+          type: Number,
+          min: 0,
+          max: 1440,
+          default: 120
+        }
+      },
+      // Days with no studying at all (holidays, other exams)
+      blackoutDates: [{
+        date: {
+          type: Date,
+          required: true
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [100, 'Reason cannot exceed 100 characters']
+        }
+      }],
+      maxSessionMinutes: {
+        type: Number, // longest single study session; unset means no limit
+        min: 15,
+        max: 480
+      }
+    },
+    // Flashcard spaced repetition (see utils/scheduling)
+    flashcardScheduler: {
+      algorithm: {
+        type: String,
+        enum: ['sm2', 'fsrs'],
+        default: 'sm2'
+      },
+      // Recall probability FSRS schedules reviews for
+      desiredRetention: {
+        type: Number,
+        min: 0.7,
+        max: 0.97,
+        default: 0.9
+      },
+      // FSRS weights fitted to the user's reviews; empty means the defaults
+      parameters: [Number],
+      optimizedAt: Date,
+      optimizedReviews: {
+        type: Number,
+        default: 0
+      }
     }
   },
   studyStats: {
     totalStudyTime: {
-      type: Number,
+      type: Number, // in minutes
       default: 0
     },
+    // Streak state maintained by utils/streakService.js; days are
+    // "YYYY-MM-DD" in the user's profile.timezone
     streak: {
       type: Number,
       default: 0
     },
+    longestStreak: {
+      type: Number,
+      default: 0
+    },
+    lastActiveDay: {
+      type: String
+    },
+    streakStartDay: {
+      type: String
+    },
+    streakFreezes: {
+      type: Number, // missed days that can be covered without losing the streak
+      default: 0
+    },
+    freezesUsed: {
+      type: Number, // freezes spent on the current streak
+      default: 0
+    },
+    streakHistory: [{
+      startDay: String,
+      endDay: String,
+      length: Number,
+      freezesUsed: Number
+    }],
     completedTasks: {
       type: Number,
       default: 0
@@ -79,6 +192,18 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   },
+  // Secret part of the calendar subscription URL (see routes/calendar.js)
+  calendarFeedToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // When history from before the activity log existed was recreated in it
+  // (see utils/activityLog.js)
+  activityBackfilledAt: {
+    type: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -119,6 +244,7 @@ userSchema.methods.updateLastLogin = function() {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.calendarFeedToken;
   return user;
 };
 
@@ -1,9 +1,10 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { validateUserRegistration, validateUserLogin } from '../middlewares/validation.js';
+import { validateUserRegistration, validateUserLogin, validateStudySchedule } from '../middlewares/validation.js';
 import { authenticateToken } from '../middlewares/auth.js';
 import { sendWelcomeEmail } from '../utils/emailService.js';
+import { isValidTimezone, rebuildStreak } from '../utils/streakService.js';
 
 const router = express.Router();
 
@@ -145,7 +146,13 @@ router.patch('/profile', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Invalid update fields' });
     }
 
-    const user = await User.findById(req.user.id);
+    const timezone = req.body.profile?.timezone;
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
+    let user = await User.findById(req.user.id);
+    const timezoneChanged = timezone !== undefined && timezone !== user.profile.timezone;
     updates.forEach(update => {
       if (update === 'profile' || update === 'preferences') {
         user[update] = { ...user[update], ...req.body[update] };
@@ -156,6 +163,12 @@ router.patch('/profile', authenticateToken, async (req, res) => {
 
     await user.save();
 
+    // Streak days are calendar days in the user's timezone, so recount them
+    if (timezoneChanged) {
+      await rebuildStreak(user._id);
+      user = await User.findById(user._id);
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: {
@@ -176,6 +189,69 @@ router.patch('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// Get study availability used for study plan generation
+router.get('/study-schedule', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    res.json({ studySchedule: user.preferences.studySchedule });
+  } catch (error) {
+    console.error('Get study schedule error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get study schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update study availability. Weekdays are merged, blackoutDates replaces the
+// list and a null maxSessionMinutes removes the limit.
+router.patch('/study-schedule', authenticateToken, validateStudySchedule, async (req, res) => {
+  try {
+    const allowedUpdates = ['weeklyAvailability', 'blackoutDates', 'maxSessionMinutes'];
+    const updates = Object.keys(req.body);
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({ message: 'Invalid update fields' });
+    }
+
+    const user = await User.findById(req.user.id);
+    const { studySchedule } = user.preferences;
+    const { weeklyAvailability, blackoutDates, maxSessionMinutes } = req.body;
+
+    if (weeklyAvailability) {
+      Object.entries(weeklyAvailability).forEach(([day, minutes]) => {
+        studySchedule.weeklyAvailability[day] = Number(minutes);
+      });
+    }
+
+    // Only the calendar day matters; keep it as UTC midnight whatever time
+    // or offset the client sent
+    if (blackoutDates) {
+      studySchedule.blackoutDates = blackoutDates
+        .map(({ date, reason }) => ({ date: new Date(`${date.slice(0, 10)}T00:00:00.000Z`), reason }))
+        .sort((a, b) => a.date - b.date);
+    }
+
+    if (maxSessionMinutes !== undefined) {
+      studySchedule.maxSessionMinutes = maxSessionMinutes === null ? undefined : Number(maxSessionMinutes);
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Study schedule updated successfully',
+      studySchedule: user.preferences.studySchedule
+    });
+  } catch (error) {
+    console.error('Study schedule update error:', error);
+    res.status(500).json({ 
+      message: 'Failed to update study schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Change password
 router.patch('/change-password', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,211 @@
+import express from 'express';
+import crypto from 'crypto';
+import StudyPlan from '../models/StudyPlan.js';
+import Subject from '../models/Subject.js';
+import User from '../models/User.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { validateCalendarQuery, validateCalendarExport } from '../middlewares/validation.js';
+import { scheduleOptionsFor, countDaysUntil } from '../utils/studyScheduler.js';
+import { getCalendarRange, planAcrossSubjects, buildCalendarDays } from '../utils/combinedPlanner.js';
+import { moveTask, recordReschedule } from '../utils/planRebalancer.js';
+import { buildICalendar, studyTaskEvents, examEvents } from '../utils/icalendar.js';
+
+const router = express.Router();
+
+// Combined schedule for all of the user's active study plans
+const buildCombinedSchedule = async (userId) => {
+  const user = await User.findById(userId);
+  const { maxSessionMinutes, ...calendarOptions } = scheduleOptionsFor(user);
+
+  const studyPlans = await StudyPlan.find({
+    user: userId,
+    isActive: true,
+    archivedAt: null
+  }).populate('subject', 'name examDate isActive');
+
+  const activePlans = studyPlans.filter(plan => plan.subject && plan.subject.isActive);
+
+  return {
+    studyPlans: activePlans,
+    schedule: planAcrossSubjects(activePlans, calendarOptions)
+  };
+};
+
+const feedUrl = (req, token) => {
+  const baseUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/calendar/feed/${token}.ics`;
+};
+
+// Get the combined study calendar for a day, week or month
+router.get('/', authenticateToken, validateCalendarQuery, async (req, res) => {
+  try {
+    const view = req.query.view || 'week';
+    const { from, to } = getCalendarRange(view, req.query.date ? new Date(req.query.date) : new Date());
+
+    const { studyPlans, schedule } = await buildCombinedSchedule(req.user.id);
+    const subjects = await Subject.find({
+      user: req.user.id,
+      isActive: true
+    }).select('name examDate');
+
+    const days = buildCalendarDays(studyPlans, subjects, schedule, { from, to });
+
+    res.json({
+      view,
+      from,
+      to,
+      days,
+      summary: {
+        totalMinutes: days.reduce((sum, day) => sum + day.totalMinutes, 0),
+        tasks: days.reduce((sum, day) => sum + day.tasks.length, 0),
+        exams: days.reduce((sum, day) => sum + day.exams.length, 0),
+        overloadedDays: days.filter(day => day.capacity !== null && day.totalMinutes > day.capacity).length
+      },
+      warnings: schedule.warnings
+    });
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get study calendar',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Move every plan's unfinished tasks to the dates in the combined schedule
+router.post('/apply', authenticateToken, async (req, res) => {
+  try {
+    const { studyPlans, schedule } = await buildCombinedSchedule(req.user.id);
+    let movedTasks = 0;
+
+    for (const plan of studyPlans) {
+      const moves = [];
+
+      for (const { task, date } of schedule.placements.filter(placement => placement.plan === plan)) {
+        if (countDaysUntil(date, task.date) === 0) continue;
+
+        moves.push({ taskId: task._id, topic: task.topic, fromDate: task.date, toDate: date });
+        moveTask(task, date);
+      }
+
+      if (moves.length === 0) continue;
+
+      recordReschedule(plan, { trigger: 'calendar', moves, warnings: schedule.warnings });
+      await plan.save();
+      movedTasks += moves.length;
+    }
+
+    res.json({
+      message: movedTasks > 0
+        ? `Moved ${movedTasks} tasks to fit the combined schedule`
+        : 'Study plans already match the combined schedule',
+      movedTasks,
+      warnings: schedule.warnings
+    });
+  } catch (error) {
+    console.error('Apply calendar error:', error);
+    res.status(500).json({ 
+      message: 'Failed to apply combined schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the user's calendar subscription URL (null until one is created)
+router.get('/feed', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarFeedToken');
+
+    res.json({
+      feedUrl: user.calendarFeedToken ? feedUrl(req, user.calendarFeedToken) : null
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Create the subscription URL, or replace it so the old one stops working
+router.post('/feed', authenticateToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.findByIdAndUpdate(req.user.id, { calendarFeedToken: token });
+
+    res.json({
+      message: 'Calendar feed URL created',
+      feedUrl: feedUrl(req, token)
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ 
+      message: 'Failed to create calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Turn the subscription URL off
+router.delete('/feed', authenticateToken, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $unset: { calendarFeedToken: 1 } });
+
+    res.json({ message: 'Calendar feed disabled' });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({ 
+      message: 'Failed to disable calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Subscription feed for calendar apps. The token in the URL is the only
+// credential, so this route is not behind authenticateToken.
+router.get('/feed/:token.ics', validateCalendarExport, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      calendarFeedToken: req.params.token,
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const studyPlans = await StudyPlan.find({
+      user: user._id,
+      isActive: true,
+      archivedAt: null
+    }).populate('subject', 'name examDate isActive');
+
+    const subjects = await Subject.find({
+      user: user._id,
+      isActive: true
+    }).select('name examDate updatedAt');
+
+    const calendar = buildICalendar({
+      name: 'StudyGenie',
+      events: [
+        ...studyTaskEvents(studyPlans.filter(plan => plan.subject && plan.subject.isActive), { startTime: req.query.start }),
+        ...examEvents(subjects)
+      ]
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Cache-Control': 'no-cache'
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ 
+      message: 'Failed to build calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+export default router;
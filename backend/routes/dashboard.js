@@ -5,22 +5,36 @@ import Flashcard from '../models/Flashcard.js';
 import Quiz from '../models/Quiz.js';
 import User from '../models/User.js';
 import { authenticateToken } from '../middlewares/auth.js';
+import { backfillActivityHistory } from '../middlewares/activityHistory.js';
+import { recordStudyActivity, loadStreakSummary, rebuildStreak, localDay, startOfLocalDay } from '../utils/streakService.js';
+import { logActivities, taskCompletionEvents, backfillActivityEvents } from '../utils/activityLog.js';
+import {
+  getActivitySummary,
+  getRecentQuizScores,
+  getActivityHeatmap,
+  getWeeklyStudyTime,
+  getQuizScoreTrend,
+  getRetentionCurve
+} from '../utils/activityAnalytics.js';
+import { getExamReadiness } from '../utils/examReadiness.js';
+import { validateAnalyticsRange } from '../middlewares/validation.js';
 
 const router = express.Router();
 
 // Get dashboard data
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, backfillActivityHistory, async (req, res) => {
   try {
     // Get user's subjects
     const subjects = await Subject.find({ 
       user: req.user.id, 
       isActive: true 
-    }).select('name examDate progress metadata');
+    }).select('name examDate progress metadata topics');
 
     // Get study plans
     const studyPlans = await StudyPlan.find({ 
       user: req.user.id, 
-      isActive: true 
+      isActive: true,
+      archivedAt: null
     }).populate('subject', 'name examDate');
 
     // Get today's tasks from all study plans
@@ -33,10 +47,12 @@ router.get('/', authenticateToken, async (req, res) => {
       
       todayTasks.push(...todayPlanTasks.map(task => ({
         id: task._id,
+        studyPlanId: plan._id,
         title: task.topic,
         description: task.description,
         subject: plan.subject.name,
         estimatedTime: task.estimatedTime,
+        actualTimeSpent: task.actualTimeSpent,
         difficulty: task.difficulty,
         completed: task.completed,
         completedAt: task.completedAt
@@ -57,17 +73,19 @@ router.get('/', authenticateToken, async (req, res) => {
     const thirtyDaysFromNow = new Date();
     thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
     
-    const upcomingExams = subjects
+    const upcomingExams = (await Promise.all(subjects
       .filter(subject => new Date(subject.examDate) <= thirtyDaysFromNow)
-      .map(subject => {
+      .map(async subject => {
         const daysLeft = Math.ceil((new Date(subject.examDate) - new Date()) / (1000 * 60 * 60 * 24));
+        const plan = studyPlans.find(studyPlan => studyPlan.subject?._id.equals(subject._id));
         return {
           id: subject._id,
           subject: subject.name,
           date: subject.examDate,
-          daysLeft: daysLeft > 0 ? daysLeft : 0
+          daysLeft: daysLeft > 0 ? daysLeft : 0,
+          readiness: await getExamReadiness(req.user.id, subject, plan)
         };
-      })
+      })))
       .sort((a, b) => a.daysLeft - b.daysLeft);
 
     // Calculate overall progress
@@ -77,7 +95,7 @@ router.get('/', authenticateToken, async (req, res) => {
 
     // Get user stats
     const user = await User.findById(req.user.id);
-    const studyStreak = user.studyStats.streak || 0;
+    const streak = await loadStreakSummary(user);
 
     // Get flashcard stats
     const totalFlashcards = await Flashcard.countDocuments({ 
@@ -88,7 +106,8 @@ router.get('/', authenticateToken, async (req, res) => {
     const dueFlashcards = await Flashcard.countDocuments({
       user: req.user.id,
       isActive: true,
-      'reviewData.nextReview': { $lte: new Date() }
+      'reviewData.nextReview': { $lte: new Date() },
+      buriedUntil: { $not: { $gt: new Date() } }
     });
 
     // Get quiz stats
@@ -97,20 +116,7 @@ router.get('/', authenticateToken, async (req, res) => {
       isActive: true 
     });
 
-    const recentQuizAttempts = await Quiz.find({
-      user: req.user.id,
-      isActive: true,
-      'attempts.0': { $exists: true }
-    }).select('attempts title').limit(5);
-
-    const recentScores = recentQuizAttempts.map(quiz => {
-      const lastAttempt = quiz.attempts[quiz.attempts.length - 1];
-      return {
-        quizTitle: quiz.title,
-        score: lastAttempt.percentage,
-        date: lastAttempt.endTime
-      };
-    });
+    const recentScores = await getRecentQuizScores(req.user.id, 5);
 
     // Study analytics
     const studyAnalytics = {
@@ -136,7 +142,10 @@ router.get('/', authenticateToken, async (req, res) => {
       upcomingExams,
       progress: {
         completionRate,
-        streak: studyStreak,
+        streak: streak.current,
+        longestStreak: streak.longest,
+        studiedToday: streak.studiedToday,
+        streakFreezes: streak.freezesAvailable,
         totalTasks,
         completedTasks
       },
@@ -174,7 +183,8 @@ router.patch('/mark-topic', authenticateToken, async (req, res) => {
     const studyPlan = await StudyPlan.findOne({
       _id: studyPlanId,
       user: req.user.id,
-      isActive: true
+      isActive: true,
+      archivedAt: null
     });
 
     if (!studyPlan) {
@@ -186,38 +196,38 @@ router.patch('/mark-topic', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    const formatTask = () => ({
+      id: task._id,
+      topic: task.topic,
+      completed: task.completed,
+      completedAt: task.completedAt
+    });
+
+    // Marking a completed task again changes nothing: it keeps its completion
+    // date and doesn't count toward today's streak
+    if (task.completed) {
+      const streak = await loadStreakSummary(req.user);
+      return res.json({
+        message: 'Topic already marked as complete',
+        task: formatTask(),
+        newStreak: streak.current
+      });
+    }
+
     task.completed = true;
     task.completedAt = new Date();
     
     await studyPlan.save();
+    await logActivities(req.user.id, taskCompletionEvents(studyPlan, [task]));
 
     // Update user stats
-    const user = await User.findById(req.user.id);
-    user.studyStats.completedTasks += 1;
-    user.studyStats.lastActive = new Date();
-    
-    // Update streak logic
-    const today = new Date();
-    const lastActive = new Date(user.studyStats.lastActive);
-    const daysDiff = Math.floor((today - lastActive) / (1000 * 60 * 60 * 24));
-    
-    if (daysDiff === 1) {
-      user.studyStats.streak += 1;
-    } else if (daysDiff > 1) {
-      user.studyStats.streak = 1;
-    }
-    
-    await user.save();
+    await User.updateOne({ _id: req.user.id }, { $inc: { 'studyStats.completedTasks': 1 } });
+    const streak = await recordStudyActivity(req.user.id, task.completedAt);
 
     res.json({ 
       message: 'Topic marked as complete',
-      task: {
-        id: task._id,
-        topic: task.topic,
-        completed: task.completed,
-        completedAt: task.completedAt
-      },
-      newStreak: user.studyStats.streak
+      task: formatTask(),
+      newStreak: streak.current
     });
   } catch (error) {
     console.error('Mark topic complete error:', error);
@@ -228,8 +238,36 @@ router.patch('/mark-topic', authenticateToken, async (req, res) => {
   }
 });
 
-// Get study analytics
-router.get('/analytics', authenticateToken, async (req, res) => {
+// Get the current streak, freezes and past streaks
+router.get('/streak', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    res.json({ streak: await loadStreakSummary(user) });
+  } catch (error) {
+    console.error('Get streak error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get streak',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Recompute the streak from stored activity
+router.post('/streak/rebuild', authenticateToken, async (req, res) => {
+  try {
+    const streak = await rebuildStreak(req.user.id);
+    res.json({ message: 'Streak rebuilt successfully', streak });
+  } catch (error) {
+    console.error('Rebuild streak error:', error);
+    res.status(500).json({ 
+      message: 'Failed to rebuild streak',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get study analytics for the last `period` days, from the activity log
+router.get('/analytics', authenticateToken, backfillActivityHistory, async (req, res) => {
   try {
     const { period = '7' } = req.query;
     const days = parseInt(period);
@@ -237,87 +275,45 @@ router.get('/analytics', authenticateToken, async (req, res) => {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
-    // Get completed tasks in the period
-    const studyPlans = await StudyPlan.find({ 
-      user: req.user.id, 
-      isActive: true 
-    });
-
-    let completedTasks = 0;
-    let totalStudyTime = 0;
-    const dailyProgress = {};
-
-    for (const plan of studyPlans) {
-      plan.dailyTasks.forEach(task => {
-        if (task.completed && task.completedAt >= startDate) {
-          completedTasks++;
-          totalStudyTime += task.actualTimeSpent || 0;
-          
-          const dateKey = task.completedAt.toISOString().split('T')[0];
-          if (!dailyProgress[dateKey]) {
-            dailyProgress[dateKey] = 0;
-          }
-          dailyProgress[dateKey]++;
-        }
-      });
-    }
-
-    // Get quiz performance
-    const quizzes = await Quiz.find({ 
-      user: req.user.id, 
-      isActive: true 
+    const user = await User.findById(req.user.id);
+    const summary = await getActivitySummary(req.user.id, {
+      since: startDate,
+      timezone: user.profile.timezone
     });
 
-    const quizStats = {
-      totalQuizzes: quizzes.length,
-      totalAttempts: quizzes.reduce((sum, quiz) => sum + quiz.attempts.length, 0),
-      averageScore: 0,
-      bestScore: 0
-    };
+    const streak = await loadStreakSummary(user);
 
-    if (quizzes.length > 0) {
-      const allScores = quizzes.flatMap(quiz => 
-        quiz.attempts.filter(attempt => attempt.completed).map(attempt => attempt.percentage)
-      );
-      
-      if (allScores.length > 0) {
-        quizStats.averageScore = Math.round(allScores.reduce((sum, score) => sum + score, 0) / allScores.length);
-        quizStats.bestScore = Math.max(...allScores);
-      }
-    }
-
-    // Get flashcard stats
-    const flashcards = await Flashcard.find({ 
-      user: req.user.id, 
-      isActive: true 
-    });
-
-    const flashcardStats = {
-      total: flashcards.length,
-      reviewed: flashcards.filter(card => card.stats.timesReviewed > 0).length,
-      averageSuccessRate: 0
-    };
-
-    if (flashcards.length > 0) {
-      const successRates = flashcards.map(card => card.successRate);
-      flashcardStats.averageSuccessRate = Math.round(
-        successRates.reduce((sum, rate) => sum + rate, 0) / successRates.length
-      );
-    }
+    const [totalQuizzes, totalFlashcards, subjectsCount, studyPlansCount] = await Promise.all([
+      Quiz.countDocuments({ user: req.user.id, isActive: true }),
+      Flashcard.countDocuments({ user: req.user.id, isActive: true }),
+      Subject.countDocuments({ user: req.user.id, isActive: true }),
+      StudyPlan.countDocuments({ user: req.user.id, isActive: true, archivedAt: null })
+    ]);
 
     res.json({
       period: `${days} days`,
       studyStats: {
-        completedTasks,
-        totalStudyTime, // in minutes
-        dailyProgress
+        completedTasks: summary.completedTasks,
+        totalStudyTime: summary.studyMinutes, // in minutes
+        sessions: summary.sessions,
+        dailyProgress: summary.dailyProgress
+      },
+      quizStats: {
+        totalQuizzes,
+        totalAttempts: summary.quizAttempts,
+        averageScore: summary.averageQuizScore,
+        bestScore: summary.bestQuizScore
+      },
+      flashcardStats: {
+        total: totalFlashcards,
+        reviewed: summary.cardsReviewed,
+        reviews: summary.cardReviews,
+        averageSuccessRate: summary.cardSuccessRate
       },
-      quizStats,
-      flashcardStats,
       overallProgress: {
-        subjects: await Subject.countDocuments({ user: req.user.id, isActive: true }),
-        studyPlans: studyPlans.length,
-        streak: (await User.findById(req.user.id)).studyStats.streak
+        subjects: subjectsCount,
+        studyPlans: studyPlansCount,
+        streak: streak.current
       }
     });
   } catch (error) {
@@ -329,4 +325,120 @@ router.get('/analytics', authenticateToken, async (req, res) => {
   }
 });
 
+// Start of the range covered by a time-series endpoint, in the user's
+// timezone: midnight `days` days back (counting today), or the Monday that
+// starts the range of `weeks` weeks
+const rangeStart = ({ days, weeks }, timezone) => {
+  const now = new Date();
+  const today = startOfLocalDay(now, timezone);
+  const weekday = (new Date(localDay(now, timezone)).getUTCDay() + 6) % 7; // Monday = 0
+  const daysBack = weeks ? (weeks - 1) * 7 + weekday : days - 1;
+
+  // Go via noon of the first day so a DST change in between can't shift it
+  const hour = 60 * 60 * 1000;
+  return startOfLocalDay(today.getTime() - daysBack * 24 * hour + 12 * hour, timezone);
+};
+
+// Daily activity for the heatmap
+router.get('/analytics/heatmap', authenticateToken, validateAnalyticsRange, backfillActivityHistory, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '365');
+    const user = await User.findById(req.user.id);
+    const since = rangeStart({ days }, user.profile.timezone);
+
+    const activity = await getActivityHeatmap(req.user.id, { since, timezone: user.profile.timezone });
+
+    res.json({
+      from: localDay(since, user.profile.timezone),
+      to: localDay(new Date(), user.profile.timezone),
+      days: activity
+    });
+  } catch (error) {
+    console.error('Heatmap analytics error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get activity heatmap',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Minutes studied per subject per week
+router.get('/analytics/study-time', authenticateToken, validateAnalyticsRange, backfillActivityHistory, async (req, res) => {
+  try {
+    const weeks = parseInt(req.query.weeks || '12');
+    const user = await User.findById(req.user.id);
+
+    const studyTime = await getWeeklyStudyTime(req.user.id, {
+      since: rangeStart({ weeks }, user.profile.timezone),
+      timezone: user.profile.timezone
+    });
+
+    res.json(studyTime);
+  } catch (error) {
+    console.error('Study time analytics error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get study time',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Quiz scores over time
+router.get('/analytics/quiz-scores', authenticateToken, validateAnalyticsRange, backfillActivityHistory, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '90');
+    const user = await User.findById(req.user.id);
+
+    const trend = await getQuizScoreTrend(req.user.id, {
+      since: rangeStart({ days }, user.profile.timezone),
+      timezone: user.profile.timezone,
+      subjectId: req.query.subjectId
+    });
+
+    res.json(trend);
+  } catch (error) {
+    console.error('Quiz score analytics error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get quiz scores',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Flashcard retention by review interval and by week
+router.get('/analytics/retention', authenticateToken, validateAnalyticsRange, backfillActivityHistory, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '90');
+    const user = await User.findById(req.user.id);
+
+    const retention = await getRetentionCurve(req.user.id, {
+      since: rangeStart({ days }, user.profile.timezone),
+      timezone: user.profile.timezone,
+      subjectId: req.query.subjectId
+    });
+
+    res.json(retention);
+  } catch (error) {
+    console.error('Retention analytics error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get flashcard retention',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Recreate activity events for history stored before the activity log existed
+router.post('/analytics/backfill', authenticateToken, async (req, res) => {
+  try {
+    const created = await backfillActivityEvents(req.user.id);
+    res.json({ message: 'Activity history backfilled successfully', created });
+  } catch (error) {
+    console.error('Activity backfill error:', error);
+    res.status(500).json({ 
+      message: 'Failed to backfill activity history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -1,21 +1,95 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Flashcard from '../models/Flashcard.js';
 import Subject from '../models/Subject.js';
+import User from '../models/User.js';
+import ReviewLog from '../models/ReviewLog.js';
 import { authenticateToken } from '../middlewares/auth.js';
-import { validateFlashcard } from '../middlewares/validation.js';
-import geminiService from '../utils/geminiService.js';
+import { recordStudyActivity, startOfNextLocalDay } from '../utils/streakService.js';
+import { logActivity } from '../utils/activityLog.js';
+import { findTopicId } from '../utils/topicMastery.js';
+import { validateFlashcard, validateFlashcardScheduler } from '../middlewares/validation.js';
+import {
+  createScheduler,
+  schedulerForUser,
+  optimizeParameters,
+  loadReviewHistory,
+  DEFAULT_FSRS_PARAMETERS,
+  MIN_OPTIMIZER_REVIEWS
+} from '../utils/scheduling/index.js';
+import geminiService, { AIGenerationError } from '../utils/geminiService.js';
+import { buildClozeCards, isClozeText } from '../utils/cloze.js';
 
 const router = express.Router();
 
-// Generate flashcards for a subject
+// One card per deletion of a cloze text, sharing a new noteId. `fields` are
+// the card fields besides question and answer (user, subject, topic...).
+const createClozeCards = (fields, clozeText) => {
+  const noteId = new mongoose.Types.ObjectId();
+  return buildClozeCards(clozeText).map(card => new Flashcard({
+    ...fields,
+    type: 'cloze',
+    clozeText,
+    clozeIndex: card.clozeIndex,
+    noteId,
+    question: card.question,
+    answer: card.answer
+  }));
+};
+
+// Reverse of a basic card: it asks with the card's answer. Both cards get
+// the same noteId.
+const createReverseCard = (card) => {
+  if (!card.noteId) {
+    card.noteId = new mongoose.Types.ObjectId();
+  }
+
+  return new Flashcard({
+    user: card.user,
+    subject: card.subject,
+    direction: 'reverse',
+    noteId: card.noteId,
+    question: card.answer,
+    answer: card.question,
+    topic: card.topic,
+    topicId: card.topicId,
+    difficulty: card.difficulty,
+    tags: card.tags,
+    aiGenerated: card.aiGenerated
+  });
+};
+
+// Cards for a basic note: forward (question -> answer), reverse, or both
+const createBasicCards = (fields, direction = 'forward') => {
+  const forward = new Flashcard(fields);
+  if (direction === 'forward') return [forward];
+
+  const reverse = createReverseCard(forward);
+  return direction === 'both' ? [forward, reverse] : [reverse];
+};
+
+const CARD_DIRECTIONS = ['forward', 'reverse', 'both'];
+
+// Generate flashcards for a subject. type: 'cloze' generates cloze cards
+// instead, which can be added to a subject that already has basic cards.
+// direction: 'reverse' or 'both' turns basic cards around or adds reversed
+// siblings.
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { subjectId } = req.body;
+    const { subjectId, type = 'basic', direction = 'forward' } = req.body;
 
     if (!subjectId) {
       return res.status(400).json({ message: 'Subject ID is required' });
     }
 
+    if (!['basic', 'cloze'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be basic or cloze' });
+    }
+
+    if (!CARD_DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ message: 'Direction must be forward, reverse or both' });
+    }
+
     // Find the subject
     const subject = await Subject.findOne({
       _id: subjectId,
@@ -31,34 +105,56 @@ router.post('/', authenticateToken, async (req, res) => {
     const existingFlashcards = await Flashcard.find({
       subject: subjectId,
       user: req.user.id,
-      isActive: true
+      isActive: true,
+      type: type === 'cloze' ? 'cloze' : { $ne: 'cloze' }
     });
 
     if (existingFlashcards.length > 0) {
-      return res.status(400).json({ message: 'Flashcards already exist for this subject' });
+      return res.status(400).json({
+        message: type === 'cloze'
+          ? 'Cloze cards already exist for this subject'
+          : 'Flashcards already exist for this subject'
+      });
     }
 
-    // Generate flashcards using AI
-    const aiResponse = await geminiService.generateFlashcards(
-      subject.syllabus,
-      subject.name
-    );
-
-    // Create flashcards
     const flashcards = [];
-    for (const flashcardData of aiResponse.flashcards) {
-      const flashcard = new Flashcard({
-        user: req.user.id,
-        subject: subjectId,
-        question: flashcardData.question,
-        answer: flashcardData.answer,
-        topic: flashcardData.topic,
-        difficulty: flashcardData.difficulty,
-        tags: flashcardData.tags || [],
-        aiGenerated: true
-      });
-      
-      flashcards.push(flashcard);
+
+    if (type === 'cloze') {
+      // Generate cloze texts using AI; each becomes one card per deletion
+      const aiResponse = await geminiService.generateClozeCards(subject.syllabus, subject.name);
+
+      for (const cardData of aiResponse.clozeCards) {
+        flashcards.push(...createClozeCards({
+          user: req.user.id,
+          subject: subjectId,
+          topic: cardData.topic,
+          topicId: findTopicId(subject.topics, cardData.topic),
+          difficulty: cardData.difficulty,
+          tags: cardData.tags || [],
+          aiGenerated: true
+        }, cardData.text));
+      }
+    } else {
+      // Generate flashcards using AI
+      const aiResponse = await geminiService.generateFlashcards(
+        subject.syllabus,
+        subject.name
+      );
+
+      // Create flashcards
+      for (const flashcardData of aiResponse.flashcards) {
+        flashcards.push(...createBasicCards({
+          user: req.user.id,
+          subject: subjectId,
+          question: flashcardData.question,
+          answer: flashcardData.answer,
+          topic: flashcardData.topic,
+          topicId: findTopicId(subject.topics, flashcardData.topic),
+          difficulty: flashcardData.difficulty,
+          tags: flashcardData.tags || [],
+          aiGenerated: true
+        }, direction));
+      }
     }
 
     await Flashcard.insertMany(flashcards);
@@ -72,8 +168,13 @@ router.post('/', authenticateToken, async (req, res) => {
       flashcardsCount: flashcards.length,
       flashcards: flashcards.map(card => ({
         id: card._id,
+        type: card.type,
+        direction: card.direction,
         question: card.question,
         answer: card.answer,
+        clozeText: card.clozeText,
+        clozeIndex: card.clozeIndex,
+        noteId: card.noteId,
         topic: card.topic,
         difficulty: card.difficulty,
         tags: card.tags
@@ -81,6 +182,13 @@ router.post('/', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Flashcard generation error:', error);
+    if (error instanceof AIGenerationError) {
+      return res.status(error.statusCode).json({
+        message: 'Failed to generate flashcards',
+        details: error.toJSON()
+      });
+    }
+
     res.status(500).json({ 
       message: 'Failed to generate flashcards',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
@@ -88,6 +196,139 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Scheduler settings as returned by the API. `parameters` are the FSRS
+// weights in use, the user's own if they have been optimized.
+const schedulerSettings = (settings) => ({
+  algorithm: settings.algorithm,
+  desiredRetention: settings.desiredRetention,
+  parameters: settings.parameters.length > 0 ? settings.parameters : DEFAULT_FSRS_PARAMETERS,
+  optimized: settings.parameters.length > 0,
+  optimizedAt: settings.optimizedAt || null,
+  optimizedReviews: settings.optimizedReviews
+});
+
+// Get the user's spaced repetition scheduler settings
+router.get('/scheduler', authenticateToken, async (req, res) => {
+  try {
+    res.json({ scheduler: schedulerSettings(req.user.preferences.flashcardScheduler) });
+  } catch (error) {
+    console.error('Get flashcard scheduler error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get flashcard scheduler',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update scheduler settings. Switching algorithm migrates the review state of
+// all the user's cards so their due dates carry over; resetParameters drops
+// optimized FSRS weights.
+router.patch('/scheduler', authenticateToken, validateFlashcardScheduler, async (req, res) => {
+  try {
+    const allowedUpdates = ['algorithm', 'desiredRetention', 'resetParameters'];
+    const updates = Object.keys(req.body);
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({ message: 'Invalid update fields' });
+    }
+
+    const user = await User.findById(req.user.id);
+    const settings = user.preferences.flashcardScheduler;
+    const { algorithm, desiredRetention, resetParameters } = req.body;
+
+    if (desiredRetention !== undefined) {
+      settings.desiredRetention = Number(desiredRetention);
+    }
+
+    if (resetParameters) {
+      settings.parameters = [];
+      settings.optimizedAt = undefined;
+      settings.optimizedReviews = 0;
+    }
+
+    let migratedCards = 0;
+    if (algorithm && algorithm !== settings.algorithm) {
+      settings.algorithm = algorithm;
+
+      const scheduler = createScheduler(settings);
+      const flashcards = await Flashcard.find({
+        user: req.user.id,
+        'reviewData.scheduler': { $ne: scheduler.name }
+      });
+
+      if (flashcards.length > 0) {
+        await Flashcard.bulkWrite(flashcards.map(card => {
+          const { reviewData: current, stats } = card.toObject();
+          const reviewData = scheduler.migrate(current, { stats });
+          return {
+            updateOne: {
+              filter: { _id: card._id },
+              update: { $set: { reviewData } }
+            }
+          };
+        }));
+      }
+      migratedCards = flashcards.length;
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Flashcard scheduler updated successfully',
+      scheduler: schedulerSettings(settings),
+      migratedCards
+    });
+  } catch (error) {
+    console.error('Flashcard scheduler update error:', error);
+    res.status(500).json({ 
+      message: 'Failed to update flashcard scheduler',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Fit FSRS parameters to the user's review history
+router.post('/scheduler/optimize', authenticateToken, async (req, res) => {
+  try {
+    const histories = await loadReviewHistory(req.user.id);
+    // The first review of a card predicts nothing, so it doesn't count
+    const reviews = histories.reduce((sum, reviewsOfCard) => sum + reviewsOfCard.length - 1, 0);
+
+    if (reviews < MIN_OPTIMIZER_REVIEWS) {
+      return res.status(400).json({
+        message: `At least ${MIN_OPTIMIZER_REVIEWS} repeat reviews are needed to optimize (you have ${reviews})`
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const settings = user.preferences.flashcardScheduler;
+    const result = optimizeParameters(histories);
+
+    settings.parameters = result.parameters;
+    settings.optimizedAt = new Date();
+    settings.optimizedReviews = result.reviews;
+    await user.save();
+
+    res.json({
+      message: 'Flashcard scheduler optimized successfully',
+      scheduler: schedulerSettings(settings),
+      optimization: {
+        reviews: result.reviews,
+        cards: histories.length,
+        lossBefore: result.lossBefore,
+        lossAfter: result.lossAfter
+      }
+    });
+  } catch (error) {
+    console.error('Flashcard scheduler optimize error:', error);
+    res.status(500).json({ 
+      message: 'Failed to optimize flashcard scheduler',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get flashcards for a subject
 router.get('/:subjectId', authenticateToken, async (req, res) => {
   try {
@@ -114,14 +355,20 @@ router.get('/:subjectId', authenticateToken, async (req, res) => {
     res.json({
       flashcards: flashcards.map(card => ({
         id: card._id,
+        type: card.type,
+        direction: card.direction,
         question: card.question,
         answer: card.answer,
+        clozeText: card.clozeText,
+        clozeIndex: card.clozeIndex,
+        noteId: card.noteId,
         topic: card.topic,
         difficulty: card.difficulty,
         tags: card.tags,
         stats: card.stats,
         successRate: card.successRate,
         isDue: card.isDue,
+        isBuried: card.isBuried,
         createdAt: card.createdAt
       }))
     });
@@ -150,8 +397,13 @@ router.get('/card/:id', authenticateToken, async (req, res) => {
     res.json({
       flashcard: {
         id: flashcard._id,
+        type: flashcard.type,
+        direction: flashcard.direction,
         question: flashcard.question,
         answer: flashcard.answer,
+        clozeText: flashcard.clozeText,
+        clozeIndex: flashcard.clozeIndex,
+        noteId: flashcard.noteId,
         topic: flashcard.topic,
         difficulty: flashcard.difficulty,
         tags: flashcard.tags,
@@ -159,6 +411,8 @@ router.get('/card/:id', authenticateToken, async (req, res) => {
         reviewData: flashcard.reviewData,
         successRate: flashcard.successRate,
         isDue: flashcard.isDue,
+        isBuried: flashcard.isBuried,
+        buriedUntil: flashcard.buriedUntil,
         subject: flashcard.subject,
         createdAt: flashcard.createdAt
       }
@@ -172,15 +426,23 @@ router.get('/card/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Review flashcard (update stats and spaced repetition)
+// Review flashcard (update stats and spaced repetition). Each review is
+// written to the review log with the card's scheduling state before and after.
 router.post('/card/:id/review', authenticateToken, async (req, res) => {
   try {
-    const { quality, responseTime } = req.body;
+    const { quality } = req.body;
+    const responseTime = req.body.responseTime === undefined || req.body.responseTime === null
+      ? null
+      : Number(req.body.responseTime);
 
     if (quality === undefined || quality < 0 || quality > 5) {
       return res.status(400).json({ message: 'Quality must be between 0 and 5' });
     }
 
+    if (responseTime !== null && !(responseTime >= 0)) {
+      return res.status(400).json({ message: 'Response time must be a number of seconds' });
+    }
+
     const flashcard = await Flashcard.findOne({
       _id: req.params.id,
       user: req.user.id,
@@ -191,17 +453,72 @@ router.post('/card/:id/review', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Flashcard not found' });
     }
 
-    // Update response time if provided
-    if (responseTime) {
-      const newTotalTime = (flashcard.stats.averageResponseTime * flashcard.stats.timesReviewed) + responseTime;
-      flashcard.stats.averageResponseTime = newTotalTime / (flashcard.stats.timesReviewed + 1);
+    const { reviewData: previous, stats: previousStats } = flashcard.toObject();
+    const lastReview = previous.lastReview || previousStats.lastReviewed;
+
+    // Average over the reviews that reported a response time
+    if (responseTime !== null) {
+      const [timed] = await ReviewLog.aggregate([
+        { $match: { flashcard: flashcard._id, responseTime: { $ne: null }, undone: false } },
+        { $group: { _id: null, total: { $sum: '$responseTime' }, count: { $sum: 1 } } }
+      ]);
+      flashcard.stats.averageResponseTime = timed
+        ? (timed.total + responseTime) / (timed.count + 1)
+        : responseTime;
+    }
+
+    // Update review data using the user's spaced repetition scheduler
+    await flashcard.updateReviewData(quality, schedulerForUser(req.user));
+
+    const reviewedAt = flashcard.stats.lastReviewed;
+
+    // Bury the rest of the note until tomorrow in the user's timezone
+    let buriedSiblings = [];
+    if (flashcard.noteId) {
+      const buriedUntil = startOfNextLocalDay(reviewedAt, req.user.profile?.timezone);
+      const siblings = await Flashcard.find({
+        noteId: flashcard.noteId,
+        _id: { $ne: flashcard._id },
+        user: req.user.id,
+        isActive: true,
+        buriedUntil: { $not: { $gte: buriedUntil } }
+      }).select('_id');
+
+      buriedSiblings = siblings.map(sibling => sibling._id);
+      if (buriedSiblings.length > 0) {
+        await Flashcard.updateMany({ _id: { $in: buriedSiblings } }, { $set: { buriedUntil } });
+      }
     }
 
-    // Update review data using spaced repetition
-    await flashcard.updateReviewData(quality);
+    const reviewLog = await ReviewLog.create({
+      user: req.user.id,
+      flashcard: flashcard._id,
+      subject: flashcard.subject,
+      reviewedAt,
+      quality,
+      responseTime,
+      elapsedDays: lastReview ? (reviewedAt - new Date(lastReview)) / (24 * 60 * 60 * 1000) : null,
+      previous,
+      next: flashcard.toObject().reviewData,
+      previousStats,
+      buriedSiblings
+    });
+
+    await logActivity(req.user.id, 'card_reviewed', {
+      occurredAt: reviewedAt,
+      subject: flashcard.subject,
+      flashcard: flashcard._id,
+      reviewLog: reviewLog._id,
+      topicId: flashcard.topicId,
+      topic: flashcard.topic,
+      quality,
+      correct: quality >= 3
+    });
+    await recordStudyActivity(req.user.id);
 
     res.json({
       message: 'Flashcard reviewed successfully',
+      reviewId: reviewLog._id,
       flashcard: {
         id: flashcard._id,
         stats: flashcard.stats,
@@ -220,30 +537,152 @@ router.post('/card/:id/review', authenticateToken, async (req, res) => {
   }
 });
 
+// Undo the card's latest review: its stats and reviewData go back to what
+// they were before it and siblings it buried are unburied. Calling it again
+// undoes the review before that.
+router.post('/card/:id/review/undo', authenticateToken, async (req, res) => {
+  try {
+    const flashcard = await Flashcard.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!flashcard) {
+      return res.status(404).json({ message: 'Flashcard not found' });
+    }
+
+    const reviewLog = await ReviewLog.findOne({
+      flashcard: flashcard._id,
+      user: req.user.id,
+      undone: false
+    }).sort({ reviewedAt: -1 });
+
+    if (!reviewLog) {
+      return res.status(404).json({ message: 'No review to undo' });
+    }
+
+    const { previous, previousStats } = reviewLog.toObject();
+    flashcard.set('reviewData', previous);
+    flashcard.set('stats', previousStats);
+    await flashcard.save();
+
+    reviewLog.undone = true;
+    reviewLog.undoneAt = new Date();
+    await reviewLog.save();
+
+    if (reviewLog.buriedSiblings.length > 0) {
+      await Flashcard.updateMany(
+        { _id: { $in: reviewLog.buriedSiblings }, user: req.user.id },
+        { $set: { buriedUntil: null } }
+      );
+    }
+
+    await logActivity(req.user.id, 'card_review_undone', {
+      subject: flashcard.subject,
+      flashcard: flashcard._id,
+      reviewLog: reviewLog._id,
+      topicId: flashcard.topicId,
+      topic: flashcard.topic
+    });
+
+    res.json({
+      message: 'Review undone successfully',
+      reviewId: reviewLog._id,
+      flashcard: {
+        id: flashcard._id,
+        stats: flashcard.stats,
+        reviewData: flashcard.reviewData,
+        successRate: flashcard.successRate,
+        isDue: flashcard.isDue,
+        nextReview: flashcard.reviewData.nextReview
+      }
+    });
+  } catch (error) {
+    console.error('Flashcard review undo error:', error);
+    res.status(500).json({ 
+      message: 'Failed to undo review',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Review history of a flashcard, newest first
+router.get('/card/:id/reviews', authenticateToken, async (req, res) => {
+  try {
+    const flashcard = await Flashcard.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!flashcard) {
+      return res.status(404).json({ message: 'Flashcard not found' });
+    }
+
+    const reviews = await ReviewLog.find({ flashcard: flashcard._id, user: req.user.id, undone: false })
+      .sort({ reviewedAt: -1 })
+      .limit(100);
+
+    res.json({
+      reviews: reviews.map(review => ({
+        id: review._id,
+        reviewedAt: review.reviewedAt,
+        quality: review.quality,
+        responseTime: review.responseTime,
+        elapsedDays: review.elapsedDays,
+        previous: review.previous,
+        next: review.next
+      }))
+    });
+  } catch (error) {
+    console.error('Get flashcard reviews error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get flashcard reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get due flashcards for review
 router.get('/due/:subjectId?', authenticateToken, async (req, res) => {
   try {
     const { subjectId } = req.params;
+    const now = new Date();
     const query = {
       user: req.user.id,
       isActive: true,
-      'reviewData.nextReview': { $lte: new Date() }
+      'reviewData.nextReview': { $lte: now },
+      buriedUntil: { $not: { $gt: now } }
     };
 
     if (subjectId) {
       query.subject = subjectId;
     }
 
-    const dueFlashcards = await Flashcard.find(query)
+    const candidates = await Flashcard.find(query)
       .populate('subject', 'name')
       .sort({ 'reviewData.nextReview': 1 })
-      .limit(20); // Limit to 20 cards per session
+      .limit(100);
+
+    // One card per note, so siblings aren't reviewed in the same session
+    const seenNotes = new Set();
+    const dueFlashcards = candidates.filter(card => {
+      if (!card.noteId) return true;
+      const key = card.noteId.toString();
+      if (seenNotes.has(key)) return false;
+      seenNotes.add(key);
+      return true;
+    }).slice(0, 20); // Limit to 20 cards per session
 
     res.json({
       dueFlashcards: dueFlashcards.map(card => ({
         id: card._id,
+        type: card.type,
+        direction: card.direction,
         question: card.question,
         answer: card.answer,
+        clozeText: card.clozeText,
         topic: card.topic,
         difficulty: card.difficulty,
         subject: card.subject,
@@ -261,10 +700,12 @@ router.get('/due/:subjectId?', authenticateToken, async (req, res) => {
   }
 });
 
-// Create custom flashcard
+// Create custom flashcard. type: 'cloze' takes clozeText instead of
+// question/answer and creates one card per deletion. For basic cards,
+// direction: 'reverse' or 'both' works as in generation.
 router.post('/custom', authenticateToken, validateFlashcard, async (req, res) => {
   try {
-    const { question, answer, topic, difficulty, tags, subjectId } = req.body;
+    const { type = 'basic', direction = 'forward', question, answer, clozeText, topic, difficulty, tags, subjectId } = req.body;
 
     // Verify subject exists
     const subject = await Subject.findOne({
@@ -277,29 +718,45 @@ router.post('/custom', authenticateToken, validateFlashcard, async (req, res) =>
       return res.status(404).json({ message: 'Subject not found' });
     }
 
-    const flashcard = new Flashcard({
+    const fields = {
       user: req.user.id,
       subject: subjectId,
-      question,
-      answer,
       topic,
+      topicId: findTopicId(subject.topics, topic),
       difficulty,
       tags: tags || [],
       aiGenerated: false
-    });
+    };
 
-    await flashcard.save();
+    const flashcards = type === 'cloze'
+      ? createClozeCards(fields, clozeText)
+      : createBasicCards({ ...fields, question, answer }, direction);
 
+    await Flashcard.insertMany(flashcards);
+
+    const [flashcard] = flashcards;
     res.status(201).json({
       message: 'Custom flashcard created successfully',
       flashcard: {
         id: flashcard._id,
+        type: flashcard.type,
+        direction: flashcard.direction,
         question: flashcard.question,
         answer: flashcard.answer,
+        clozeText: flashcard.clozeText,
+        noteId: flashcard.noteId,
         topic: flashcard.topic,
         difficulty: flashcard.difficulty,
         tags: flashcard.tags
-      }
+      },
+      // All cards of the note (the first is `flashcard`)
+      flashcards: flashcards.map(card => ({
+        id: card._id,
+        direction: card.direction,
+        clozeIndex: card.clozeIndex,
+        question: card.question,
+        answer: card.answer
+      }))
     });
   } catch (error) {
     console.error('Custom flashcard creation error:', error);
@@ -310,10 +767,65 @@ router.post('/custom', authenticateToken, validateFlashcard, async (req, res) =>
   }
 });
 
-// Update flashcard
+// Add reversed siblings to a subject's basic cards that don't have one yet
+router.post('/reverse', authenticateToken, async (req, res) => {
+  try {
+    const { subjectId } = req.body;
+
+    if (!subjectId) {
+      return res.status(400).json({ message: 'Subject ID is required' });
+    }
+
+    const subject = await Subject.findOne({
+      _id: subjectId,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const basicCards = await Flashcard.find({
+      subject: subjectId,
+      user: req.user.id,
+      isActive: true,
+      type: { $ne: 'cloze' }
+    });
+
+    const reversedNotes = new Set(basicCards
+      .filter(card => card.direction === 'reverse' && card.noteId)
+      .map(card => card.noteId.toString()));
+    const forwardCards = basicCards.filter(card => card.direction !== 'reverse' &&
+      !(card.noteId && reversedNotes.has(card.noteId.toString())));
+
+    const reverseCards = forwardCards.map(createReverseCard);
+    if (reverseCards.length > 0) {
+      await Promise.all(forwardCards.map(card => card.save()));
+      await Flashcard.insertMany(reverseCards);
+    }
+
+    res.status(201).json({
+      message: 'Reverse flashcards created successfully',
+      flashcardsCount: reverseCards.length
+    });
+  } catch (error) {
+    console.error('Reverse flashcard creation error:', error);
+    res.status(500).json({ 
+      message: 'Failed to create reverse flashcards',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Update flashcard. Edits apply to the whole note: a reversed sibling gets
+// question and answer swapped. Cloze cards are edited through clozeText:
+// siblings of deletions still in the text are updated and keep their review
+// state, siblings of removed deletions are deleted and new deletions get
+// new cards.
 router.patch('/card/:id', authenticateToken, async (req, res) => {
   try {
-    const allowedUpdates = ['question', 'answer', 'topic', 'difficulty', 'tags'];
+    const allowedUpdates = ['question', 'answer', 'clozeText', 'topic', 'difficulty', 'tags'];
     const updates = Object.keys(req.body);
     const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
@@ -331,25 +843,112 @@ router.patch('/card/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Flashcard not found' });
     }
 
+    const isCloze = flashcard.type === 'cloze';
+    if (isCloze && (updates.includes('question') || updates.includes('answer'))) {
+      return res.status(400).json({ message: 'Cloze cards are edited through clozeText' });
+    }
+    if (!isCloze && updates.includes('clozeText')) {
+      return res.status(400).json({ message: 'Only cloze cards have clozeText' });
+    }
+    if (updates.includes('clozeText') && !isClozeText(req.body.clozeText)) {
+      return res.status(400).json({ message: 'Cloze text must contain at least one deletion like {{c1::term}}' });
+    }
+
+    const noteCards = flashcard.noteId
+      ? await Flashcard.find({ noteId: flashcard.noteId, user: req.user.id, isActive: true })
+      : [flashcard];
+    const card = noteCards.find(noteCard => noteCard._id.equals(flashcard._id)) || flashcard;
+
     // Apply updates
-    updates.forEach(update => {
-      flashcard[update] = req.body[update];
+    const swapped = { question: 'answer', answer: 'question' };
+    updates.filter(update => update !== 'clozeText').forEach(update => {
+      noteCards.forEach(noteCard => {
+        const field = noteCard.direction !== card.direction && swapped[update] ? swapped[update] : update;
+        noteCard[field] = req.body[update];
+      });
     });
 
-    await flashcard.save();
+    if (updates.includes('topic')) {
+      const subject = await Subject.findById(flashcard.subject);
+      const topicId = subject ? findTopicId(subject.topics, card.topic) : null;
+      noteCards.forEach(noteCard => {
+        noteCard.topicId = topicId;
+      });
+    }
+
+    const newCards = [];
+    if (updates.includes('clozeText')) {
+      const clozeText = req.body.clozeText.trim();
+      const rendered = new Map(buildClozeCards(clozeText).map(clozeCard => [clozeCard.clozeIndex, clozeCard]));
+
+      noteCards.forEach(noteCard => {
+        const clozeCard = rendered.get(noteCard.clozeIndex);
+        noteCard.clozeText = clozeText;
+        if (clozeCard) {
+          noteCard.question = clozeCard.question;
+          noteCard.answer = clozeCard.answer;
+          rendered.delete(noteCard.clozeIndex);
+        } else {
+          noteCard.isActive = false;
+        }
+      });
+
+      rendered.forEach(clozeCard => {
+        newCards.push(new Flashcard({
+          user: card.user,
+          subject: card.subject,
+          type: 'cloze',
+          clozeText,
+          clozeIndex: clozeCard.clozeIndex,
+          noteId: card.noteId,
+          question: clozeCard.question,
+          answer: clozeCard.answer,
+          topic: card.topic,
+          topicId: card.topicId,
+          difficulty: card.difficulty,
+          tags: card.tags,
+          aiGenerated: card.aiGenerated
+        }));
+      });
+    }
+
+    // Check every card before saving any, so a bad edit can't leave the
+    // note half updated
+    const changedCards = [...noteCards, ...newCards];
+    await Promise.all(changedCards.map(noteCard => noteCard.validate()));
+    await Promise.all(changedCards.map(noteCard => noteCard.save()));
 
     res.json({
       message: 'Flashcard updated successfully',
       flashcard: {
-        id: flashcard._id,
-        question: flashcard.question,
-        answer: flashcard.answer,
-        topic: flashcard.topic,
-        difficulty: flashcard.difficulty,
-        tags: flashcard.tags
-      }
+        id: card._id,
+        type: card.type,
+        direction: card.direction,
+        question: card.question,
+        answer: card.answer,
+        clozeText: card.clozeText,
+        noteId: card.noteId,
+        topic: card.topic,
+        difficulty: card.difficulty,
+        tags: card.tags,
+        isActive: card.isActive
+      },
+      // Active cards of the note after the update
+      flashcards: [...noteCards, ...newCards]
+        .filter(noteCard => noteCard.isActive)
+        .map(noteCard => ({
+          id: noteCard._id,
+          direction: noteCard.direction,
+          clozeIndex: noteCard.clozeIndex,
+          question: noteCard.question,
+          answer: noteCard.answer
+        }))
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
     console.error('Flashcard update error:', error);
     res.status(500).json({ 
       message: 'Failed to update flashcard',
@@ -358,7 +957,7 @@ router.patch('/card/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete flashcard
+// Delete flashcard. Deleting a cloze card deletes all cards of its note.
 router.delete('/card/:id', authenticateToken, async (req, res) => {
   try {
     const flashcard = await Flashcard.findOne({
@@ -372,8 +971,15 @@ router.delete('/card/:id', authenticateToken, async (req, res) => {
     }
 
     // Soft delete
-    flashcard.isActive = false;
-    await flashcard.save();
+    if (flashcard.type === 'cloze' && flashcard.noteId) {
+      await Flashcard.updateMany(
+        { noteId: flashcard.noteId, user: req.user.id },
+        { $set: { isActive: false } }
+      );
+    } else {
+      flashcard.isActive = false;
+      await flashcard.save();
+    }
 
     res.json({ message: 'Flashcard deleted successfully' });
   } catch (error) {
@@ -2,8 +2,11 @@ import express from 'express';
 import Quiz from '../models/Quiz.js';
 import Subject from '../models/Subject.js';
 import { authenticateToken } from '../middlewares/auth.js';
+import { recordStudyActivity } from '../utils/streakService.js';
+import { logActivity, logActivities, quizAnsweredEvent, quizCompletedEvent } from '../utils/activityLog.js';
+import { findTopicId } from '../utils/topicMastery.js';
 import { validateQuiz } from '../middlewares/validation.js';
-import geminiService from '../utils/geminiService.js';
+import geminiService, { AIGenerationError } from '../utils/geminiService.js';
 
 const router = express.Router();
 
@@ -51,7 +54,10 @@ router.post('/', authenticateToken, async (req, res) => {
       subject: subjectId,
       title: aiResponse.title,
       description: aiResponse.description,
-      questions: aiResponse.questions,
+      questions: aiResponse.questions.map(question => ({
+        ...question,
+        topicId: findTopicId(subject.topics, question.topic)
+      })),
       aiGenerated: true
     });
 
@@ -73,6 +79,13 @@ router.post('/', authenticateToken, async (req, res) => {
     });
   } catch (error) {
     console.error('Quiz generation error:', error);
+    if (error instanceof AIGenerationError) {
+      return res.status(error.statusCode).json({
+        message: 'Failed to generate quiz',
+        details: error.toJSON()
+      });
+    }
+
     res.status(500).json({ 
       message: 'Failed to generate quiz',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
@@ -193,6 +206,13 @@ router.post('/quiz/:id/start', authenticateToken, async (req, res) => {
     quiz.attempts.push(attempt);
     await quiz.save();
 
+    const savedAttempt = quiz.attempts[quiz.attempts.length - 1];
+    await logActivity(req.user.id, 'quiz_started', {
+      subject: quiz.subject,
+      quiz: quiz._id,
+      attemptId: savedAttempt._id
+    });
+
     res.json({
       message: 'Quiz attempt started',
       attempt: {
@@ -265,6 +285,7 @@ router.post('/quiz/:id/answer', authenticateToken, async (req, res) => {
     }
 
     await quiz.save();
+    await logActivities(req.user.id, [quizAnsweredEvent(quiz, attempt, answerData)]);
 
     res.json({
       message: 'Answer submitted successfully',
@@ -313,6 +334,8 @@ router.post('/quiz/:id/complete', authenticateToken, async (req, res) => {
     attempt.score = attempt.correctAnswers;
 
     await quiz.save();
+    await logActivities(req.user.id, [quizCompletedEvent(quiz, attempt)]);
+    await recordStudyActivity(req.user.id, attempt.endTime);
 
     res.json({
       message: 'Quiz completed successfully',
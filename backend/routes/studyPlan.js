@@ -1,20 +1,106 @@
 import express from 'express';
 import StudyPlan from '../models/StudyPlan.js';
 import Subject from '../models/Subject.js';
+import User from '../models/User.js';
 import { authenticateToken } from '../middlewares/auth.js';
-import { validateStudyPlan } from '../middlewares/validation.js';
+import {
+  validateStudyPlanGeneration,
+  validateStudyPlanRegeneration,
+  validateCalendarExport,
+  validateStudyPlanDiff
+} from '../middlewares/validation.js';
 import geminiService from '../utils/geminiService.js';
+import { scheduleStudyPlan, scheduleOptionsFor, countDaysUntil, taskMinutes } from '../utils/studyScheduler.js';
+import { rebalanceStudyPlan } from '../utils/planRebalancer.js';
+import { buildICalendar, studyTaskEvents, examEvents } from '../utils/icalendar.js';
+import { diffStudyPlans, formatPlanVersion } from '../utils/planVersions.js';
+import { logActivities, completionSnapshot, completionChanges, taskCompletionEvents } from '../utils/activityLog.js';
+import { recordStudyActivity } from '../utils/streakService.js';
 
 const router = express.Router();
 
-// Generate study plan for a subject
-router.post('/', authenticateToken, async (req, res) => {
+// Build a schedule for `subject` from the user's study preferences
+// (weekly availability, blackout dates, max session length)
+const buildSchedule = async (userId, subject, { dailyMinutes, revisionDays } = {}, completedMinutes) => {
+  const user = await User.findById(userId);
+
+  return scheduleStudyPlan(subject.topics, subject.examDate, {
+    ...scheduleOptionsFor(user, { dailyMinutes }),
+    revisionDays,
+    completedMinutes
+  });
+};
+
+// Minutes of each topic already studied in `plan`'s completed study tasks, or
+// Infinity when all its tasks are done. Tasks completed from the dashboard
+// don't complete the subject topic, so the scheduler is told about them
+// separately and only plans the rest of each topic.
+const completedTaskMinutes = (plan) => {
+  const minutes = new Map();
+  const unfinished = new Set();
+  plan.dailyTasks
+    .filter(task => task.topicId && task.type !== 'revision')
+    .forEach(task => {
+      const key = task.topicId.toString();
+      if (task.completed) {
+        minutes.set(key, (minutes.get(key) || 0) + taskMinutes(task));
+      } else {
+        unfinished.add(key);
+      }
+    });
+
+  minutes.forEach((value, key) => {
+    if (!unfinished.has(key)) minutes.set(key, Infinity);
+  });
+  return minutes;
+};
+
+// Optionally let the AI provider rewrite task descriptions. The scheduler's own
+// descriptions are kept if the call fails. Returns whether AI was used.
+const enrichTaskDescriptions = async (subject, schedule) => {
   try {
-    const { subjectId } = req.body;
+    const { tasks } = await geminiService.describeStudyTasks(subject.name, schedule.dailyTasks);
+    tasks.forEach(({ index, description }) => {
+      schedule.dailyTasks[index].description = description;
+    });
+    return true;
+  } catch (error) {
+    console.error('AI task description failed:', error);
+    schedule.warnings.push('AI task descriptions are unavailable, so default descriptions were used');
+    return false;
+  }
+};
 
-    if (!subjectId) {
-      return res.status(400).json({ message: 'Subject ID is required' });
-    }
+// Per-plan overrides from the request body, falling back to the plan's saved settings
+const readPlanSettings = (body, saved = {}) => ({
+  dailyMinutes: body.dailyMinutes !== undefined ? Number(body.dailyMinutes) : saved.dailyMinutes,
+  revisionDays: body.revisionDays !== undefined ? Number(body.revisionDays) : saved.revisionDays
+});
+
+// Version number for the next plan of a subject. Deleted versions still
+// count so numbers are never reused.
+const nextVersion = async (userId, subjectId) => {
+  const latest = await StudyPlan.findOne({ user: userId, subject: subjectId }).sort({ version: -1 });
+  return latest ? (latest.version || 1) + 1 : 1;
+};
+
+// Archive the subject's current plan, leaving `keepId` (the new current) alone
+const archiveCurrentPlan = (userId, subjectId, keepId) => StudyPlan.updateMany({
+  user: userId,
+  subject: subjectId,
+  isActive: true,
+  archivedAt: null,
+  _id: { $ne: keepId }
+}, { archivedAt: new Date() });
+
+// Generate a study plan for a subject.
+// Tasks are scheduled locally from the subject's topics; AI is only used to
+// rewrite task descriptions when `enrichDescriptions` is set. If the subject
+// already has a plan, the new one becomes its next version.
+router.post('/', authenticateToken, validateStudyPlanGeneration, async (req, res) => {
+  try {
+    const { subjectId, enrichDescriptions = false } = req.body;
+    const settings = readPlanSettings(req.body);
 
     // Find the subject
     const subject = await Subject.findOne({
@@ -27,45 +113,40 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Subject not found' });
     }
 
-    // Check if study plan already exists
-    const existingPlan = await StudyPlan.findOne({
+    if (subject.topics.length === 0) {
+      return res.status(400).json({ message: 'Subject has no topics to schedule' });
+    }
+
+    const currentPlan = await StudyPlan.findOne({
       subject: subjectId,
       user: req.user.id,
-      isActive: true
+      isActive: true,
+      archivedAt: null
     });
 
-    if (existingPlan) {
-      return res.status(400).json({ message: 'Study plan already exists for this subject' });
-    }
-
-    // Generate study plan using AI
-    const aiResponse = await geminiService.generateStudyPlan(
-      subject.syllabus,
-      subject.name,
-      subject.examDate
-    );
+    const schedule = await buildSchedule(req.user.id, subject, settings);
+    const aiGenerated = enrichDescriptions ? await enrichTaskDescriptions(subject, schedule) : false;
 
     // Create study plan
     const studyPlan = new StudyPlan({
       user: req.user.id,
       subject: subjectId,
-      title: aiResponse.title,
-      description: aiResponse.description,
-      startDate: new Date(),
+      title: `Study Plan for ${subject.name}`,
+      description: `${schedule.summary.sessions} study sessions over ${schedule.summary.studyDays} days, ` +
+        `with ${schedule.summary.revisionDays} revision days before the exam`,
+      startDate: schedule.startDate,
       endDate: subject.examDate,
-      totalDuration: aiResponse.totalDuration,
-      dailyTasks: aiResponse.dailyTasks.map((task, index) => ({
-        day: task.day,
-        date: new Date(Date.now() + (index * 24 * 60 * 60 * 1000)), // Add days from today
-        topic: task.topic,
-        description: task.description,
-        estimatedTime: task.estimatedTime,
-        difficulty: task.difficulty
-      })),
-      aiGenerated: true
+      totalDuration: schedule.totalDuration,
+      dailyTasks: schedule.dailyTasks,
+      settings,
+      aiGenerated,
+      generatedBy: 'scheduler',
+      version: await nextVersion(req.user.id, subjectId),
+      basedOn: currentPlan ? currentPlan._id : undefined
     });
 
     await studyPlan.save();
+    await archiveCurrentPlan(req.user.id, subjectId, studyPlan._id);
 
     // Update subject metadata
     subject.metadata.hasStudyPlan = true;
@@ -77,10 +158,14 @@ router.post('/', authenticateToken, async (req, res) => {
         id: studyPlan._id,
         title: studyPlan.title,
         description: studyPlan.description,
+        version: studyPlan.version,
         totalDuration: studyPlan.totalDuration,
         progress: studyPlan.progress,
         dailyTasksCount: studyPlan.dailyTasks.length
-      }
+      },
+      archivedPlanId: currentPlan ? currentPlan._id : null,
+      schedule: schedule.summary,
+      warnings: schedule.warnings
     });
   } catch (error) {
     console.error('Study plan generation error:', error);
@@ -91,19 +176,20 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get study plan for user
+// Get the user's current study plans (one per subject). `studyPlan` is the
+// most recently updated one, with its tasks.
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const studyPlans = await StudyPlan.find({ 
       user: req.user.id, 
-      isActive: true 
-    }).populate('subject', 'name examDate');
+      isActive: true,
+      archivedAt: null
+    }).populate('subject', 'name examDate').sort({ updatedAt: -1 });
 
     if (!studyPlans || studyPlans.length === 0) {
       return res.json({ studyPlans: [] });
     }
 
-    // Get current study plan (most recent or active)
     const currentPlan = studyPlans[0];
     const todaysTasks = currentPlan.getTodaysTasks();
     const upcomingTasks = currentPlan.getUpcomingTasks(7);
@@ -120,15 +206,26 @@ router.get('/', authenticateToken, async (req, res) => {
           day: task.day,
           date: task.date,
           topic: task.topic,
+          topicId: task.topicId,
+          type: task.type,
           description: task.description,
           estimatedTime: task.estimatedTime,
+          estimatedMinutes: task.estimatedMinutes,
           difficulty: task.difficulty,
           completed: task.completed,
           completedAt: task.completedAt
         })),
         todaysTasks,
         upcomingTasks
-      }
+      },
+      studyPlans: studyPlans.map(plan => ({
+        id: plan._id,
+        title: plan.title,
+        subject: plan.subject,
+        version: plan.version,
+        progress: plan.progress,
+        dailyTasksCount: plan.dailyTasks.length
+      }))
     });
   } catch (error) {
     console.error('Get study plan error:', error);
@@ -139,6 +236,28 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// List every version of a subject's study plan, newest first
+router.get('/subject/:subjectId/versions', authenticateToken, async (req, res) => {
+  try {
+    const versions = await StudyPlan.find({
+      subject: req.params.subjectId,
+      user: req.user.id,
+      isActive: true
+    }).sort({ version: -1 });
+
+    res.json({
+      versions: versions.map(formatPlanVersion),
+      activeVersionId: versions.find(plan => !plan.archivedAt)?._id || null
+    });
+  } catch (error) {
+    console.error('Get study plan versions error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get study plan versions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Get specific study plan
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -163,6 +282,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
         totalDuration: studyPlan.totalDuration,
         progress: studyPlan.progress,
         dailyTasks: studyPlan.dailyTasks,
+        rescheduleHistory: studyPlan.rescheduleHistory,
+        version: studyPlan.version,
+        basedOn: studyPlan.basedOn,
+        archivedAt: studyPlan.archivedAt,
         aiGenerated: studyPlan.aiGenerated,
         createdAt: studyPlan.createdAt
       }
@@ -176,6 +299,42 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Export a study plan's tasks and exam date as an iCalendar file
+router.get('/:id/export.ics', authenticateToken, validateCalendarExport, async (req, res) => {
+  try {
+    const studyPlan = await StudyPlan.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    }).populate('subject', 'name examDate updatedAt');
+
+    if (!studyPlan) {
+      return res.status(404).json({ message: 'Study plan not found' });
+    }
+
+    const calendar = buildICalendar({
+      name: studyPlan.title,
+      events: [
+        ...studyTaskEvents([studyPlan], { startTime: req.query.start }),
+        ...(studyPlan.subject ? examEvents([studyPlan.subject]) : [])
+      ]
+    });
+    const filename = studyPlan.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'study-plan';
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}.ics"`
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Study plan export error:', error);
+    res.status(500).json({ 
+      message: 'Failed to export study plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Update study plan
 router.patch('/:id', authenticateToken, async (req, res) => {
   try {
@@ -187,22 +346,31 @@ router.patch('/:id', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Invalid update fields' });
     }
 
+    // Archived versions are read-only
     const studyPlan = await StudyPlan.findOne({
       _id: req.params.id,
       user: req.user.id,
-      isActive: true
+      isActive: true,
+      archivedAt: null
     });
 
     if (!studyPlan) {
       return res.status(404).json({ message: 'Study plan not found' });
     }
 
+    const completionBefore = completionSnapshot(studyPlan.dailyTasks);
+
     // Apply updates
     updates.forEach(update => {
       studyPlan[update] = req.body[update];
     });
 
     await studyPlan.save();
+    const changedTasks = completionChanges(studyPlan.dailyTasks, completionBefore);
+    await logActivities(req.user.id, taskCompletionEvents(studyPlan, changedTasks));
+    if (changedTasks.some(task => task.completed)) {
+      await recordStudyActivity(req.user.id);
+    }
 
     res.json({
       message: 'Study plan updated successfully',
@@ -223,7 +391,214 @@ router.patch('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete study plan
+// Create a new version of a plan: completed tasks are carried over and the
+// rest is rebuilt from today using the subject's current topics and exam date
+// and the user's current study preferences. The subject's current plan is
+// archived and the new version becomes current.
+router.post('/:id/regenerate', authenticateToken, validateStudyPlanRegeneration, async (req, res) => {
+  try {
+    const { enrichDescriptions = false } = req.body;
+
+    const sourcePlan = await StudyPlan.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!sourcePlan) {
+      return res.status(404).json({ message: 'Study plan not found' });
+    }
+
+    const subject = await Subject.findOne({
+      _id: sourcePlan.subject,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const settings = readPlanSettings(req.body, sourcePlan.settings);
+    const schedule = await buildSchedule(req.user.id, subject, settings, completedTaskMinutes(sourcePlan));
+    const aiGenerated = enrichDescriptions ? await enrichTaskDescriptions(subject, schedule) : false;
+
+    // New tasks are numbered from the plan's original start date
+    const completedTasks = sourcePlan.dailyTasks
+      .filter(task => task.completed)
+      .map(task => task.toObject());
+    const newTasks = schedule.dailyTasks.map(task => ({
+      ...task,
+      day: countDaysUntil(task.date, sourcePlan.startDate) + 1
+    }));
+
+    const studyPlan = new StudyPlan({
+      user: req.user.id,
+      subject: subject._id,
+      title: sourcePlan.title,
+      description: sourcePlan.description,
+      startDate: sourcePlan.startDate,
+      endDate: subject.examDate,
+      totalDuration: countDaysUntil(subject.examDate, sourcePlan.startDate),
+      dailyTasks: [...completedTasks, ...newTasks],
+      settings,
+      aiGenerated: sourcePlan.aiGenerated || aiGenerated,
+      generatedBy: 'scheduler',
+      version: await nextVersion(req.user.id, subject._id),
+      basedOn: sourcePlan._id
+    });
+
+    await studyPlan.save();
+    await archiveCurrentPlan(req.user.id, subject._id, studyPlan._id);
+
+    res.status(201).json({
+      message: `Study plan regenerated as version ${studyPlan.version}`,
+      studyPlan: {
+        id: studyPlan._id,
+        title: studyPlan.title,
+        description: studyPlan.description,
+        version: studyPlan.version,
+        basedOn: studyPlan.basedOn,
+        totalDuration: studyPlan.totalDuration,
+        progress: studyPlan.progress,
+        dailyTasksCount: studyPlan.dailyTasks.length
+      },
+      schedule: schedule.summary,
+      warnings: schedule.warnings
+    });
+  } catch (error) {
+    console.error('Study plan regeneration error:', error);
+    res.status(500).json({ 
+      message: 'Failed to regenerate study plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Make an archived version the subject's current plan again
+router.post('/:id/activate', authenticateToken, async (req, res) => {
+  try {
+    const studyPlan = await StudyPlan.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!studyPlan) {
+      return res.status(404).json({ message: 'Study plan not found' });
+    }
+
+    if (studyPlan.archivedAt) {
+      await archiveCurrentPlan(req.user.id, studyPlan.subject, studyPlan._id);
+      studyPlan.archivedAt = null;
+      await studyPlan.save();
+
+      await Subject.updateOne({ _id: studyPlan.subject }, { 'metadata.hasStudyPlan': true });
+    }
+
+    res.json({
+      message: `Version ${studyPlan.version} is now the active study plan`,
+      studyPlan: formatPlanVersion(studyPlan)
+    });
+  } catch (error) {
+    console.error('Study plan activation error:', error);
+    res.status(500).json({ 
+      message: 'Failed to activate study plan version',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Compare a version with another version of the same subject's plan
+// (`?against=<id>`, by default the version it was regenerated from)
+router.get('/:id/diff', authenticateToken, validateStudyPlanDiff, async (req, res) => {
+  try {
+    const studyPlan = await StudyPlan.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!studyPlan) {
+      return res.status(404).json({ message: 'Study plan not found' });
+    }
+
+    const otherId = req.query.against || studyPlan.basedOn;
+    if (!otherId) {
+      return res.status(400).json({ message: 'This is the first version; pass ?against= to compare with another version' });
+    }
+
+    const otherPlan = await StudyPlan.findOne({
+      _id: otherId,
+      user: req.user.id,
+      subject: studyPlan.subject,
+      isActive: true
+    });
+
+    if (!otherPlan) {
+      return res.status(404).json({ message: 'Version to compare with not found' });
+    }
+
+    res.json({ diff: diffStudyPlans(otherPlan, studyPlan) });
+  } catch (error) {
+    console.error('Study plan diff error:', error);
+    res.status(500).json({ 
+      message: 'Failed to compare study plan versions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Move overdue tasks onto the remaining days before the exam
+router.post('/:id/rebalance', authenticateToken, async (req, res) => {
+  try {
+    const studyPlan = await StudyPlan.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true,
+      archivedAt: null
+    });
+
+    if (!studyPlan) {
+      return res.status(404).json({ message: 'Study plan not found' });
+    }
+
+    const subject = await Subject.findOne({
+      _id: studyPlan.subject,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const { moves, warnings } = await rebalanceStudyPlan(studyPlan, { subject, trigger: 'manual' });
+
+    res.json({
+      message: moves.length > 0
+        ? `Rescheduled ${moves.length} overdue tasks`
+        : 'No overdue tasks to reschedule',
+      moves,
+      warnings,
+      studyPlan: {
+        id: studyPlan._id,
+        endDate: studyPlan.endDate,
+        progress: studyPlan.progress,
+        dailyTasks: studyPlan.dailyTasks
+      }
+    });
+  } catch (error) {
+    console.error('Study plan rebalance error:', error);
+    res.status(500).json({ 
+      message: 'Failed to rebalance study plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Delete a study plan version. Deleting the current version deletes the
+// subject's whole plan history.
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const studyPlan = await StudyPlan.findOne({
@@ -236,9 +611,19 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Study plan not found' });
     }
 
-    // Soft delete
-    studyPlan.isActive = false;
-    await studyPlan.save();
+    if (studyPlan.archivedAt) {
+      // Soft delete
+      studyPlan.isActive = false;
+      await studyPlan.save();
+
+      return res.json({ message: 'Study plan version deleted successfully' });
+    }
+
+    await StudyPlan.updateMany({
+      user: req.user.id,
+      subject: studyPlan.subject,
+      isActive: true
+    }, { isActive: false });
 
     // Update subject metadata
     const subject = await Subject.findById(studyPlan.subject);
@@ -257,4 +642,4 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
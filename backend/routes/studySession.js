@@ -0,0 +1,223 @@
+import express from 'express';
+import StudySession from '../models/StudySession.js';
+import StudyPlan from '../models/StudyPlan.js';
+import Subject from '../models/Subject.js';
+import Quiz from '../models/Quiz.js';
+import { authenticateToken } from '../middlewares/auth.js';
+import { validateStudySessionStart, validateStudySessionPause, validateStudySessionStop } from '../middlewares/validation.js';
+import { recordSessionTime } from '../utils/studySessions.js';
+
+const router = express.Router();
+
+const formatSession = (session) => ({
+  id: session._id,
+  subject: session.subject,
+  targetType: session.targetType,
+  studyPlan: session.studyPlan,
+  taskId: session.taskId,
+  topicId: session.topicId,
+  quiz: session.quiz,
+  status: session.status,
+  startedAt: session.startedAt,
+  endedAt: session.endedAt,
+  elapsedSeconds: session.getElapsedSeconds(),
+  segments: session.segments,
+  notes: session.notes
+});
+
+// Check the session target belongs to the user and work out its subject.
+// Returns { subject, fields } or { error } with a status and message.
+const resolveTarget = async (userId, { targetType, studyPlanId, taskId, subjectId, topicId, quizId }) => {
+  if (targetType === 'task') {
+    if (!studyPlanId || !taskId) {
+      return { error: { status: 400, message: 'Study plan ID and task ID are required' } };
+    }
+
+    const studyPlan = await StudyPlan.findOne({
+      _id: studyPlanId,
+      user: userId,
+      isActive: true,
+      archivedAt: null
+    });
+
+    if (!studyPlan || !studyPlan.dailyTasks.id(taskId)) {
+      return { error: { status: 404, message: 'Task not found' } };
+    }
+
+    return { subject: studyPlan.subject, fields: { studyPlan: studyPlan._id, taskId } };
+  }
+
+  if (targetType === 'quiz') {
+    if (!quizId) {
+      return { error: { status: 400, message: 'Quiz ID is required' } };
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, user: userId, isActive: true });
+    if (!quiz) {
+      return { error: { status: 404, message: 'Quiz not found' } };
+    }
+
+    return { subject: quiz.subject, fields: { quiz: quiz._id } };
+  }
+
+  if (!subjectId) {
+    return { error: { status: 400, message: 'Subject ID is required' } };
+  }
+
+  const subject = await Subject.findOne({ _id: subjectId, user: userId, isActive: true });
+  if (!subject) {
+    return { error: { status: 404, message: 'Subject not found' } };
+  }
+
+  if (targetType === 'topic') {
+    if (!topicId || !subject.topics.id(topicId)) {
+      return { error: { status: 404, message: 'Topic not found' } };
+    }
+    return { subject: subject._id, fields: { topicId } };
+  }
+
+  return { subject: subject._id, fields: {} };
+};
+
+// Start a session. Only one session per user can be open at a time.
+router.post('/', authenticateToken, validateStudySessionStart, async (req, res) => {
+  try {
+    const openSession = await StudySession.findOne({
+      user: req.user.id,
+      status: { $in: ['running', 'paused'] }
+    });
+
+    if (openSession) {
+      return res.status(409).json({
+        message: 'Stop your current study session before starting another',
+        session: formatSession(openSession)
+      });
+    }
+
+    const { subject, fields, error } = await resolveTarget(req.user.id, req.body);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const now = new Date();
+    const session = new StudySession({
+      user: req.user.id,
+      subject,
+      targetType: req.body.targetType,
+      ...fields,
+      startedAt: now,
+      segments: [{ startedAt: now }],
+      notes: req.body.notes
+    });
+
+    await session.save();
+
+    res.status(201).json({
+      message: 'Study session started',
+      session: formatSession(session)
+    });
+  } catch (error) {
+    console.error('Start study session error:', error);
+    res.status(500).json({ 
+      message: 'Failed to start study session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get the user's open (running or paused) session, if any
+router.get('/current', authenticateToken, async (req, res) => {
+  try {
+    const session = await StudySession.findOne({
+      user: req.user.id,
+      status: { $in: ['running', 'paused'] }
+    });
+
+    res.json({ session: session ? formatSession(session) : null });
+  } catch (error) {
+    console.error('Get current study session error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get current study session',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List recent sessions, optionally for one subject
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { subjectId, limit = 50 } = req.query;
+    const filter = { user: req.user.id };
+    if (subjectId) filter.subject = subjectId;
+
+    const sessions = await StudySession.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+
+    res.json({ sessions: sessions.map(formatSession) });
+  } catch (error) {
+    console.error('Get study sessions error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get study sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// When a pause or stop takes effect: the client's `endedAt` if given, capped
+// to now and to no earlier than the session's last segment
+const effectiveEnd = (session, endedAt) => {
+  const now = new Date();
+  if (!endedAt) return now;
+
+  const last = session.segments[session.segments.length - 1];
+  const earliest = last ? last.endedAt || last.startedAt : session.startedAt;
+  return new Date(Math.min(now, Math.max(earliest, new Date(endedAt))));
+};
+
+// Handler that applies `action` (pause, resume or stop) to a session whose
+// status is one of `allowedFrom`. Stopping records the time in the stats.
+const changeSession = (action, allowedFrom, message) => async (req, res) => {
+  try {
+    const session = await StudySession.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Study session not found' });
+    }
+
+    if (!allowedFrom.includes(session.status)) {
+      return res.status(400).json({ message: `Cannot ${action} a ${session.status} study session` });
+    }
+
+    session[action](effectiveEnd(session, req.body.endedAt));
+    if (action === 'stop' && req.body.notes !== undefined) {
+      session.notes = req.body.notes;
+    }
+    await session.save();
+
+    const response = { message, session: formatSession(session) };
+    if (action === 'stop') {
+      response.minutesRecorded = await recordSessionTime(session);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error(`Study session ${action} error:`, error);
+    res.status(500).json({ 
+      message: `Failed to ${action} study session`,
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+router.post('/:id/pause', authenticateToken, validateStudySessionPause, changeSession('pause', ['running'], 'Study session paused'));
+
+router.post('/:id/resume', authenticateToken, changeSession('resume', ['paused'], 'Study session resumed'));
+
+router.post('/:id/stop', authenticateToken, validateStudySessionStop,
+  changeSession('stop', ['running', 'paused'], 'Study session completed'));
+
+export default router;
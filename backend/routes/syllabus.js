@@ -1,13 +1,123 @@
 import express from 'express';
 import Subject from '../models/Subject.js';
+import StudyPlan from '../models/StudyPlan.js';
 import { authenticateToken } from '../middlewares/auth.js';
-import { validateSubject } from '../middlewares/validation.js';
-import geminiService from '../utils/geminiService.js';
+import { backfillActivityHistory } from '../middlewares/activityHistory.js';
+import {
+  validateSubject,
+  validateTopic,
+  validateTopicUpdate,
+  validateTopicBulkUpdate,
+  validateTopicMove,
+  validateTopicReorder
+} from '../middlewares/validation.js';
+import { uploadSyllabusFile } from '../middlewares/upload.js';
+import geminiService, { AIGenerationError } from '../utils/geminiService.js';
+import { planTopicMerge } from '../utils/topicMerge.js';
+import {
+  MAX_TOPIC_DEPTH,
+  flattenTopicTree,
+  buildTopicTree,
+  getChildren,
+  getDepth,
+  getDescendantIds,
+  getSubtreeHeight,
+  normalizeOrder,
+  placeTopic,
+  setTopicCompletion
+} from '../utils/topicTree.js';
+import { logActivities, completionSnapshot, completionChanges, topicCompletionEvents } from '../utils/activityLog.js';
+import { getSubjectMastery, buildMasteryTree, pickStudyNext } from '../utils/topicMastery.js';
+import { getExamReadiness } from '../utils/examReadiness.js';
 
 const router = express.Router();
 
+// Original syllabus file metadata (the file itself is served by GET /:id/file)
+const formatSyllabusFile = (file) => {
+  if (!file || !file.originalName) return null;
+  return {
+    originalName: file.originalName,
+    mimeType: file.mimeType,
+    size: file.size,
+    uploadedAt: file.uploadedAt
+  };
+};
+
+const buildSyllabusFile = (file) => ({
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size,
+  data: file.buffer,
+  uploadedAt: new Date()
+});
+
+// Topics that dropped out of the syllabus but were kept for their progress
+const formatRemovedTopics = (topics) => topics
+  .filter(topic => topic.removedFromSyllabus)
+  .map(topic => ({
+    id: topic._id,
+    name: topic.name,
+    completed: topic.completed,
+    completedAt: topic.completedAt,
+    notes: topic.notes,
+    removedAt: topic.removedAt
+  }));
+
+const EDITABLE_TOPIC_FIELDS = ['name', 'description', 'estimatedTime', 'difficulty', 'notes', 'completed'];
+
+// Apply validated field changes to one topic; completion cascades to its subtopics
+const applyTopicChanges = (subject, topic, changes) => {
+  EDITABLE_TOPIC_FIELDS.forEach(field => {
+    if (changes[field] === undefined || field === 'completed') return;
+    topic[field] = field === 'estimatedTime' ? Number(changes[field]) : changes[field];
+  });
+
+  if (changes.completed !== undefined) {
+    setTopicCompletion(subject.topics, topic._id, changes.completed);
+  }
+};
+
+// Delete topics with their subtopics and renumber the remaining siblings.
+// Returns the number of topics removed.
+const deleteTopics = (subject, topicIds) => {
+  const ids = new Set();
+  const parents = new Set();
+
+  topicIds.forEach(topicId => {
+    const topic = subject.topics.id(topicId);
+    if (!topic) return;
+    parents.add(topic.parent ? topic.parent.toString() : null);
+    [topic._id.toString(), ...getDescendantIds(subject.topics, topic._id)].forEach(id => ids.add(id));
+  });
+
+  ids.forEach(id => subject.topics.pull(id));
+  parents.forEach(parentId => {
+    if (!parentId || subject.topics.id(parentId)) {
+      normalizeOrder(subject.topics, parentId);
+    }
+  });
+
+  return ids.size;
+};
+
+// Re-extract topics from the current syllabus and stage them, with a diff
+// against the existing topics, until the user applies or discards them
+const stageTopicUpdate = async (subject) => {
+  const aiResponse = await geminiService.extractTopicsFromSyllabus(subject.syllabus);
+  const { diff } = planTopicMerge(subject.topics, aiResponse.topics);
+
+  subject.pendingTopicUpdate = {
+    topics: aiResponse.topics,
+    diff,
+    createdAt: new Date()
+  };
+
+  return diff;
+};
+
 // Upload/Create new subject with syllabus
-router.post('/', authenticateToken, validateSubject, async (req, res) => {
+// Accepts JSON with a `syllabus` string, or multipart with a `syllabusFile` (PDF, DOCX, MD, TXT)
+router.post('/', authenticateToken, uploadSyllabusFile, validateSubject, async (req, res) => {
   try {
     const { name, syllabus, examDate, description } = req.body;
 
@@ -25,7 +135,7 @@ router.post('/', authenticateToken, validateSubject, async (req, res) => {
     let topics = [];
     try {
       const aiResponse = await geminiService.extractTopicsFromSyllabus(syllabus);
-      topics = aiResponse.topics || [];
+      topics = flattenTopicTree(aiResponse.topics);
     } catch (error) {
       console.error('AI topic extraction failed:', error);
       // Create default topics if AI fails
@@ -46,7 +156,8 @@ router.post('/', authenticateToken, validateSubject, async (req, res) => {
       examDate,
       description,
       user: req.user.id,
-      topics
+      topics,
+      syllabusFile: req.file ? buildSyllabusFile(req.file) : undefined
     });
 
     await subject.save();
@@ -58,10 +169,11 @@ router.post('/', authenticateToken, validateSubject, async (req, res) => {
         name: subject.name,
         description: subject.description,
         examDate: subject.examDate,
-        topicsCount: subject.topics.length,
+        topicsCount: subject.progress.totalTopics,
         daysUntilExam: subject.daysUntilExam,
         progress: subject.progress,
-        metadata: subject.metadata
+        metadata: subject.metadata,
+        syllabusFile: formatSyllabusFile(subject.syllabusFile)
       }
     });
   } catch (error) {
@@ -86,7 +198,7 @@ router.get('/subjects', authenticateToken, async (req, res) => {
       name: subject.name,
       description: subject.description,
       examDate: subject.examDate,
-      topicsCount: subject.topics.length,
+      topicsCount: subject.progress.totalTopics,
       daysUntilExam: subject.daysUntilExam,
       progress: subject.progress,
       metadata: subject.metadata,
@@ -122,8 +234,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
         name: subject.name,
         description: subject.description,
         syllabus: subject.syllabus,
+        syllabusFile: formatSyllabusFile(subject.syllabusFile),
         examDate: subject.examDate,
         topics: subject.topics,
+        topicTree: buildTopicTree(subject.topics),
+        removedTopics: formatRemovedTopics(subject.topics),
+        pendingTopicDiff: subject.pendingTopicUpdate?.diff || null,
         daysUntilExam: subject.daysUntilExam,
         progress: subject.progress,
         metadata: subject.metadata,
@@ -140,8 +256,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Update subject
-router.patch('/:id', authenticateToken, async (req, res) => {
+// Update subject (a new `syllabusFile` upload replaces the syllabus text and file)
+router.patch('/:id', authenticateToken, uploadSyllabusFile, async (req, res) => {
   try {
     const allowedUpdates = ['name', 'description', 'syllabus', 'examDate'];
     const updates = Object.keys(req.body);
@@ -166,11 +282,16 @@ router.patch('/:id', authenticateToken, async (req, res) => {
       subject[update] = req.body[update];
     });
 
-    // If syllabus is updated, re-extract topics
+    if (req.file) {
+      subject.syllabusFile = buildSyllabusFile(req.file);
+    }
+
+    // If syllabus is updated, re-extract topics as a pending update.
+    // Existing topics (and their progress) stay as they are until it is applied.
+    let topicDiff = null;
     if (updates.includes('syllabus')) {
       try {
-        const aiResponse = await geminiService.extractTopicsFromSyllabus(subject.syllabus);
-        subject.topics = aiResponse.topics || subject.topics;
+        topicDiff = await stageTopicUpdate(subject);
       } catch (error) {
         console.error('AI topic extraction failed during update:', error);
       }
@@ -185,11 +306,12 @@ router.patch('/:id', authenticateToken, async (req, res) => {
         name: subject.name,
         description: subject.description,
         examDate: subject.examDate,
-        topicsCount: subject.topics.length,
+        topicsCount: subject.progress.totalTopics,
         daysUntilExam: subject.daysUntilExam,
         progress: subject.progress,
         metadata: subject.metadata
-      }
+      },
+      topicDiff
     });
   } catch (error) {
     console.error('Subject update error:', error);
@@ -200,6 +322,34 @@ router.patch('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Download the original syllabus file
+router.get('/:id/file', authenticateToken, async (req, res) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    }).select('+syllabusFile.data');
+
+    if (!subject || !subject.syllabusFile?.data) {
+      return res.status(404).json({ message: 'Syllabus file not found' });
+    }
+
+    res.set({
+      'Content-Type': subject.syllabusFile.mimeType || 'application/octet-stream',
+      'Content-Length': subject.syllabusFile.data.length,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(subject.syllabusFile.originalName)}`
+    });
+    res.send(subject.syllabusFile.data);
+  } catch (error) {
+    console.error('Get syllabus file error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get syllabus file',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // Delete subject
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -245,10 +395,16 @@ router.patch('/:id/topics/:topicId/complete', authenticateToken, async (req, res
       return res.status(404).json({ message: 'Topic not found' });
     }
 
-    topic.completed = true;
-    topic.completedAt = new Date();
-    
+    const completionBefore = completionSnapshot(subject.topics);
+
+    // Completing a unit completes everything under it
+    setTopicCompletion(subject.topics, topic._id, true);
+
     await subject.save();
+    await logActivities(
+      req.user.id,
+      topicCompletionEvents(subject, completionChanges(subject.topics, completionBefore))
+    );
 
     res.json({ 
       message: 'Topic marked as complete',
@@ -268,4 +424,500 @@ router.patch('/:id/topics/:topicId/complete', authenticateToken, async (req, res
   }
 });
 
+// Get the topic tree (units -> topics -> subtopics)
+router.get('/:id/topics', authenticateToken, async (req, res) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    res.json({
+      topicTree: buildTopicTree(subject.topics),
+      removedTopics: formatRemovedTopics(subject.topics),
+      progress: subject.progress
+    });
+  } catch (error) {
+    console.error('Get topics error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get topics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Mastery per topic from quiz answers and flashcard reviews, and the topics to study next
+router.get('/:id/mastery', authenticateToken, backfillActivityHistory, async (req, res) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const mastery = await getSubjectMastery(req.user.id, subject);
+
+    res.json({
+      subjectId: subject._id,
+      overall: mastery.overall,
+      topicTree: buildMasteryTree(mastery),
+      studyNext: pickStudyNext(subject, mastery)
+    });
+  } catch (error) {
+    console.error('Get topic mastery error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get topic mastery',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Exam readiness: current score, projection to the exam date and weakest topics
+router.get('/:id/readiness', authenticateToken, backfillActivityHistory, async (req, res) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const plan = await StudyPlan.findOne({
+      user: req.user.id,
+      subject: subject._id,
+      isActive: true,
+      archivedAt: null
+    });
+
+    res.json({
+      subjectId: subject._id,
+      examDate: subject.examDate,
+      readiness: await getExamReadiness(req.user.id, subject, plan)
+    });
+  } catch (error) {
+    console.error('Get exam readiness error:', error);
+    res.status(500).json({ 
+      message: 'Failed to get exam readiness',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Add a topic node, optionally under a parent and at a position among its siblings
+router.post('/:id/topics', authenticateToken, validateTopic, async (req, res) => {
+  try {
+    const { name, description, estimatedTime, difficulty, parentId, position } = req.body;
+
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    if (parentId) {
+      if (!subject.topics.id(parentId)) {
+        return res.status(404).json({ message: 'Parent topic not found' });
+      }
+      if (getDepth(subject.topics, parentId) + 1 >= MAX_TOPIC_DEPTH) {
+        return res.status(400).json({ message: `Topics cannot be nested more than ${MAX_TOPIC_DEPTH} levels deep` });
+      }
+    }
+
+    subject.topics.push({
+      name,
+      description,
+      estimatedTime: estimatedTime !== undefined ? Number(estimatedTime) : undefined,
+      difficulty
+    });
+    const topic = subject.topics[subject.topics.length - 1];
+    placeTopic(subject.topics, topic, parentId, position);
+
+    await subject.save();
+
+    res.status(201).json({
+      message: 'Topic added successfully',
+      topic,
+      topicTree: buildTopicTree(subject.topics),
+      progress: subject.progress
+    });
+  } catch (error) {
+    console.error('Add topic error:', error);
+    res.status(500).json({ 
+      message: 'Failed to add topic',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Re-extract topics from the current syllabus and return a diff preview.
+// The result is staged on the subject; nothing changes until it is applied.
+router.post('/:id/topics/reextract', authenticateToken, async (req, res) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const diff = await stageTopicUpdate(subject);
+    await subject.save();
+
+    res.json({
+      message: 'Topic changes ready for review',
+      diff,
+      createdAt: subject.pendingTopicUpdate.createdAt
+    });
+  } catch (error) {
+    console.error('Topic re-extraction error:', error);
+
+    if (error instanceof AIGenerationError) {
+      return res.status(error.statusCode).json({
+        message: 'Failed to extract topics',
+        details: error.toJSON()
+      });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to extract topics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Apply the staged topic update. The merge is recomputed against the current
+// topics so edits made since the preview are taken into account.
+router.post('/:id/topics/reextract/apply', authenticateToken, async (req, res) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    if (!subject.pendingTopicUpdate?.topics) {
+      return res.status(404).json({ message: 'No pending topic update' });
+    }
+
+    const { topics, diff } = planTopicMerge(subject.topics, subject.pendingTopicUpdate.topics);
+    subject.topics = topics;
+    subject.pendingTopicUpdate = undefined;
+
+    await subject.save();
+
+    res.json({
+      message: 'Topic changes applied successfully',
+      diff,
+      topicTree: buildTopicTree(subject.topics),
+      removedTopics: formatRemovedTopics(subject.topics),
+      progress: subject.progress
+    });
+  } catch (error) {
+    console.error('Apply topic update error:', error);
+    res.status(500).json({ 
+      message: 'Failed to apply topic changes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Discard the staged topic update
+router.delete('/:id/topics/reextract', authenticateToken, async (req, res) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    if (!subject.pendingTopicUpdate?.topics) {
+      return res.status(404).json({ message: 'No pending topic update' });
+    }
+
+    subject.pendingTopicUpdate = undefined;
+    await subject.save();
+
+    res.json({ message: 'Topic changes discarded' });
+  } catch (error) {
+    console.error('Discard topic update error:', error);
+    res.status(500).json({ 
+      message: 'Failed to discard topic changes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Reorder the children of one parent (omit parentId for top-level units)
+router.patch('/:id/topics/reorder', authenticateToken, validateTopicReorder, async (req, res) => {
+  try {
+    const { parentId = null, orderedIds } = req.body;
+
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    if (parentId && !subject.topics.id(parentId)) {
+      return res.status(404).json({ message: 'Parent topic not found' });
+    }
+
+    const siblings = getChildren(subject.topics, parentId);
+    const siblingIds = new Set(siblings.map(topic => topic._id.toString()));
+    const isPermutation = orderedIds.length === siblings.length &&
+      new Set(orderedIds).size === orderedIds.length &&
+      orderedIds.every(id => siblingIds.has(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({ message: 'orderedIds must list every child of the parent exactly once' });
+    }
+
+    orderedIds.forEach((id, index) => {
+      subject.topics.id(id).order = index;
+    });
+
+    await subject.save();
+
+    res.json({
+      message: 'Topics reordered successfully',
+      topicTree: buildTopicTree(subject.topics)
+    });
+  } catch (error) {
+    console.error('Reorder topics error:', error);
+    res.status(500).json({ 
+      message: 'Failed to reorder topics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Apply several topic edits and deletions in one request. Every referenced
+// topic must exist; nothing is saved if any of them is missing.
+router.patch('/:id/topics', authenticateToken, validateTopicBulkUpdate, async (req, res) => {
+  try {
+    const { updates = [], deleteIds = [] } = req.body;
+
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const missingIds = [...updates.map(update => update.id), ...deleteIds]
+      .filter(id => !subject.topics.id(id));
+
+    if (missingIds.length > 0) {
+      return res.status(404).json({ message: 'Topic not found', missingIds: [...new Set(missingIds)] });
+    }
+
+    const invalidFields = updates
+      .flatMap(update => Object.keys(update))
+      .filter(field => field !== 'id' && !EDITABLE_TOPIC_FIELDS.includes(field));
+
+    if (invalidFields.length > 0) {
+      return res.status(400).json({ message: 'Invalid update fields', fields: [...new Set(invalidFields)] });
+    }
+
+    const completionBefore = completionSnapshot(subject.topics);
+
+    updates.forEach(({ id, ...changes }) => {
+      applyTopicChanges(subject, subject.topics.id(id), changes);
+    });
+    const deletedCount = deleteTopics(subject, deleteIds);
+
+    await subject.save();
+    await logActivities(
+      req.user.id,
+      topicCompletionEvents(subject, completionChanges(subject.topics, completionBefore))
+    );
+
+    res.json({
+      message: 'Topics updated successfully',
+      updatedCount: updates.length,
+      deletedCount,
+      topicTree: buildTopicTree(subject.topics),
+      progress: subject.progress
+    });
+  } catch (error) {
+    console.error('Bulk update topics error:', error);
+    res.status(500).json({ 
+      message: 'Failed to update topics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Edit a topic: rename, change time/difficulty, attach notes or (un)complete it
+router.patch('/:id/topics/:topicId', authenticateToken, validateTopicUpdate, async (req, res) => {
+  try {
+    const updates = Object.keys(req.body);
+    const isValidOperation = updates.every(update => EDITABLE_TOPIC_FIELDS.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({ message: 'Invalid update fields' });
+    }
+
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const topic = subject.topics.id(req.params.topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    const completionBefore = completionSnapshot(subject.topics);
+
+    applyTopicChanges(subject, topic, req.body);
+
+    await subject.save();
+    await logActivities(
+      req.user.id,
+      topicCompletionEvents(subject, completionChanges(subject.topics, completionBefore))
+    );
+
+    res.json({
+      message: 'Topic updated successfully',
+      topic,
+      topicTree: buildTopicTree(subject.topics),
+      progress: subject.progress
+    });
+  } catch (error) {
+    console.error('Update topic error:', error);
+    res.status(500).json({ 
+      message: 'Failed to update topic',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Delete a topic together with its subtopics
+router.delete('/:id/topics/:topicId', authenticateToken, async (req, res) => {
+  try {
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    if (!subject.topics.id(req.params.topicId)) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    const deletedCount = deleteTopics(subject, [req.params.topicId]);
+
+    await subject.save();
+
+    res.json({
+      message: 'Topic deleted successfully',
+      deletedCount,
+      topicTree: buildTopicTree(subject.topics),
+      progress: subject.progress
+    });
+  } catch (error) {
+    console.error('Delete topic error:', error);
+    res.status(500).json({ 
+      message: 'Failed to delete topic',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Move a topic (and its subtree) under a new parent
+router.patch('/:id/topics/:topicId/move', authenticateToken, validateTopicMove, async (req, res) => {
+  try {
+    const { parentId = null, position } = req.body;
+
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      isActive: true
+    });
+
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const topic = subject.topics.id(req.params.topicId);
+    if (!topic) {
+      return res.status(404).json({ message: 'Topic not found' });
+    }
+
+    if (parentId) {
+      if (!subject.topics.id(parentId)) {
+        return res.status(404).json({ message: 'Parent topic not found' });
+      }
+      if (parentId === topic._id.toString() || getDescendantIds(subject.topics, topic._id).includes(parentId)) {
+        return res.status(400).json({ message: 'A topic cannot be moved under itself or its own subtopics' });
+      }
+    }
+
+    const newDepth = parentId ? getDepth(subject.topics, parentId) + 1 : 0;
+    if (newDepth + getSubtreeHeight(subject.topics, topic._id) > MAX_TOPIC_DEPTH) {
+      return res.status(400).json({ message: `Topics cannot be nested more than ${MAX_TOPIC_DEPTH} levels deep` });
+    }
+
+    placeTopic(subject.topics, topic, parentId, position !== undefined ? Number(position) : undefined);
+
+    await subject.save();
+
+    res.json({
+      message: 'Topic moved successfully',
+      topicTree: buildTopicTree(subject.topics),
+      progress: subject.progress
+    });
+  } catch (error) {
+    console.error('Move topic error:', error);
+    res.status(500).json({ 
+      message: 'Failed to move topic',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -14,9 +14,12 @@ import studyPlanRoutes from './routes/studyPlan.js';
 import flashcardRoutes from './routes/flashcard.js';
 import quizRoutes from './routes/quiz.js';
 import dashboardRoutes from './routes/dashboard.js';
+import calendarRoutes from './routes/calendar.js';
+import studySessionRoutes from './routes/studySession.js';
 
 // Utility imports
 import { sendDailyReminders } from './utils/emailService.js';
+import { rebalanceOverduePlans } from './utils/planRebalancer.js';
 import { connectDB } from './config/database.js';
 
 dotenv.config();
@@ -56,6 +59,8 @@ app.use('/api/study-plan', studyPlanRoutes);
 app.use('/api/flashcards', flashcardRoutes);
 app.use('/api/quiz', quizRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/study-sessions', studySessionRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -91,6 +96,17 @@ cron.schedule('0 9 * * *', async () => {
   }
 });
 
+// Overdue task rescheduling cron job (runs every day at 1 AM, before reminders go out)
+cron.schedule('0 1 * * *', async () => {
+  console.log('Running study plan rebalance cron job...');
+  try {
+    await rebalanceOverduePlans();
+    console.log('Study plans rebalanced successfully');
+  } catch (error) {
+    console.error('Error rebalancing study plans:', error);
+  }
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 StudyGenie Backend Server is running on port ${PORT}`);
@@ -0,0 +1,294 @@
+import mongoose from 'mongoose';
+import ActivityEvent, { STUDY_ACTIVITY_TYPES } from '../models/ActivityEvent.js';
+import { localDay } from './streakService.js';
+
+// Analytics computed with aggregation pipelines over the activity log.
+// Days are calendar days in the user's timezone.
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Drops card_reviewed events cancelled by a card_review_undone event
+export const excludeUndoneReviews = [
+  {
+    $lookup: {
+      from: ActivityEvent.collection.name,
+      localField: 'reviewLog',
+      foreignField: 'reviewLog',
+      pipeline: [{ $match: { type: 'card_review_undone' } }, { $limit: 1 }],
+      as: 'undo'
+    }
+  },
+  { $match: { undo: { $size: 0 } } },
+  { $unset: 'undo' }
+];
+
+const dayOf = (timezone) => ({
+  $dateToString: { format: '%Y-%m-%d', date: '$occurredAt', timezone }
+});
+
+// Totals for everything logged since `since`
+export const getActivitySummary = async (userId, { since, timezone = 'UTC' }) => {
+  const [result] = await ActivityEvent.aggregate([
+    { $match: { user: toObjectId(userId), occurredAt: { $gte: since } } },
+    {
+      $facet: {
+        tasks: [
+          { $match: { type: { $in: ['task_completed', 'task_reopened'] } } },
+          {
+            $group: {
+              _id: null,
+              completed: { $sum: { $cond: [{ $eq: ['$type', 'task_completed'] }, 1, -1] } }
+            }
+          }
+        ],
+        tasksByDay: [
+          { $match: { type: 'task_completed' } },
+          { $group: { _id: dayOf(timezone), count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        sessions: [
+          { $match: { type: 'session_ended' } },
+          { $group: { _id: null, minutes: { $sum: '$minutes' }, count: { $sum: 1 } } }
+        ],
+        quizzes: [
+          { $match: { type: 'quiz_completed' } },
+          {
+            $group: {
+              _id: null,
+              attempts: { $sum: 1 },
+              averageScore: { $avg: '$percentage' },
+              bestScore: { $max: '$percentage' }
+            }
+          }
+        ],
+        cards: [
+          { $match: { type: 'card_reviewed' } },
+          ...excludeUndoneReviews,
+          {
+            $group: {
+              _id: null,
+              reviews: { $sum: 1 },
+              cards: { $addToSet: '$flashcard' },
+              // Backfilled reviews have no grade, so only graded ones count towards success
+              graded: { $sum: { $cond: [{ $eq: [{ $type: '$correct' }, 'bool'] }, 1, 0] } },
+              correct: { $sum: { $cond: [{ $eq: ['$correct', true] }, 1, 0] } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const tasks = result.tasks[0] || { completed: 0 };
+  const sessions = result.sessions[0] || { minutes: 0, count: 0 };
+  const quizzes = result.quizzes[0] || { attempts: 0, averageScore: 0, bestScore: 0 };
+  const cards = result.cards[0] || { reviews: 0, cards: [], graded: 0, correct: 0 };
+
+  return {
+    completedTasks: Math.max(0, tasks.completed),
+    dailyProgress: Object.fromEntries(result.tasksByDay.map(day => [day._id, day.count])),
+    studyMinutes: sessions.minutes,
+    sessions: sessions.count,
+    quizAttempts: quizzes.attempts,
+    averageQuizScore: Math.round(quizzes.averageScore || 0),
+    bestQuizScore: quizzes.bestScore || 0,
+    cardReviews: cards.reviews,
+    cardsReviewed: cards.cards.length,
+    cardSuccessRate: cards.graded > 0 ? Math.round((cards.correct / cards.graded) * 100) : 0
+  };
+};
+
+// Most recent quiz results with the quiz title
+export const getRecentQuizScores = async (userId, limit = 5) => {
+  return ActivityEvent.aggregate([
+    { $match: { user: toObjectId(userId), type: 'quiz_completed' } },
+    { $sort: { occurredAt: -1 } },
+    { $limit: limit },
+    { $lookup: { from: 'quizzes', localField: 'quiz', foreignField: '_id', as: 'quiz' } },
+    { $unwind: '$quiz' },
+    { $project: { _id: 0, quizTitle: '$quiz.title', score: '$percentage', date: '$occurredAt' } }
+  ]);
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday of the week containing `day` ("YYYY-MM-DD")
+const weekStartKey = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  const offset = (date.getUTCDay() + 6) % 7;
+  return new Date(date.getTime() - offset * DAY_MS).toISOString().slice(0, 10);
+};
+
+// Every week start from the week containing `fromDay` to the one containing `toDay`
+const weekKeysBetween = (fromDay, toDay) => {
+  const keys = [];
+  const last = weekStartKey(toDay);
+  for (let key = weekStartKey(fromDay); key <= last; key = new Date(Date.parse(key) + 7 * DAY_MS).toISOString().slice(0, 10)) {
+    keys.push(key);
+  }
+  return keys;
+};
+
+const weekOf = (timezone) => ({
+  $dateToString: {
+    format: '%Y-%m-%d',
+    date: { $dateTrunc: { date: '$occurredAt', unit: 'week', startOfWeek: 'monday', timezone } },
+    timezone
+  }
+});
+
+const baseMatch = (userId, { since, subjectId }) => ({
+  user: toObjectId(userId),
+  occurredAt: { $gte: since },
+  ...(subjectId ? { subject: toObjectId(subjectId) } : {})
+});
+
+// Study activity per day: number of study events and minutes from sessions
+export const getActivityHeatmap = async (userId, { since, timezone = 'UTC' }) => {
+  return ActivityEvent.aggregate([
+    { $match: { ...baseMatch(userId, { since }), type: { $in: STUDY_ACTIVITY_TYPES } } },
+    {
+      $group: {
+        _id: dayOf(timezone),
+        count: { $sum: 1 },
+        minutes: { $sum: { $cond: [{ $eq: ['$type', 'session_ended'] }, '$minutes', 0] } }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: '$_id', count: 1, minutes: 1 } }
+  ]);
+};
+
+// Minutes of study sessions per subject per week (weeks start on Monday)
+export const getWeeklyStudyTime = async (userId, { since, until = new Date(), timezone = 'UTC' }) => {
+  const rows = await ActivityEvent.aggregate([
+    { $match: { ...baseMatch(userId, { since }), type: 'session_ended' } },
+    { $group: { _id: { week: weekOf(timezone), subject: '$subject' }, minutes: { $sum: '$minutes' } } },
+    { $lookup: { from: 'subjects', localField: '_id.subject', foreignField: '_id', as: 'subject' } },
+    { $unwind: { path: '$subject', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        week: '$_id.week',
+        subjectId: '$_id.subject',
+        subjectName: { $ifNull: ['$subject.name', 'Deleted subject'] },
+        minutes: 1
+      }
+    }
+  ]);
+
+  const weeks = weekKeysBetween(localDay(since, timezone), localDay(until, timezone));
+  const subjects = new Map();
+
+  for (const row of rows) {
+    const key = row.subjectId ? row.subjectId.toString() : 'none';
+    if (!subjects.has(key)) {
+      subjects.set(key, { id: row.subjectId, name: row.subjectName, minutes: weeks.map(() => 0), total: 0 });
+    }
+    const subject = subjects.get(key);
+    const index = weeks.indexOf(row.week);
+    if (index >= 0) subject.minutes[index] += row.minutes;
+    subject.total += row.minutes;
+  }
+
+  return {
+    weeks,
+    subjects: [...subjects.values()].sort((a, b) => b.total - a.total),
+    totals: weeks.map((week, index) => [...subjects.values()].reduce((sum, subject) => sum + subject.minutes[index], 0))
+  };
+};
+
+// Each completed quiz attempt, plus the average score per week
+export const getQuizScoreTrend = async (userId, { since, timezone = 'UTC', subjectId }) => {
+  const [result] = await ActivityEvent.aggregate([
+    { $match: { ...baseMatch(userId, { since, subjectId }), type: 'quiz_completed' } },
+    { $sort: { occurredAt: 1 } },
+    {
+      $facet: {
+        attempts: [
+          { $lookup: { from: 'quizzes', localField: 'quiz', foreignField: '_id', as: 'quiz' } },
+          { $unwind: '$quiz' },
+          {
+            $project: {
+              _id: 0,
+              date: '$occurredAt',
+              score: '$percentage',
+              quizId: '$quiz._id',
+              quizTitle: '$quiz.title',
+              subjectId: '$subject'
+            }
+          }
+        ],
+        weekly: [
+          { $group: { _id: weekOf(timezone), averageScore: { $avg: '$percentage' }, attempts: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+          { $project: { _id: 0, week: '$_id', averageScore: { $round: ['$averageScore', 0] }, attempts: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+// Flashcard retention: how often cards are recalled depending on how many
+// days have passed since their previous review, and recall rate per week.
+// Backfilled reviews are left out as they have no grade or previous review.
+export const RETENTION_BUCKETS = [0, 1, 2, 4, 8, 15, 31, 61];
+
+export const getRetentionCurve = async (userId, { since, timezone = 'UTC', subjectId }) => {
+  const [result] = await ActivityEvent.aggregate([
+    {
+      $match: {
+        user: toObjectId(userId),
+        type: 'card_reviewed',
+        backfilled: false,
+        ...(subjectId ? { subject: toObjectId(subjectId) } : {})
+      }
+    },
+    ...excludeUndoneReviews,
+    {
+      $setWindowFields: {
+        partitionBy: '$flashcard',
+        sortBy: { occurredAt: 1 },
+        output: { previousReview: { $shift: { output: '$occurredAt', by: -1 } } }
+      }
+    },
+    { $match: { occurredAt: { $gte: since } } },
+    {
+      $facet: {
+        byInterval: [
+          { $match: { previousReview: { $ne: null } } },
+          {
+            $bucket: {
+              groupBy: { $dateDiff: { startDate: '$previousReview', endDate: '$occurredAt', unit: 'day', timezone } },
+              boundaries: RETENTION_BUCKETS,
+              default: 'older',
+              output: { reviews: { $sum: 1 }, recalled: { $sum: { $cond: ['$correct', 1, 0] } } }
+            }
+          }
+        ],
+        weekly: [
+          { $group: { _id: weekOf(timezone), reviews: { $sum: 1 }, recalled: { $sum: { $cond: ['$correct', 1, 0] } } } },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const retention = (bucket) => Math.round((bucket.recalled / bucket.reviews) * 100);
+
+  return {
+    byInterval: result.byInterval.map(bucket => {
+      const index = RETENTION_BUCKETS.indexOf(bucket._id);
+      const upper = index >= 0 ? RETENTION_BUCKETS[index + 1] - 1 : null;
+      return {
+        minDays: index >= 0 ? bucket._id : RETENTION_BUCKETS[RETENTION_BUCKETS.length - 1],
+        maxDays: upper,
+        reviews: bucket.reviews,
+        retention: retention(bucket)
+      };
+    }),
+    weekly: result.weekly.map(week => ({ week: week._id, reviews: week.reviews, retention: retention(week) }))
+  };
+};
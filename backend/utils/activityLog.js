@@ -0,0 +1,183 @@
+import ActivityEvent from '../models/ActivityEvent.js';
+import StudyPlan from '../models/StudyPlan.js';
+import Subject from '../models/Subject.js';
+import Quiz from '../models/Quiz.js';
+import Flashcard from '../models/Flashcard.js';
+import StudySession from '../models/StudySession.js';
+import User from '../models/User.js';
+import { isLeaf } from './topicTree.js';
+
+// Append events to the activity log. The action they describe has already
+// been saved by the time they are logged, so a logging failure is reported
+// but doesn't fail the request.
+export const logActivities = async (userId, events) => {
+  if (events.length === 0) return [];
+
+  try {
+    return await ActivityEvent.insertMany(events.map(event => ({ ...event, user: userId })));
+  } catch (error) {
+    console.error('❌ Failed to log activity:', error.message);
+    return [];
+  }
+};
+
+export const logActivity = async (userId, type, fields = {}) => {
+  const [event] = await logActivities(userId, [{ type, ...fields }]);
+  return event || null;
+};
+
+// Completion state of plan tasks or subject topics by id, taken before an
+// update so the tasks/topics it (un)completed can be logged afterwards
+export const completionSnapshot = (items) => {
+  return new Map(items.map(item => [item._id.toString(), !!item.completed]));
+};
+
+export const completionChanges = (items, snapshot) => {
+  return items.filter(item => snapshot.has(item._id.toString()) && snapshot.get(item._id.toString()) !== !!item.completed);
+};
+
+// Task events for the plan tasks an update (un)completed
+export const taskCompletionEvents = (studyPlan, tasks) => tasks.map(task => ({
+  type: task.completed ? 'task_completed' : 'task_reopened',
+  occurredAt: task.completed ? task.completedAt : new Date(),
+  subject: studyPlan.subject,
+  studyPlan: studyPlan._id,
+  taskId: task._id,
+  topicId: task.topicId,
+  topic: task.topic
+}));
+
+// Topic events for the leaf topics an update (un)completed. Parents follow
+// their children, so logging them as well would count the same work twice.
+export const topicCompletionEvents = (subject, topics) => topics
+  .filter(topic => isLeaf(subject.topics, topic._id))
+  .map(topic => ({
+    type: topic.completed ? 'topic_completed' : 'topic_reopened',
+    occurredAt: topic.completed ? topic.completedAt : new Date(),
+    subject: subject._id,
+    topicId: topic._id,
+    topic: topic.name
+  }));
+
+export const quizAnsweredEvent = (quiz, attempt, answer, occurredAt = new Date()) => ({
+  type: 'quiz_answered',
+  occurredAt,
+  subject: quiz.subject,
+  quiz: quiz._id,
+  attemptId: attempt._id,
+  questionIndex: answer.questionIndex,
+  topicId: quiz.questions[answer.questionIndex]?.topicId,
+  topic: quiz.questions[answer.questionIndex]?.topic,
+  correct: answer.isCorrect
+});
+
+export const quizCompletedEvent = (quiz, attempt) => ({
+  type: 'quiz_completed',
+  occurredAt: attempt.endTime,
+  subject: quiz.subject,
+  quiz: quiz._id,
+  attemptId: attempt._id,
+  minutes: Math.round((attempt.endTime - attempt.startTime) / 1000 / 60),
+  percentage: attempt.percentage
+});
+
+export const sessionEndedEvent = (session) => ({
+  type: 'session_ended',
+  occurredAt: session.endedAt,
+  subject: session.subject,
+  studySession: session._id,
+  studyPlan: session.studyPlan,
+  taskId: session.taskId,
+  topicId: session.topicId,
+  quiz: session.quiz,
+  minutes: Math.round(session.duration / 60)
+});
+
+// Recreate events for activity stored before the log existed, i.e. older than
+// the user's first logged event. Running it again adds nothing, since
+// everything it recreates is then older than the first event. Quiz answers
+// were logged later than the rest, so they are recreated for every completed
+// attempt that has none, whenever it happened.
+export const backfillActivityEvents = async (userId) => {
+  const firstEvent = await ActivityEvent.findOne({ user: userId }).sort({ occurredAt: 1 });
+  const cutoff = firstEvent ? firstEvent.occurredAt : new Date();
+  const before = (date) => date && new Date(date) < cutoff;
+
+  const [studyPlans, subjects, quizzes, flashcards, sessions, answeredAttempts] = await Promise.all([
+    StudyPlan.find({ user: userId }),
+    Subject.find({ user: userId }),
+    Quiz.find({ user: userId }),
+    Flashcard.find({ user: userId, 'stats.lastReviewed': { $exists: true } }),
+    StudySession.find({ user: userId, status: 'completed' }),
+    ActivityEvent.distinct('attemptId', { user: userId, type: 'quiz_answered' })
+  ]);
+
+  // Archived plan versions carry completed tasks over, so count each task once
+  const seenTasks = new Set();
+  const taskEvents = studyPlans.flatMap(plan => taskCompletionEvents(
+    plan,
+    plan.dailyTasks.filter(task => {
+      const key = `${plan.subject}:${task.topicId || task.topic}:${task.completedAt?.getTime()}`;
+      if (!task.completed || !before(task.completedAt) || seenTasks.has(key)) return false;
+      seenTasks.add(key);
+      return true;
+    })
+  ));
+
+  const topicEvents = subjects.flatMap(subject => topicCompletionEvents(
+    subject,
+    subject.topics.filter(topic => topic.completed && before(topic.completedAt))
+  ));
+
+  const quizEvents = quizzes.flatMap(quiz => quiz.attempts
+    .filter(attempt => attempt.completed && before(attempt.endTime))
+    .map(attempt => quizCompletedEvent(quiz, attempt)));
+
+  // Answers aren't timestamped, so they are dated when the attempt ended
+  const answered = new Set(answeredAttempts.map(attemptId => attemptId.toString()));
+  const answerEvents = quizzes.flatMap(quiz => quiz.attempts
+    .filter(attempt => attempt.completed && attempt.endTime && !answered.has(attempt._id.toString()))
+    .flatMap(attempt => attempt.answers.map(answer => quizAnsweredEvent(quiz, attempt, answer, attempt.endTime))));
+
+  // Only the last review of each card is known
+  const cardEvents = flashcards
+    .filter(card => before(card.stats.lastReviewed))
+    .map(card => ({
+      type: 'card_reviewed',
+      occurredAt: card.stats.lastReviewed,
+      subject: card.subject,
+      flashcard: card._id,
+      topic: card.topic
+    }));
+
+  const sessionEvents = sessions
+    .filter(session => before(session.endedAt))
+    .map(sessionEndedEvent);
+
+  const events = [...taskEvents, ...topicEvents, ...quizEvents, ...answerEvents, ...cardEvents, ...sessionEvents]
+    .map(event => ({ ...event, user: userId, backfilled: true }));
+
+  if (events.length > 0) {
+    await ActivityEvent.insertMany(events);
+  }
+
+  return events.length;
+};
+
+// Backfill a user's history once, before it is first read. The user is
+// claimed up front so concurrent requests don't backfill twice, and released
+// again if the backfill fails so a later request retries it.
+export const ensureActivityBackfilled = async (userId) => {
+  const claim = await User.updateOne(
+    { _id: userId, activityBackfilledAt: null },
+    { $set: { activityBackfilledAt: new Date() } }
+  );
+  if (claim.modifiedCount === 0) return;
+
+  try {
+    await backfillActivityEvents(userId);
+  } catch (error) {
+    await User.updateOne({ _id: userId }, { $unset: { activityBackfilledAt: 1 } });
+    throw error;
+  }
+};
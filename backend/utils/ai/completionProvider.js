@@ -0,0 +1,109 @@
+import {
+  buildStudyPlanPrompt,
+  buildFlashcardsPrompt,
+  buildClozePrompt,
+  buildQuizPrompt,
+  buildTopicsPrompt,
+  buildTaskDescriptionsPrompt,
+  buildRepairPrompt
+} from './prompts.js';
+import { validators } from './schemas.js';
+import { AIGenerationError } from './errors.js';
+
+// Base class for providers backed by a text-completion model.
+// Subclasses only need to implement complete(prompt) and return raw text.
+export class CompletionProvider {
+  constructor(name, { maxAttempts = 3 } = {}) {
+    this.name = name;
+    this.maxAttempts = Math.max(1, maxAttempts);
+  }
+
+  async complete() {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  // Extract the first JSON object from a model response
+  parseJSON(text) {
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      return JSON.parse(jsonMatch[0]);
+    }
+
+    throw new Error('Could not extract JSON from AI response');
+  }
+
+  // Ask the model for JSON matching the `task` schema.
+  // Invalid responses are sent back with the list of problems until they
+  // validate or `maxAttempts` is reached.
+  async completeValidated(prompt, task, options = {}) {
+    const validate = validators[task];
+    let currentPrompt = prompt;
+    let lastFailure;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let text;
+      try {
+        text = await this.complete(currentPrompt);
+      } catch (error) {
+        throw new AIGenerationError(`AI provider request failed: ${error.message}`, {
+          task,
+          stage: 'provider',
+          attempts: attempt,
+          cause: error
+        });
+      }
+
+      let data;
+      try {
+        data = this.parseJSON(text);
+      } catch (error) {
+        lastFailure = { stage: 'parse', issues: [{ path: '$', message: error.message }] };
+        currentPrompt = buildRepairPrompt(prompt, text, lastFailure.issues);
+        continue;
+      }
+
+      const { value, issues } = validate(data, options);
+      if (issues.length === 0) {
+        return value;
+      }
+
+      lastFailure = { stage: 'validation', issues };
+      currentPrompt = buildRepairPrompt(prompt, text, issues);
+    }
+
+    throw new AIGenerationError(`AI response for ${task} was invalid after ${this.maxAttempts} attempts`, {
+      task,
+      stage: lastFailure.stage,
+      issues: lastFailure.issues,
+      attempts: this.maxAttempts
+    });
+  }
+
+  async generateStudyPlan(syllabus, subjectName, examDate, currentDate = new Date()) {
+    return this.completeValidated(buildStudyPlanPrompt(syllabus, subjectName, examDate, currentDate), 'studyPlan');
+  }
+
+  async generateFlashcards(syllabus, subjectName, topicName = '') {
+    return this.completeValidated(buildFlashcardsPrompt(syllabus, subjectName, topicName), 'flashcards');
+  }
+
+  async generateClozeCards(syllabus, subjectName, topicName = '') {
+    return this.completeValidated(buildClozePrompt(syllabus, subjectName, topicName), 'clozeCards');
+  }
+
+  async generateQuiz(syllabus, subjectName, numberOfQuestions = 10) {
+    return this.completeValidated(buildQuizPrompt(syllabus, subjectName, numberOfQuestions), 'quiz', { numberOfQuestions });
+  }
+
+  async extractTopicsFromSyllabus(syllabus) {
+    return this.completeValidated(buildTopicsPrompt(syllabus), 'topics');
+  }
+
+  async describeStudyTasks(subjectName, tasks) {
+    return this.completeValidated(buildTaskDescriptionsPrompt(subjectName, tasks), 'taskDescriptions', {
+      taskCount: tasks.length
+    });
+  }
+}
+
+export default CompletionProvider;
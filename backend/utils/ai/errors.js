@@ -0,0 +1,32 @@
+// Structured error for failed AI generations.
+// `stage` tells the client where it failed:
+//   provider   - the model API could not be reached or returned an error
+//   parse      - the model did not return parseable JSON
+//   validation - the JSON did not match the expected schema
+// `chunk` is set when the failure happened in one section of a long syllabus.
+export class AIGenerationError extends Error {
+  constructor(message, { task, stage, issues = [], attempts = 1, cause } = {}) {
+    super(message);
+    this.name = 'AIGenerationError';
+    this.task = task;
+    this.stage = stage;
+    this.issues = issues;
+    this.attempts = attempts;
+    this.cause = cause;
+    this.chunk = null;
+    this.statusCode = 502;
+  }
+
+  toJSON() {
+    return {
+      code: 'AI_GENERATION_FAILED',
+      task: this.task,
+      stage: this.stage,
+      attempts: this.attempts,
+      chunk: this.chunk || undefined,
+      issues: this.issues.slice(0, 20)
+    };
+  }
+}
+
+export default AIGenerationError;
@@ -0,0 +1,203 @@
+import { getDaysUntilExam } from './prompts.js';
+import { assertValid, DIFFICULTIES } from './schemas.js';
+import { splitSyllabusIntoSections } from '../syllabusChunker.js';
+import { formatMinutes } from '../studyScheduler.js';
+
+const MAX_TOPICS = 15;
+
+// Turn free-form syllabus text into a clean, de-duplicated list of topic names
+const parseTopicNames = (syllabus = '') => {
+  let lines = syllabus
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  // Single-line syllabi are usually comma or semicolon separated
+  if (lines.length === 1) {
+    lines = lines[0].split(/[,;]/);
+  }
+
+  const seen = new Set();
+  const names = [];
+
+  for (const line of lines) {
+    const name = line
+      .replace(/^([-*•#>]+|\(?\d+[.)]|\(?[a-z][.)])\s*/i, '')
+      .replace(/\s*\((easy|medium|hard)\b[^)]*\).*$/i, '') // topic outline metadata
+      .replace(/[:.]+$/, '')
+      .trim();
+
+    if (name.length < 3) continue;
+
+    const key = name.toLowerCase();
+    if (seen.has(key)) continue;
+
+    seen.add(key);
+    names.push(name);
+
+    if (names.length === MAX_TOPICS) break;
+  }
+
+  return names.length > 0 ? names : ['Introduction and Overview'];
+};
+
+const difficultyFor = (index, total) => {
+  return DIFFICULTIES[Math.min(DIFFICULTIES.length - 1, Math.floor((index / total) * DIFFICULTIES.length))];
+};
+
+const estimatedMinutesFor = (difficulty) => {
+  return { easy: 60, medium: 90, hard: 120 }[difficulty];
+};
+
+// Deterministic, offline provider used for development, CI and demos.
+// Output is derived purely from the input so repeated calls give identical results.
+export class FixtureProvider {
+  constructor() {
+    this.name = 'fixture';
+  }
+
+  // Headed sections ("Unit 1: ...") become units with their lines as subtopics
+  async extractTopicsFromSyllabus(syllabus) {
+    const toTopic = (name, index, total, subtopics = []) => {
+      const difficulty = difficultyFor(index, total);
+      return {
+        name,
+        description: `Core concepts of ${name}`,
+        estimatedTime: estimatedMinutesFor(difficulty),
+        difficulty,
+        subtopics
+      };
+    };
+
+    const sections = splitSyllabusIntoSections(syllabus).map(section => {
+      const body = section.heading ? section.text.split('\n').slice(1).join('\n') : section.text;
+      return { heading: section.heading, names: body.trim() ? parseTopicNames(body) : [] };
+    });
+
+    const isStructured = sections.some(section => section.heading && section.names.length > 0);
+    if (!isStructured) {
+      const names = parseTopicNames(syllabus);
+      return assertValid('topics', {
+        topics: names.map((name, index) => toTopic(name, index, names.length))
+      });
+    }
+
+    const topics = [];
+    for (const section of sections) {
+      if (section.heading) {
+        const [unitName] = parseTopicNames(section.heading);
+        const subtopics = section.names.map((name, index) => toTopic(name, index, section.names.length));
+        topics.push(toTopic(unitName, topics.length, sections.length, subtopics));
+      } else {
+        section.names.forEach(name => topics.push(toTopic(name, topics.length, sections.length)));
+      }
+    }
+
+    return assertValid('topics', { topics: topics.slice(0, MAX_TOPICS) });
+  }
+
+  async generateStudyPlan(syllabus, subjectName, examDate, currentDate = new Date()) {
+    const names = parseTopicNames(syllabus);
+    const totalDuration = Math.max(1, getDaysUntilExam(examDate, currentDate));
+    const revisionDays = totalDuration > names.length ? Math.max(1, Math.round(totalDuration * 0.15)) : 0;
+    const studyDays = totalDuration - revisionDays;
+
+    const dailyTasks = [];
+    for (let day = 1; day <= totalDuration; day++) {
+      if (day <= studyDays) {
+        const index = (day - 1) % names.length;
+        const difficulty = difficultyFor(index, names.length);
+        dailyTasks.push({
+          day,
+          topic: names[index],
+          description: `Study ${names[index]} and summarise the key points in your own words`,
+          estimatedTime: formatMinutes(estimatedMinutesFor(difficulty)),
+          difficulty
+        });
+      } else {
+        dailyTasks.push({
+          day,
+          topic: `Revision: ${subjectName}`,
+          description: 'Review notes, revisit weak topics and practise past questions',
+          estimatedTime: formatMinutes(120),
+          difficulty: 'medium'
+        });
+      }
+    }
+
+    return assertValid('studyPlan', {
+      title: `Study Plan for ${subjectName}`,
+      description: `A ${totalDuration}-day plan covering ${names.length} topics of ${subjectName}`,
+      totalDuration,
+      dailyTasks
+    });
+  }
+
+  async describeStudyTasks(subjectName, tasks) {
+    return assertValid('taskDescriptions', {
+      tasks: tasks.map((task, index) => ({
+        index,
+        description: task.type === 'revision'
+          ? `${task.topic} for ${subjectName}: practise questions and revisit weak points`
+          : `Spend ${task.estimatedMinutes} minutes on ${task.topic}: read, take notes and test yourself`
+      }))
+    }, { taskCount: tasks.length });
+  }
+
+  async generateFlashcards(syllabus, subjectName, topicName = '') {
+    const names = topicName ? [topicName] : parseTopicNames(syllabus);
+
+    return assertValid('flashcards', {
+      flashcards: names.map((name, index) => ({
+        question: `What are the key ideas of ${name}?`,
+        answer: `${name} is a core part of ${subjectName}. Review its definitions, main principles and typical examples.`,
+        topic: name,
+        difficulty: difficultyFor(index, names.length),
+        tags: [subjectName.toLowerCase(), 'fixture']
+      }))
+    });
+  }
+
+  async generateClozeCards(syllabus, subjectName, topicName = '') {
+    const names = topicName ? [topicName] : parseTopicNames(syllabus);
+
+    return assertValid('clozeCards', {
+      clozeCards: names.map((name, index) => ({
+        text: `{{c1::${name}}} is a core part of {{c2::${subjectName}}}.`,
+        topic: name,
+        difficulty: difficultyFor(index, names.length),
+        tags: [subjectName.toLowerCase(), 'fixture']
+      }))
+    });
+  }
+
+  async generateQuiz(syllabus, subjectName, numberOfQuestions = 10) {
+    const names = parseTopicNames(syllabus);
+    const distractors = ['Unrelated Topic A', 'Unrelated Topic B', 'Unrelated Topic C'];
+
+    const questions = [];
+    for (let i = 0; i < numberOfQuestions; i++) {
+      const topic = names[i % names.length];
+      const correctAnswer = i % 4;
+      const options = [...distractors];
+      options.splice(correctAnswer, 0, topic);
+
+      questions.push({
+        question: `Question ${i + 1}: Which of the following is covered in ${subjectName}?`,
+        options,
+        correctAnswer,
+        explanation: `${topic} is listed in the ${subjectName} syllabus.`,
+        difficulty: difficultyFor(i % names.length, names.length),
+        topic
+      });
+    }
+
+    return assertValid('quiz', {
+      title: `Quiz: ${subjectName}`,
+      description: `Test your knowledge of ${subjectName}`,
+      questions
+    }, { numberOfQuestions });
+  }
+}
+
+export default FixtureProvider;
@@ -0,0 +1,23 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { CompletionProvider } from './completionProvider.js';
+
+export class GeminiProvider extends CompletionProvider {
+  constructor({ apiKey, model = 'gemini-pro', maxAttempts } = {}) {
+    super('gemini', { maxAttempts });
+
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required for the gemini AI provider');
+    }
+
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.model = this.genAI.getGenerativeModel({ model });
+  }
+
+  async complete(prompt) {
+    const result = await this.model.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+export default GeminiProvider;
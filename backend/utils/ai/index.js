@@ -0,0 +1,21 @@
+import { getAIConfig } from '../../config/ai.js';
+import { GeminiProvider } from './geminiProvider.js';
+import { OpenAIProvider } from './openAIProvider.js';
+import { FixtureProvider } from './fixtureProvider.js';
+
+// Create the AI provider selected by AI_PROVIDER (gemini | openai | fixture)
+export const createAIProvider = (config = getAIConfig()) => {
+  switch (config.provider) {
+    case 'gemini':
+      return new GeminiProvider({ ...config.gemini, maxAttempts: config.maxAttempts });
+    case 'openai':
+      return new OpenAIProvider({ ...config.openai, maxAttempts: config.maxAttempts });
+    case 'fixture':
+      return new FixtureProvider();
+    default:
+      throw new Error(`Unknown AI provider: ${config.provider}`);
+  }
+};
+
+export { GeminiProvider, OpenAIProvider, FixtureProvider };
+export { AIGenerationError } from './errors.js';
@@ -0,0 +1,51 @@
+import { CompletionProvider } from './completionProvider.js';
+
+// Works with any server exposing the OpenAI /chat/completions API
+// (OpenAI, Azure-compatible gateways, Ollama, LM Studio, vLLM, ...)
+export class OpenAIProvider extends CompletionProvider {
+  constructor({ apiKey, baseURL = 'https://api.openai.com/v1', model = 'gpt-4o-mini', timeout = 60000, maxAttempts } = {}) {
+    super('openai', { maxAttempts });
+
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  async complete(prompt) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages: [
+          { role: 'system', content: 'You are an expert study assistant. Always answer with valid JSON only.' },
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0.4
+      }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`OpenAI-compatible API responded with ${response.status}: ${body.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+
+    if (!content) {
+      throw new Error('OpenAI-compatible API returned an empty completion');
+    }
+
+    return content;
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,239 @@
+// Prompt builders shared by every text-completion provider
+
+export const getDaysUntilExam = (examDate, currentDate = new Date()) => {
+  return Math.ceil((new Date(examDate) - currentDate) / (1000 * 60 * 60 * 24));
+};
+
+export const buildStudyPlanPrompt = (syllabus, subjectName, examDate, currentDate = new Date()) => {
+  const daysUntilExam = getDaysUntilExam(examDate, currentDate);
+
+  return `
+      Create a detailed study plan for the following subject and syllabus:
+
+      Subject: ${subjectName}
+      Exam Date: ${examDate}
+      Days until exam: ${daysUntilExam}
+
+      Syllabus:
+      ${syllabus}
+
+      Please create a day-by-day study plan that includes:
+      1. Daily topics to cover
+      2. Estimated time for each topic (in hours and minutes)
+      3. Difficulty level (easy, medium, hard)
+      4. Brief description of what to focus on each day
+
+      Make sure the plan is realistic and accounts for revision time before the exam.
+
+      Difficulty must be exactly one of: easy, medium, hard.
+
+      Return the response in the following JSON format:
+      {
+        "title": "Study Plan for [Subject]",
+        "description": "Brief description of the study plan",
+        "totalDuration": ${daysUntilExam},
+        "dailyTasks": [
+          {
+            "day": 1,
+            "topic": "Topic name",
+            "description": "What to study and focus on",
+            "estimatedTime": "2 hours",
+            "difficulty": "medium"
+          }
+        ]
+      }
+    `;
+};
+
+export const buildFlashcardsPrompt = (syllabus, subjectName, topicName = '') => {
+  return `
+      Create educational flashcards for the following subject and syllabus:
+
+      Subject: ${subjectName}
+      ${topicName ? `Specific Topic: ${topicName}` : ''}
+
+      Syllabus:
+      ${syllabus}
+
+      Generate 10-15 flashcards with:
+      1. Clear, concise questions
+      2. Accurate, detailed answers
+      3. Appropriate difficulty level
+      4. Relevant topics from the syllabus
+
+      Difficulty must be exactly one of: easy, medium, hard.
+
+      Return the response in the following JSON format:
+      {
+        "flashcards": [
+          {
+            "question": "Question text here",
+            "answer": "Answer text here",
+            "topic": "Topic name",
+            "difficulty": "medium",
+            "tags": ["tag1", "tag2"]
+          }
+        ]
+      }
+    `;
+};
+
+export const buildClozePrompt = (syllabus, subjectName, topicName = '') => {
+  return `
+      Create cloze deletion flashcards for the following subject and syllabus:
+
+      Subject: ${subjectName}
+      ${topicName ? `Specific Topic: ${topicName}` : ''}
+
+      Syllabus:
+      ${syllabus}
+
+      Generate 10-15 cloze cards. Each card is one or two factual sentences in
+      which key terms are hidden with the syntax {{c1::term}}. Use c1, c2, ...
+      for terms that should be asked separately; reuse a number to hide terms
+      together. An optional hint goes after a second "::", e.g. {{c1::Paris::city}}.
+      Hide only the important terms, never whole sentences.
+
+      Difficulty must be exactly one of: easy, medium, hard.
+
+      Return the response in the following JSON format:
+      {
+        "clozeCards": [
+          {
+            "text": "The {{c1::mitochondria}} is the {{c2::powerhouse}} of the cell.",
+            "topic": "Topic name",
+            "difficulty": "medium",
+            "tags": ["tag1", "tag2"]
+          }
+        ]
+      }
+    `;
+};
+
+export const buildQuizPrompt = (syllabus, subjectName, numberOfQuestions = 10) => {
+  return `
+      Create a multiple-choice quiz for the following subject and syllabus:
+
+      Subject: ${subjectName}
+      Number of Questions: ${numberOfQuestions}
+
+      Syllabus:
+      ${syllabus}
+
+      Generate a quiz with:
+      1. Clear, well-structured questions
+      2. 4 multiple-choice options for each question
+      3. Correct answer index (0-3)
+      4. Brief explanation for each answer
+      5. Appropriate difficulty distribution
+      6. Questions covering different topics from the syllabus
+
+      Difficulty must be exactly one of: easy, medium, hard.
+
+      Return the response in the following JSON format:
+      {
+        "title": "Quiz: ${subjectName}",
+        "description": "Test your knowledge of ${subjectName}",
+        "questions": [
+          {
+            "question": "Question text here",
+            "options": ["Option A", "Option B", "Option C", "Option D"],
+            "correctAnswer": 0,
+            "explanation": "Brief explanation of the correct answer",
+            "difficulty": "medium",
+            "topic": "Topic name"
+          }
+        ]
+      }
+    `;
+};
+
+export const buildTopicsPrompt = (syllabus) => {
+  return `
+      Extract and organize the main topics from the following syllabus content:
+
+      Syllabus:
+      ${syllabus}
+
+      Please identify:
+      1. Main topics/chapters (use the syllabus units or modules where present)
+      2. Subtopics under each main topic, nested in "subtopics"
+      3. Estimated study time for each topic (in minutes)
+      4. Difficulty level of each topic
+
+      Nest at most three levels deep (unit -> topic -> subtopic).
+      Difficulty must be exactly one of: easy, medium, hard.
+
+      Return the response in the following JSON format:
+      {
+        "topics": [
+          {
+            "name": "Topic name",
+            "description": "Brief description",
+            "estimatedTime": 120,
+            "difficulty": "medium",
+            "subtopics": [
+              {
+                "name": "Subtopic name",
+                "description": "Brief description",
+                "estimatedTime": 45,
+                "difficulty": "easy",
+                "subtopics": []
+              }
+            ]
+          }
+        ]
+      }
+    `;
+};
+
+// `tasks` are scheduler tasks: { topic, difficulty, estimatedMinutes, type }
+export const buildTaskDescriptionsPrompt = (subjectName, tasks) => {
+  const list = tasks
+    .map((task, index) => `${index}. ${task.topic} (${task.type}, ${task.difficulty}, ${task.estimatedMinutes} minutes)`)
+    .join('\n');
+
+  return `
+      Write a short description for each study session below.
+
+      Subject: ${subjectName}
+
+      Sessions (index. topic (type, difficulty, minutes)):
+      ${list}
+
+      For each session describe in one or two sentences what to focus on and how
+      to use the time (for example reading, worked examples, practice questions).
+      Keep the index of each session unchanged.
+
+      Return the response in the following JSON format:
+      {
+        "tasks": [
+          {
+            "index": 0,
+            "description": "What to study and focus on in this session"
+          }
+        ]
+      }
+    `;
+};
+
+// Re-prompt used when a previous response failed to parse or validate
+export const buildRepairPrompt = (originalPrompt, previousResponse, issues) => {
+  const problems = issues
+    .slice(0, 20)
+    .map(issue => `- ${issue.path}: ${issue.message}`)
+    .join('\n');
+
+  return `
+      ${originalPrompt.trim()}
+
+      Your previous response could not be used:
+      ${previousResponse.slice(0, 4000)}
+
+      It had the following problems:
+      ${problems}
+
+      Return the complete corrected response as a single valid JSON object only,
+      with no markdown fences or extra commentary.
+    `;
+};
@@ -0,0 +1,336 @@
+// Strict validators for AI responses.
+// Each validator returns { value, issues } where `value` is a normalised copy
+// of the input and `issues` is a list of { path, message } problems.
+
+import { AIGenerationError } from './errors.js';
+import { isClozeText } from '../cloze.js';
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const createContext = () => {
+  const issues = [];
+  return {
+    issues,
+    add: (path, message) => issues.push({ path, message })
+  };
+};
+
+const readString = (ctx, obj, key, path, { required = true, minLength = 1 } = {}) => {
+  const value = obj[key];
+
+  if (value === undefined || value === null) {
+    if (required) ctx.add(`${path}.${key}`, 'is required');
+    return undefined;
+  }
+
+  if (typeof value !== 'string') {
+    ctx.add(`${path}.${key}`, 'must be a string');
+    return undefined;
+  }
+
+  const trimmed = value.trim();
+  if (required && trimmed.length < minLength) {
+    ctx.add(`${path}.${key}`, minLength > 1 ? `must be at least ${minLength} characters` : 'must not be empty');
+  }
+
+  return trimmed;
+};
+
+const readDifficulty = (ctx, obj, path) => {
+  const value = obj.difficulty;
+  if (value === undefined || value === null) return 'medium';
+
+  const normalised = typeof value === 'string' ? value.trim().toLowerCase() : value;
+  if (!DIFFICULTIES.includes(normalised)) {
+    ctx.add(`${path}.difficulty`, `must be one of ${DIFFICULTIES.join(', ')}`);
+    return undefined;
+  }
+
+  return normalised;
+};
+
+const readArray = (ctx, obj, key, path, { min = 1 } = {}) => {
+  const value = obj[key];
+
+  if (!Array.isArray(value)) {
+    ctx.add(`${path}.${key}`, 'must be an array');
+    return [];
+  }
+
+  if (value.length < min) {
+    ctx.add(`${path}.${key}`, `must contain at least ${min} item${min > 1 ? 's' : ''}`);
+  }
+
+  return value;
+};
+
+const checkRoot = (ctx, data) => {
+  if (!isPlainObject(data)) {
+    ctx.add('$', 'must be a JSON object');
+    return false;
+  }
+  return true;
+};
+
+const MAX_TOPIC_DEPTH = 3;
+
+// Topics may nest as units -> topics -> subtopics
+const readTopicNode = (ctx, topic, path, depth) => {
+  if (!isPlainObject(topic)) {
+    ctx.add(path, 'must be an object');
+    return null;
+  }
+
+  let estimatedTime = topic.estimatedTime ?? 60;
+  if (typeof estimatedTime !== 'number' || !Number.isFinite(estimatedTime) || estimatedTime <= 0) {
+    ctx.add(`${path}.estimatedTime`, 'must be a positive number of minutes');
+  } else {
+    estimatedTime = Math.round(estimatedTime);
+  }
+
+  let subtopics = [];
+  if (topic.subtopics !== undefined && topic.subtopics !== null) {
+    if (!Array.isArray(topic.subtopics)) {
+      ctx.add(`${path}.subtopics`, 'must be an array');
+    } else if (depth + 1 >= MAX_TOPIC_DEPTH && topic.subtopics.length > 0) {
+      ctx.add(`${path}.subtopics`, `must not nest deeper than ${MAX_TOPIC_DEPTH} levels`);
+    } else {
+      subtopics = topic.subtopics.map((subtopic, index) =>
+        readTopicNode(ctx, subtopic, `${path}.subtopics[${index}]`, depth + 1)
+      );
+    }
+  }
+
+  return {
+    name: readString(ctx, topic, 'name', path),
+    description: readString(ctx, topic, 'description', path, { required: false }),
+    estimatedTime,
+    difficulty: readDifficulty(ctx, topic, path),
+    subtopics
+  };
+};
+
+export const validateTopics = (data) => {
+  const ctx = createContext();
+  if (!checkRoot(ctx, data)) return { value: null, issues: ctx.issues };
+
+  const topics = readArray(ctx, data, 'topics', '$').map((topic, index) =>
+    readTopicNode(ctx, topic, `$.topics[${index}]`, 0)
+  );
+
+  return { value: { topics }, issues: ctx.issues };
+};
+
+export const validateStudyPlan = (data) => {
+  const ctx = createContext();
+  if (!checkRoot(ctx, data)) return { value: null, issues: ctx.issues };
+
+  if (!Number.isInteger(data.totalDuration) || data.totalDuration < 1) {
+    ctx.add('$.totalDuration', 'must be a positive integer number of days');
+  }
+
+  const dailyTasks = readArray(ctx, data, 'dailyTasks', '$').map((task, index) => {
+    const path = `$.dailyTasks[${index}]`;
+    if (!isPlainObject(task)) {
+      ctx.add(path, 'must be an object');
+      return null;
+    }
+
+    if (!Number.isInteger(task.day) || task.day < 1) {
+      ctx.add(`${path}.day`, 'must be a positive integer');
+    }
+
+    // Accept a bare number of minutes as well as "2 hours"
+    let estimatedTime = task.estimatedTime;
+    if (typeof estimatedTime === 'number' && estimatedTime > 0) {
+      estimatedTime = `${Math.round(estimatedTime)} minutes`;
+    } else {
+      estimatedTime = readString(ctx, task, 'estimatedTime', path);
+    }
+
+    return {
+      day: task.day,
+      topic: readString(ctx, task, 'topic', path),
+      description: readString(ctx, task, 'description', path, { required: false }),
+      estimatedTime,
+      difficulty: readDifficulty(ctx, task, path)
+    };
+  });
+
+  return {
+    value: {
+      title: readString(ctx, data, 'title', '$'),
+      description: readString(ctx, data, 'description', '$', { required: false }),
+      totalDuration: data.totalDuration,
+      dailyTasks
+    },
+    issues: ctx.issues
+  };
+};
+
+export const validateFlashcards = (data) => {
+  const ctx = createContext();
+  if (!checkRoot(ctx, data)) return { value: null, issues: ctx.issues };
+
+  const flashcards = readArray(ctx, data, 'flashcards', '$').map((card, index) => {
+    const path = `$.flashcards[${index}]`;
+    if (!isPlainObject(card)) {
+      ctx.add(path, 'must be an object');
+      return null;
+    }
+
+    let tags = card.tags ?? [];
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      ctx.add(`${path}.tags`, 'must be an array of strings');
+      tags = [];
+    }
+
+    return {
+      question: readString(ctx, card, 'question', path, { minLength: 5 }),
+      answer: readString(ctx, card, 'answer', path),
+      topic: readString(ctx, card, 'topic', path),
+      difficulty: readDifficulty(ctx, card, path),
+      tags: tags.map(tag => tag.trim()).filter(Boolean)
+    };
+  });
+
+  return { value: { flashcards }, issues: ctx.issues };
+};
+
+export const validateClozeCards = (data) => {
+  const ctx = createContext();
+  if (!checkRoot(ctx, data)) return { value: null, issues: ctx.issues };
+
+  const clozeCards = readArray(ctx, data, 'clozeCards', '$').map((card, index) => {
+    const path = `$.clozeCards[${index}]`;
+    if (!isPlainObject(card)) {
+      ctx.add(path, 'must be an object');
+      return null;
+    }
+
+    let tags = card.tags ?? [];
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      ctx.add(`${path}.tags`, 'must be an array of strings');
+      tags = [];
+    }
+
+    const text = readString(ctx, card, 'text', path, { minLength: 5 });
+    if (text && !isClozeText(text)) {
+      ctx.add(`${path}.text`, 'must contain at least one deletion like {{c1::term}}');
+    }
+
+    return {
+      text,
+      topic: readString(ctx, card, 'topic', path),
+      difficulty: readDifficulty(ctx, card, path),
+      tags: tags.map(tag => tag.trim()).filter(Boolean)
+    };
+  });
+
+  return { value: { clozeCards }, issues: ctx.issues };
+};
+
+export const validateQuiz = (data, { numberOfQuestions } = {}) => {
+  const ctx = createContext();
+  if (!checkRoot(ctx, data)) return { value: null, issues: ctx.issues };
+
+  // Models sometimes over-deliver; extra questions are dropped rather than rejected
+  let rawQuestions = readArray(ctx, data, 'questions', '$');
+  if (numberOfQuestions && rawQuestions.length > numberOfQuestions) {
+    rawQuestions = rawQuestions.slice(0, numberOfQuestions);
+  }
+
+  const questions = rawQuestions.map((question, index) => {
+    const path = `$.questions[${index}]`;
+    if (!isPlainObject(question)) {
+      ctx.add(path, 'must be an object');
+      return null;
+    }
+
+    const options = question.options;
+    if (!Array.isArray(options) || options.length !== 4) {
+      ctx.add(`${path}.options`, 'must contain exactly 4 options');
+    } else if (options.some(option => typeof option !== 'string' || !option.trim())) {
+      ctx.add(`${path}.options`, 'must all be non-empty strings');
+    } else if (new Set(options.map(option => option.trim().toLowerCase())).size !== 4) {
+      ctx.add(`${path}.options`, 'must all be distinct');
+    }
+
+    if (!Number.isInteger(question.correctAnswer) || question.correctAnswer < 0 || question.correctAnswer > 3) {
+      ctx.add(`${path}.correctAnswer`, 'must be an integer option index between 0 and 3');
+    }
+
+    return {
+      question: readString(ctx, question, 'question', path),
+      options: Array.isArray(options) ? options.map(option => (typeof option === 'string' ? option.trim() : option)) : options,
+      correctAnswer: question.correctAnswer,
+      explanation: readString(ctx, question, 'explanation', path, { required: false }),
+      difficulty: readDifficulty(ctx, question, path),
+      topic: readString(ctx, question, 'topic', path)
+    };
+  });
+
+  return {
+    value: {
+      title: readString(ctx, data, 'title', '$'),
+      description: readString(ctx, data, 'description', '$', { required: false }),
+      questions
+    },
+    issues: ctx.issues
+  };
+};
+
+// Descriptions for scheduler tasks, matched back to the tasks by index
+export const validateTaskDescriptions = (data, { taskCount } = {}) => {
+  const ctx = createContext();
+  if (!checkRoot(ctx, data)) return { value: null, issues: ctx.issues };
+
+  const seen = new Set();
+  const tasks = readArray(ctx, data, 'tasks', '$').map((task, index) => {
+    const path = `$.tasks[${index}]`;
+    if (!isPlainObject(task)) {
+      ctx.add(path, 'must be an object');
+      return null;
+    }
+
+    const validIndex = Number.isInteger(task.index) && task.index >= 0 &&
+      (taskCount === undefined || task.index < taskCount);
+    if (!validIndex) {
+      ctx.add(`${path}.index`, 'must be the index of one of the listed tasks');
+    } else if (seen.has(task.index)) {
+      ctx.add(`${path}.index`, 'must not repeat another task');
+    }
+    seen.add(task.index);
+
+    return {
+      index: task.index,
+      description: readString(ctx, task, 'description', path, { minLength: 10 })
+    };
+  });
+
+  return { value: { tasks }, issues: ctx.issues };
+};
+
+export const validators = {
+  topics: validateTopics,
+  studyPlan: validateStudyPlan,
+  flashcards: validateFlashcards,
+  clozeCards: validateClozeCards,
+  quiz: validateQuiz,
+  taskDescriptions: validateTaskDescriptions
+};
+
+// Validate once and throw instead of re-prompting (for providers that cannot repair)
+export const assertValid = (task, data, options = {}) => {
+  const { value, issues } = validators[task](data, options);
+  if (issues.length > 0) {
+    throw new AIGenerationError(`AI response for ${task} was invalid`, {
+      task,
+      stage: 'validation',
+      issues
+    });
+  }
+  return value;
+};
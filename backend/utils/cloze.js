@@ -0,0 +1,48 @@
+// Cloze deletions: `{{c1::mitochondria}}`, optionally with a hint shown in
+// place of the blank (`{{c1::mitochondria::organelle}}`). Every distinct
+// number becomes one card; deletions sharing a number are hidden together
+// and the others are shown as plain text.
+
+const clozePattern = () => /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+const deletions = (text = '') => [...text.matchAll(clozePattern())].map(match => ({
+  index: Number(match[1]),
+  answer: match[2].trim(),
+  hint: match[3] ? match[3].trim() : null
+}));
+
+// Distinct deletion numbers in `text`, ascending
+export const clozeIndexes = (text) => {
+  const indexes = deletions(text)
+    .filter(deletion => deletion.index > 0 && deletion.answer)
+    .map(deletion => deletion.index);
+  return [...new Set(indexes)].sort((a, b) => a - b);
+};
+
+export const isClozeText = (text) => clozeIndexes(text).length > 0;
+
+// The text with deletion `index` blanked out and the others revealed
+export const renderClozeQuestion = (text, index) => {
+  return text.replace(clozePattern(), (match, number, answer, hint) => (
+    Number(number) === index ? `[${hint ? hint.trim() : '...'}]` : answer.trim()
+  ));
+};
+
+export const clozeAnswer = (text, index) => {
+  return deletions(text)
+    .filter(deletion => deletion.index === index)
+    .map(deletion => deletion.answer)
+    .join(', ');
+};
+
+// The text with every deletion revealed
+export const stripCloze = (text) => {
+  return text.replace(clozePattern(), (match, number, answer) => answer.trim());
+};
+
+// Question and answer of every card a cloze text produces
+export const buildClozeCards = (text) => clozeIndexes(text).map(index => ({
+  clozeIndex: index,
+  question: renderClozeQuestion(text, index),
+  answer: clozeAnswer(text, index)
+}));
@@ -0,0 +1,195 @@
+import {
+  startOfDay,
+  addDays,
+  dateKey,
+  taskMinutes,
+  countDaysUntil,
+  buildCalendar
+} from './studyScheduler.js';
+
+export const CALENDAR_VIEWS = ['day', 'week', 'month'];
+
+// First and last day (inclusive) of the day/week/month around `anchor`.
+// Weeks run Monday to Sunday.
+export const getCalendarRange = (view, anchor = new Date()) => {
+  const day = startOfDay(anchor);
+
+  if (view === 'day') {
+    return { from: day, to: day };
+  }
+
+  if (view === 'week') {
+    const from = addDays(day, -((day.getDay() + 6) % 7));
+    return { from, to: addDays(from, 6) };
+  }
+
+  const from = new Date(day.getFullYear(), day.getMonth(), 1);
+  const to = new Date(day.getFullYear(), day.getMonth() + 1, 0);
+  return { from, to };
+};
+
+// Build one schedule for all of a user's active study plans (each with its
+// subject populated) so that together they never ask for more than the
+// user's daily budget. Unfinished tasks, overdue ones included, are laid out
+// from `today` onwards. Each day is filled from the subject with the least
+// slack - study time left before its exam minus its remaining minutes - with
+// ties going to the nearer exam. Tasks keep their order within a plan
+// and are never placed on or after their subject's exam day; work that cannot
+// fit in time is put on the last day before the exam with a warning.
+export const planAcrossSubjects = (plans, {
+  today = new Date(),
+  dailyMinutes,
+  weeklyAvailability,
+  blackoutDates
+} = {}) => {
+  const firstDay = startOfDay(today);
+  const warnings = [];
+
+  const queues = plans
+    .filter(plan => plan.subject && startOfDay(plan.subject.examDate) > firstDay)
+    .map(plan => ({
+      plan,
+      examDay: startOfDay(plan.subject.examDate),
+      tasks: plan.dailyTasks
+        .filter(task => !task.completed)
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+    }))
+    .filter(queue => queue.tasks.length > 0);
+
+  const lastExamDay = queues.reduce((latest, queue) => (queue.examDay > latest ? queue.examDay : latest), firstDay);
+  const calendar = buildCalendar(firstDay, countDaysUntil(lastExamDay, firstDay), {
+    dailyMinutes,
+    weeklyAvailability,
+    blackoutDates
+  });
+
+  // Study minutes available from each calendar day up to each exam
+  const capacityBefore = (fromIndex, examDay) => calendar
+    .slice(fromIndex)
+    .filter(day => day.date < examDay)
+    .reduce((sum, day) => sum + day.capacity, 0);
+
+  const remainingMinutes = (queue) => queue.tasks.reduce((sum, task) => sum + taskMinutes(task), 0);
+
+  const slack = (queue, dayIndex) => capacityBefore(dayIndex, queue.examDay) - remainingMinutes(queue);
+
+  const placements = [];
+  const place = (queue, day) => {
+    const task = queue.tasks.shift();
+    placements.push({ plan: queue.plan, task, date: day.date });
+    return taskMinutes(task);
+  };
+
+  calendar.forEach((day, dayIndex) => {
+    let free = day.capacity;
+    const isLastDayFor = (queue) => !calendar[dayIndex + 1] || calendar[dayIndex + 1].date >= queue.examDay;
+
+    while (free > 0) {
+      const candidates = queues
+        .filter(queue => queue.tasks.length > 0 && day.date < queue.examDay)
+        .sort((a, b) => slack(a, dayIndex) - slack(b, dayIndex) || a.examDay - b.examDay);
+
+      // An empty day always takes the next task, even when it runs over
+      const next = candidates.find(queue => taskMinutes(queue.tasks[0]) <= free || free === day.capacity);
+      if (!next) break;
+      free -= place(next, day);
+    }
+
+    // Last chance before an exam: everything left for it goes on this day
+    for (const queue of queues) {
+      if (queue.tasks.length === 0 || day.date >= queue.examDay || !isLastDayFor(queue)) continue;
+
+      const count = queue.tasks.length;
+      while (queue.tasks.length > 0) {
+        free -= place(queue, day);
+      }
+      warnings.push(`${count} ${queue.plan.subject.name} tasks don't fit before the exam and were added to ${day.date.toDateString()}`);
+    }
+  });
+
+  // Plans whose exam has no study day left at all
+  for (const queue of queues) {
+    if (queue.tasks.length > 0) {
+      warnings.push(`No study days left before the ${queue.plan.subject.name} exam; ${queue.tasks.length} tasks are unscheduled`);
+    }
+  }
+
+  const overloaded = new Set();
+  const minutesByDay = new Map();
+  for (const { task, date } of placements) {
+    const key = dateKey(date);
+    minutesByDay.set(key, (minutesByDay.get(key) || 0) + taskMinutes(task));
+  }
+  for (const day of calendar) {
+    if ((minutesByDay.get(dateKey(day.date)) || 0) > day.capacity) overloaded.add(dateKey(day.date));
+  }
+  if (overloaded.size > 0) {
+    warnings.push(`${overloaded.size} days go over your daily study budget`);
+  }
+
+  return {
+    placements,
+    capacityByDay: new Map(calendar.map(day => [dateKey(day.date), day.capacity])),
+    warnings
+  };
+};
+
+// Calendar days between `from` and `to` (inclusive) for a combined schedule.
+// Past days show the tasks completed on them; from today on they show where
+// the combined schedule puts the unfinished work. Exams come from `subjects`
+// so subjects without a plan still show up.
+export const buildCalendarDays = (plans, subjects, { placements, capacityByDay }, { from, to, today = new Date() }) => {
+  const firstDay = startOfDay(today);
+  const days = new Map();
+
+  for (let date = startOfDay(from); date <= to; date = addDays(date, 1)) {
+    days.set(dateKey(date), {
+      date,
+      capacity: date >= firstDay ? capacityByDay.get(dateKey(date)) || 0 : null,
+      totalMinutes: 0,
+      tasks: [],
+      exams: []
+    });
+  }
+
+  const addTask = (plan, task, date) => {
+    const day = days.get(dateKey(date));
+    if (!day) return;
+
+    day.totalMinutes += taskMinutes(task);
+    day.tasks.push({
+      id: task._id,
+      planId: plan._id,
+      subject: { id: plan.subject._id, name: plan.subject.name },
+      topic: task.topic,
+      description: task.description,
+      type: task.type,
+      difficulty: task.difficulty,
+      estimatedTime: task.estimatedTime,
+      estimatedMinutes: taskMinutes(task),
+      completed: task.completed,
+      plannedDate: task.date
+    });
+  };
+
+  for (const plan of plans) {
+    if (!plan.subject) continue;
+
+    for (const task of plan.dailyTasks) {
+      if (task.completed) addTask(plan, task, task.completedAt || task.date);
+    }
+  }
+
+  for (const { plan, task, date } of placements) {
+    addTask(plan, task, date);
+  }
+
+  for (const subject of subjects) {
+    const day = days.get(dateKey(subject.examDate));
+    if (day) {
+      day.exams.push({ subjectId: subject._id, name: subject.name, examDate: subject.examDate });
+    }
+  }
+
+  return [...days.values()];
+};
@@ -41,7 +41,8 @@ export const sendDailyReminders = async () => {
         // Get today's study tasks
         const studyPlans = await StudyPlan.find({ 
           user: user._id, 
-          isActive: true 
+          isActive: true,
+          archivedAt: null
         }).populate('subject');
 
         let todaysTasks = [];
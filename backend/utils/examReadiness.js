@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import ActivityEvent from '../models/ActivityEvent.js';
+import { getSubjectMastery, pickStudyNext } from './topicMastery.js';
+import { excludeUndoneReviews } from './activityAnalytics.js';
+
+// Exam readiness blends three 0-100 signals:
+//   coverage  - how much of the study plan (or, without a plan, of the
+//               subject's topics) is complete
+//   mastery   - overall topic mastery from quizzes and flashcards
+//   retention - share of flashcards recalled over the last 30 days
+// The projection assumes the recent pace of task completion continues until
+// the exam; mastery and retention are kept as they are now.
+
+export const READINESS_WEIGHTS = { coverage: 0.35, mastery: 0.4, retention: 0.25 };
+export const PACE_WINDOW_DAYS = 14;
+export const RETENTION_WINDOW_DAYS = 30;
+export const WEAKEST_TOPICS_COUNT = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weighted average of the signals that are known (retention is null
+// when no flashcards were reviewed recently)
+export const combineReadiness = (signals) => {
+  let total = 0;
+  let weight = 0;
+
+  for (const [name, value] of Object.entries(signals)) {
+    if (value === null || value === undefined) continue;
+    total += value * READINESS_WEIGHTS[name];
+    weight += READINESS_WEIGHTS[name];
+  }
+
+  return weight > 0 ? Math.round(total / weight) : 0;
+};
+
+export const readinessStatus = (score) => {
+  if (score >= 75) return 'on_track';
+  if (score >= 50) return 'at_risk';
+  return 'behind';
+};
+
+// Readiness from already loaded data:
+//   plan         - the subject's current study plan, if any
+//   mastery      - result of computeTopicMastery
+//   tasksPerDay  - recent net task completions per day
+//   retention    - recent flashcard recall rate, or null
+export const computeExamReadiness = ({ subject, plan, mastery, tasksPerDay, retention }) => {
+  const daysLeft = Math.max(0, subject.daysUntilExam);
+
+  let coverage;
+  let projectedCoverage;
+  if (plan && plan.progress.totalTasks > 0) {
+    const { totalTasks, completedTasks } = plan.progress;
+    const projectedTasks = Math.min(totalTasks, completedTasks + tasksPerDay * daysLeft);
+    coverage = plan.progress.completionPercentage;
+    projectedCoverage = Math.round((projectedTasks / totalTasks) * 100);
+  } else {
+    coverage = subject.progress.completionPercentage || 0;
+    projectedCoverage = coverage;
+  }
+
+  const score = combineReadiness({ coverage, mastery: mastery.overall, retention });
+  const projected = combineReadiness({ coverage: projectedCoverage, mastery: mastery.overall, retention });
+
+  return {
+    score,
+    status: readinessStatus(projected),
+    projected,
+    daysLeft,
+    components: {
+      coverage,
+      projectedCoverage,
+      mastery: mastery.overall,
+      retention,
+      tasksPerDay: Math.round(tasksPerDay * 10) / 10
+    },
+    weakestTopics: pickStudyNext(subject, mastery, WEAKEST_TOPICS_COUNT)
+  };
+};
+
+// Recent task pace and flashcard recall for a subject from the activity log
+const getRecentActivity = async (userId, subjectId, now) => {
+  const [result] = await ActivityEvent.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId.toString()),
+        subject: subjectId,
+        occurredAt: { $gte: new Date(now.getTime() - Math.max(PACE_WINDOW_DAYS, RETENTION_WINDOW_DAYS) * DAY_MS) }
+      }
+    },
+    {
+      $facet: {
+        tasks: [
+          {
+            $match: {
+              type: { $in: ['task_completed', 'task_reopened'] },
+              occurredAt: { $gte: new Date(now.getTime() - PACE_WINDOW_DAYS * DAY_MS) }
+            }
+          },
+          { $group: { _id: null, net: { $sum: { $cond: [{ $eq: ['$type', 'task_completed'] }, 1, -1] } } } }
+        ],
+        cards: [
+          {
+            $match: {
+              type: 'card_reviewed',
+              correct: { $type: 'bool' },
+              occurredAt: { $gte: new Date(now.getTime() - RETENTION_WINDOW_DAYS * DAY_MS) }
+            }
+          },
+          ...excludeUndoneReviews,
+          { $group: { _id: null, reviews: { $sum: 1 }, recalled: { $sum: { $cond: ['$correct', 1, 0] } } } }
+        ]
+      }
+    }
+  ]);
+
+  const tasks = result.tasks[0];
+  const cards = result.cards[0];
+
+  return {
+    tasksPerDay: Math.max(0, tasks ? tasks.net : 0) / PACE_WINDOW_DAYS,
+    retention: cards ? Math.round((cards.recalled / cards.reviews) * 100) : null
+  };
+};
+
+export const getExamReadiness = async (userId, subject, plan, now = new Date()) => {
+  const [mastery, recent] = await Promise.all([
+    getSubjectMastery(userId, subject, now),
+    getRecentActivity(userId, subject._id, now)
+  ]);
+
+  return computeExamReadiness({ subject, plan, mastery, ...recent });
+};
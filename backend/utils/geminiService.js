@@ -1,212 +1,99 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+import { getAIConfig } from '../config/ai.js';
+import { createAIProvider, AIGenerationError } from './ai/index.js';
+import { chunkSyllabus, mergeTopics, buildTopicOutline } from './syllabusChunker.js';
 
+// Facade over the configured AI provider (see config/ai.js).
+// Routes only talk to this service, so switching providers needs no route changes.
+// Every method resolves to schema-validated data or rejects with an AIGenerationError.
 export class GeminiService {
-  constructor() {
-    this.model = genAI.getGenerativeModel({ model: 'gemini-pro' });
+  constructor(provider = createAIProvider(), { chunkSize = 6000 } = {}) {
+    this.provider = provider;
+    this.chunkSize = chunkSize;
   }
 
-  async generateStudyPlan(syllabus, subjectName, examDate, currentDate = new Date()) {
-    const daysUntilExam = Math.ceil((new Date(examDate) - currentDate) / (1000 * 60 * 60 * 24));
-    
-    const prompt = `
-      Create a detailed study plan for the following subject and syllabus:
-      
-      Subject: ${subjectName}
-      Exam Date: ${examDate}
-      Days until exam: ${daysUntilExam}
-      
-      Syllabus:
-      ${syllabus}
-      
-      Please create a day-by-day study plan that includes:
-      1. Daily topics to cover
-      2. Estimated time for each topic (in hours and minutes)
-      3. Difficulty level (easy, medium, hard)
-      4. Brief description of what to focus on each day
-      
-      Make sure the plan is realistic and accounts for revision time before the exam.
-      
-      Return the response in the following JSON format:
-      {
-        "title": "Study Plan for [Subject]",
-        "description": "Brief description of the study plan",
-        "totalDuration": ${daysUntilExam},
-        "dailyTasks": [
-          {
-            "day": 1,
-            "topic": "Topic name",
-            "description": "What to study and focus on",
-            "estimatedTime": "2 hours",
-            "difficulty": "medium"
-          }
-        ]
-      }
-    `;
+  get providerName() {
+    return this.provider.name;
+  }
 
+  async run(task, message, generate) {
     try {
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      // Extract JSON from the response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      throw new Error('Could not extract JSON from AI response');
+      return await generate();
     } catch (error) {
-      console.error('Error generating study plan:', error);
-      throw new Error('Failed to generate study plan');
+      console.error(`Error in AI ${task} generation:`, error);
+
+      if (error instanceof AIGenerationError) {
+        throw error;
+      }
+
+      throw new AIGenerationError(message, { task, stage: 'provider', cause: error });
     }
   }
 
+  // Long syllabi are planned from a compact topic outline instead of the raw text
+  async generateStudyPlan(syllabus, subjectName, examDate, currentDate = new Date()) {
+    let planInput = syllabus;
+    if (syllabus.length > this.chunkSize) {
+      const { topics } = await this.extractTopicsFromSyllabus(syllabus);
+      planInput = buildTopicOutline(topics);
+    }
+
+    return this.run('studyPlan', 'Failed to generate study plan', () =>
+      this.provider.generateStudyPlan(planInput, subjectName, examDate, currentDate)
+    );
+  }
+
   async generateFlashcards(syllabus, subjectName, topicName = '') {
-    const prompt = `
-      Create educational flashcards for the following subject and syllabus:
-      
-      Subject: ${subjectName}
-      ${topicName ? `Specific Topic: ${topicName}` : ''}
-      
-      Syllabus:
-      ${syllabus}
-      
-      Generate 10-15 flashcards with:
-      1. Clear, concise questions
-      2. Accurate, detailed answers
-      3. Appropriate difficulty level
-      4. Relevant topics from the syllabus
-      
-      Return the response in the following JSON format:
-      {
-        "flashcards": [
-          {
-            "question": "Question text here",
-            "answer": "Answer text here",
-            "topic": "Topic name",
-            "difficulty": "easy/medium/hard",
-            "tags": ["tag1", "tag2"]
-          }
-        ]
-      }
-    `;
+    return this.run('flashcards', 'Failed to generate flashcards', () =>
+      this.provider.generateFlashcards(syllabus, subjectName, topicName)
+    );
+  }
 
-    try {
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      // Extract JSON from the response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      throw new Error('Could not extract JSON from AI response');
-    } catch (error) {
-      console.error('Error generating flashcards:', error);
-      throw new Error('Failed to generate flashcards');
-    }
+  // Cloze texts like "The {{c1::mitochondria}} is ..." (see utils/cloze.js)
+  async generateClozeCards(syllabus, subjectName, topicName = '') {
+    return this.run('clozeCards', 'Failed to generate cloze cards', () =>
+      this.provider.generateClozeCards(syllabus, subjectName, topicName)
+    );
   }
 
   async generateQuiz(syllabus, subjectName, numberOfQuestions = 10) {
-    const prompt = `
-      Create a multiple-choice quiz for the following subject and syllabus:
-      
-      Subject: ${subjectName}
-      Number of Questions: ${numberOfQuestions}
-      
-      Syllabus:
-      ${syllabus}
-      
-      Generate a quiz with:
-      1. Clear, well-structured questions
-      2. 4 multiple-choice options for each question
-      3. Correct answer index (0-3)
-      4. Brief explanation for each answer
-      5. Appropriate difficulty distribution
-      6. Questions covering different topics from the syllabus
-      
-      Return the response in the following JSON format:
-      {
-        "title": "Quiz: ${subjectName}",
-        "description": "Test your knowledge of ${subjectName}",
-        "questions": [
-          {
-            "question": "Question text here",
-            "options": ["Option A", "Option B", "Option C", "Option D"],
-            "correctAnswer": 0,
-            "explanation": "Brief explanation of the correct answer",
-            "difficulty": "easy/medium/hard",
-            "topic": "Topic name"
-          }
-        ]
-      }
-    `;
+    return this.run('quiz', 'Failed to generate quiz', () =>
+      this.provider.generateQuiz(syllabus, subjectName, numberOfQuestions)
+    );
+  }
 
-    try {
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      // Extract JSON from the response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      throw new Error('Could not extract JSON from AI response');
-    } catch (error) {
-      console.error('Error generating quiz:', error);
-      throw new Error('Failed to generate quiz');
-    }
+  // Optional: richer descriptions for scheduler-built tasks
+  async describeStudyTasks(subjectName, tasks) {
+    return this.run('taskDescriptions', 'Failed to describe study tasks', () =>
+      this.provider.describeStudyTasks(subjectName, tasks)
+    );
   }
 
+  // Extract topics chunk by chunk so long syllabi don't overflow the model context
   async extractTopicsFromSyllabus(syllabus) {
-    const prompt = `
-      Extract and organize the main topics from the following syllabus content:
-      
-      Syllabus:
-      ${syllabus}
-      
-      Please identify:
-      1. Main topics/chapters
-      2. Subtopics under each main topic
-      3. Estimated study time for each topic
-      4. Difficulty level of each topic
-      
-      Return the response in the following JSON format:
-      {
-        "topics": [
-          {
-            "name": "Topic name",
-            "description": "Brief description",
-            "estimatedTime": 120,
-            "difficulty": "easy/medium/hard"
-          }
-        ]
-      }
-    `;
+    const chunks = chunkSyllabus(syllabus, { maxChars: this.chunkSize });
+    const topicLists = [];
 
-    try {
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      // Extract JSON from the response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
+    // Sequential on purpose: keeps us within provider rate limits
+    for (const chunk of chunks) {
+      try {
+        const { topics } = await this.run('topics', 'Failed to extract topics from syllabus', () =>
+          this.provider.extractTopicsFromSyllabus(chunk.text)
+        );
+        topicLists.push(topics);
+      } catch (error) {
+        if (chunks.length > 1) {
+          error.chunk = { index: chunk.index, total: chunks.length, headings: chunk.headings };
+        }
+        throw error;
       }
-      
-      throw new Error('Could not extract JSON from AI response');
-    } catch (error) {
-      console.error('Error extracting topics:', error);
-      throw new Error('Failed to extract topics from syllabus');
     }
+
+    return { topics: mergeTopics(topicLists) };
   }
 }
 
-export default new GeminiService();
\ No newline at end of file
+export { AIGenerationError };
+
+const aiConfig = getAIConfig();
+
+export default new GeminiService(createAIProvider(aiConfig), { chunkSize: aiConfig.chunkSize });
@@ -0,0 +1,133 @@
+import { addDays, dateKey, taskMinutes } from './studyScheduler.js';
+
+// RFC 5545 calendars for study plan exports and the subscription feed.
+// Study tasks have no time of day, so each day's tasks are laid out back to
+// back from `startTime` as floating times (shown in the viewer's timezone).
+
+export const DEFAULT_STUDY_START_TIME = '18:00';
+const PRODUCT_ID = '-//StudyGenie//Study Plans//EN';
+const UID_DOMAIN = 'studygenie';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+const formatLocalDateTime = (date) => `${formatDate(date)}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+
+const formatUtcDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text = '') => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are limited to 75 octets; longer ones continue on lines
+// starting with a space. Split on characters so multi-byte text stays intact.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Serialize `events` ({ uid, summary, description, start, end, allDay,
+// sequence, lastModified }) into an iCalendar document
+export const buildICalendar = ({ name, events }) => {
+  const stamp = formatUtcDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      event.allDay ? `DTSTART;VALUE=DATE:${formatDate(event.start)}` : `DTSTART:${formatLocalDateTime(event.start)}`,
+      event.allDay ? `DTEND;VALUE=DATE:${formatDate(event.end)}` : `DTEND:${formatLocalDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.sequence) lines.push(`SEQUENCE:${event.sequence}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtcDateTime(event.lastModified)}`);
+    lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// One timed event per study task (plans need their subject populated)
+export const studyTaskEvents = (plans, { startTime = DEFAULT_STUDY_START_TIME } = {}) => {
+  const [hours, minutes] = startTime.split(':').map(Number);
+  const nextStart = new Map(); // day -> when the next task that day begins
+  const events = [];
+
+  const tasks = plans
+    .flatMap(plan => plan.dailyTasks.map(task => ({ plan, task })))
+    .sort((a, b) => new Date(a.task.date) - new Date(b.task.date));
+
+  for (const { plan, task } of tasks) {
+    const key = dateKey(task.date);
+    if (!nextStart.has(key)) {
+      const start = new Date(task.date);
+      start.setHours(hours, minutes, 0, 0);
+      nextStart.set(key, start);
+    }
+
+    const start = nextStart.get(key);
+    const end = new Date(start.getTime() + taskMinutes(task) * 60 * 1000);
+    nextStart.set(key, end);
+
+    const subjectName = plan.subject ? plan.subject.name : plan.title;
+    const details = [
+      task.description,
+      `Estimated time: ${task.estimatedTime}`,
+      task.difficulty && `Difficulty: ${task.difficulty}`,
+      task.completed && 'Completed'
+    ].filter(Boolean);
+
+    events.push({
+      uid: `task-${task._id}`,
+      summary: `${task.completed ? '✓ ' : ''}${subjectName}: ${task.topic}`,
+      description: details.join('\n'),
+      start,
+      end,
+      sequence: task.rescheduledCount,
+      lastModified: plan.updatedAt
+    });
+  }
+
+  return events;
+};
+
+// One all-day event per exam
+export const examEvents = (subjects) => subjects.map(subject => ({
+  uid: `exam-${subject._id}`,
+  summary: `📝 ${subject.name} exam`,
+  start: new Date(subject.examDate),
+  end: addDays(subject.examDate, 1),
+  allDay: true,
+  lastModified: subject.updatedAt
+}));
@@ -0,0 +1,158 @@
+import StudyPlan from '../models/StudyPlan.js';
+import User from '../models/User.js';
+import {
+  startOfDay,
+  dateKey,
+  taskMinutes,
+  countDaysUntil,
+  buildCalendar,
+  scheduleOptionsFor
+} from './studyScheduler.js';
+
+// Rebalance runs kept on a plan; older entries are dropped
+export const MAX_RESCHEDULE_HISTORY = 30;
+
+// Put `task` on `date`, remembering where it was first scheduled
+export const moveTask = (task, date) => {
+  if (!task.originalDate) task.originalDate = task.date;
+  task.date = date;
+  task.rescheduledCount = (task.rescheduledCount || 0) + 1;
+};
+
+// After tasks have moved: renumber and re-sort them, and log the run
+export const recordReschedule = (studyPlan, { trigger, moves, warnings }) => {
+  studyPlan.dailyTasks.forEach(task => {
+    task.day = countDaysUntil(task.date, studyPlan.startDate) + 1;
+  });
+  studyPlan.dailyTasks.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  studyPlan.rescheduleHistory.push({ runAt: new Date(), trigger, moves, warnings });
+  if (studyPlan.rescheduleHistory.length > MAX_RESCHEDULE_HISTORY) {
+    studyPlan.rescheduleHistory.splice(0, studyPlan.rescheduleHistory.length - MAX_RESCHEDULE_HISTORY);
+  }
+};
+
+// Move overdue (past-dated, uncompleted) tasks onto the days left before the
+// exam. Each task goes to the earliest day that still has room in its budget,
+// preferring days that don't already hold revision so study stays ahead of
+// it. When nothing has room the task lands on the least loaded day and a
+// warning is returned. Tasks are updated in place; returns the moves made.
+export const rebalanceTasks = (tasks, examDate, {
+  today = new Date(),
+  dailyMinutes,
+  weeklyAvailability,
+  blackoutDates
+} = {}) => {
+  const firstDay = startOfDay(today);
+  const overdue = tasks
+    .filter(task => !task.completed && startOfDay(task.date) < firstDay)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  if (overdue.length === 0) {
+    return { moves: [], warnings: [] };
+  }
+
+  const calendar = buildCalendar(firstDay, countDaysUntil(examDate, firstDay), {
+    dailyMinutes,
+    weeklyAvailability,
+    blackoutDates
+  });
+
+  if (calendar.length === 0) {
+    return {
+      moves: [],
+      warnings: [`No study days left before the exam; ${overdue.length} overdue tasks were not moved`]
+    };
+  }
+
+  // What is already booked on each remaining day
+  const days = calendar.map(day => ({ ...day, load: 0, hasRevision: false }));
+  const byKey = new Map(days.map(day => [dateKey(day.date), day]));
+  for (const task of tasks) {
+    if (task.completed) continue;
+    const day = byKey.get(dateKey(task.date));
+    if (!day) continue;
+    day.load += taskMinutes(task);
+    if (task.type === 'revision') day.hasRevision = true;
+  }
+
+  const moves = [];
+  let overbooked = 0;
+
+  for (const task of overdue) {
+    const minutes = taskMinutes(task);
+    const fits = day => day.load + minutes <= day.capacity;
+    const target = days.find(day => !day.hasRevision && fits(day))
+      || days.find(fits)
+      || days.reduce((lightest, day) => (day.load / day.capacity < lightest.load / lightest.capacity ? day : lightest));
+
+    if (!fits(target)) overbooked += 1;
+    target.load += minutes;
+
+    moves.push({
+      taskId: task._id,
+      topic: task.topic,
+      fromDate: task.date,
+      toDate: target.date
+    });
+
+    moveTask(task, target.date);
+  }
+
+  const warnings = overbooked > 0
+    ? [`${overbooked} overdue tasks did not fit the remaining daily budget and were added to the lightest days`]
+    : [];
+
+  return { moves, warnings };
+};
+
+// Rebalance a study plan (with its subject populated or passed in) using the
+// owner's study schedule, and record the run on the plan
+export const rebalanceStudyPlan = async (studyPlan, { subject = studyPlan.subject, trigger = 'manual', today = new Date() } = {}) => {
+  const user = await User.findById(studyPlan.user);
+  const { maxSessionMinutes, ...calendarOptions } = scheduleOptionsFor(user, {
+    dailyMinutes: studyPlan.settings?.dailyMinutes
+  });
+
+  const { moves, warnings } = rebalanceTasks(studyPlan.dailyTasks, subject.examDate, {
+    ...calendarOptions,
+    today
+  });
+
+  if (moves.length === 0) {
+    return { moves, warnings };
+  }
+
+  recordReschedule(studyPlan, { trigger, moves, warnings });
+
+  await studyPlan.save();
+
+  return { moves, warnings };
+};
+
+// Nightly job: rebalance every active plan that has overdue tasks
+export const rebalanceOverduePlans = async () => {
+  try {
+    const today = startOfDay(new Date());
+    const studyPlans = await StudyPlan.find({
+      isActive: true,
+      archivedAt: null,
+      dailyTasks: { $elemMatch: { completed: false, date: { $lt: today } } }
+    }).populate('subject');
+
+    for (const plan of studyPlans) {
+      try {
+        if (!plan.subject || !plan.subject.isActive) continue;
+
+        const { moves } = await rebalanceStudyPlan(plan, { trigger: 'nightly', today });
+        if (moves.length > 0) {
+          console.log(`✅ Rescheduled ${moves.length} overdue tasks in study plan ${plan._id}`);
+        }
+      } catch (error) {
+        console.error(`❌ Error rebalancing study plan ${plan._id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error in rebalanceOverduePlans:', error);
+  }
+};
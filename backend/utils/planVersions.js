@@ -0,0 +1,113 @@
+import { startOfDay, taskMinutes } from './studyScheduler.js';
+
+// Study tasks are grouped per topic (a topic may be split into several
+// sessions); revision tasks are grouped by their title
+const topicKey = (task) => (task.type === 'revision' || !task.topicId
+  ? `${task.type || 'study'}:${task.topic.replace(/\s*\(part \d+ of \d+\)$/, '')}`
+  : `study:${task.topicId}`);
+
+const summarizeTopics = (plan) => {
+  const topics = new Map();
+
+  for (const task of plan.dailyTasks) {
+    const key = topicKey(task);
+    if (!topics.has(key)) {
+      topics.set(key, {
+        topic: task.topic.replace(/\s*\(part \d+ of \d+\)$/, ''),
+        topicId: task.topicId,
+        type: task.type || 'study',
+        sessions: 0,
+        minutes: 0,
+        completedSessions: 0,
+        firstDate: task.date,
+        lastDate: task.date
+      });
+    }
+
+    const entry = topics.get(key);
+    entry.sessions += 1;
+    entry.minutes += taskMinutes(task);
+    if (task.completed) entry.completedSessions += 1;
+    if (task.date < entry.firstDate) entry.firstDate = task.date;
+    if (task.date > entry.lastDate) entry.lastDate = task.date;
+  }
+
+  return topics;
+};
+
+const planTotals = (plan) => ({
+  id: plan._id,
+  version: plan.version,
+  startDate: plan.startDate,
+  endDate: plan.endDate,
+  tasks: plan.dailyTasks.length,
+  studyDays: new Set(plan.dailyTasks.map(task => startOfDay(task.date).getTime())).size,
+  totalMinutes: plan.dailyTasks.reduce((sum, task) => sum + taskMinutes(task), 0),
+  settings: plan.settings
+});
+
+const sameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+// What changed from one version of a study plan to another: topics added or
+// dropped, and topics whose sessions, minutes or dates moved
+export const diffStudyPlans = (fromPlan, toPlan) => {
+  const before = summarizeTopics(fromPlan);
+  const after = summarizeTopics(toPlan);
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [key, entry] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      diff.added.push(entry);
+      continue;
+    }
+
+    const changes = {};
+    if (previous.sessions !== entry.sessions) changes.sessions = { from: previous.sessions, to: entry.sessions };
+    if (previous.minutes !== entry.minutes) changes.minutes = { from: previous.minutes, to: entry.minutes };
+    if (!sameDay(previous.firstDate, entry.firstDate)) changes.firstDate = { from: previous.firstDate, to: entry.firstDate };
+    if (!sameDay(previous.lastDate, entry.lastDate)) changes.lastDate = { from: previous.lastDate, to: entry.lastDate };
+
+    if (Object.keys(changes).length > 0) {
+      diff.changed.push({ topic: entry.topic, topicId: entry.topicId, type: entry.type, changes });
+    }
+  }
+
+  for (const [key, entry] of before) {
+    if (!after.has(key)) diff.removed.push(entry);
+  }
+
+  const from = planTotals(fromPlan);
+  const to = planTotals(toPlan);
+
+  return {
+    from,
+    to,
+    ...diff,
+    summary: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      changed: diff.changed.length,
+      unchanged: after.size - diff.added.length - diff.changed.length,
+      minutesDelta: to.totalMinutes - from.totalMinutes,
+      studyDaysDelta: to.studyDays - from.studyDays
+    }
+  };
+};
+
+// Version list entry for API responses
+export const formatPlanVersion = (plan) => ({
+  id: plan._id,
+  version: plan.version,
+  title: plan.title,
+  active: !plan.archivedAt,
+  archivedAt: plan.archivedAt,
+  basedOn: plan.basedOn,
+  generatedBy: plan.generatedBy,
+  settings: plan.settings,
+  startDate: plan.startDate,
+  endDate: plan.endDate,
+  progress: plan.progress,
+  dailyTasksCount: plan.dailyTasks.length,
+  createdAt: plan.createdAt
+});
@@ -0,0 +1,140 @@
+import { FlashcardScheduler, DAY_MS } from './scheduler.js';
+
+// FSRS (Free Spaced Repetition Scheduler), version 4.5. Each card has a
+// stability S (days until recall probability drops to 90%) and a difficulty
+// D (1-10). Retrievability R = (1 + FACTOR * t / S) ^ DECAY is the chance of
+// recalling the card t days after the last review. After each review S and D
+// are updated from the grade, and the next review is set for when R falls to
+// the desired retention.
+
+export const DEFAULT_FSRS_PARAMETERS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+
+export const DEFAULT_DESIRED_RETENTION = 0.9;
+export const MAX_INTERVAL_DAYS = 36500;
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// The app grades reviews 0-5; FSRS uses 1 (again) to 4 (easy)
+export const toFsrsGrade = (quality) => {
+  if (quality < 3) return 1;
+  if (quality === 3) return 2;
+  if (quality === 4) return 3;
+  return 4;
+};
+
+export const retrievability = (elapsedDays, stability) => {
+  return Math.pow(1 + FACTOR * Math.max(0, elapsedDays) / stability, DECAY);
+};
+
+export const initialStability = (w, grade) => Math.max(0.1, w[grade - 1]);
+
+export const initialDifficulty = (w, grade) => clamp(w[4] - (grade - 3) * w[5], 1, 10);
+
+export const nextDifficulty = (w, difficulty, grade) => {
+  const updated = difficulty - w[6] * (grade - 3);
+  // Mean reversion towards the initial difficulty of a "good" first review
+  return clamp(w[7] * initialDifficulty(w, 3) + (1 - w[7]) * updated, 1, 10);
+};
+
+export const nextStability = (w, difficulty, stability, recall, grade) => {
+  if (grade === 1) {
+    const forgotten = w[11] *
+      Math.pow(difficulty, -w[12]) *
+      (Math.pow(stability + 1, w[13]) - 1) *
+      Math.exp(w[14] * (1 - recall));
+    return clamp(Math.min(forgotten, stability), 0.1, MAX_INTERVAL_DAYS);
+  }
+
+  const hardPenalty = grade === 2 ? w[15] : 1;
+  const easyBonus = grade === 4 ? w[16] : 1;
+  const growth = Math.exp(w[8]) *
+    (11 - difficulty) *
+    Math.pow(stability, -w[9]) *
+    (Math.exp(w[10] * (1 - recall)) - 1) *
+    hardPenalty *
+    easyBonus;
+
+  return clamp(stability * (growth + 1), 0.1, MAX_INTERVAL_DAYS);
+};
+
+// Days until recall probability falls to `desiredRetention`
+export const intervalFor = (stability, desiredRetention) => {
+  const days = (stability / FACTOR) * (Math.pow(desiredRetention, 1 / DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL_DAYS);
+};
+
+// Stability and difficulty after one review, given the card's state before it
+// (stability null for a card never reviewed under FSRS)
+export const applyReview = (w, state, grade, elapsedDays) => {
+  if (!state.stability) {
+    return {
+      stability: initialStability(w, grade),
+      difficulty: initialDifficulty(w, grade)
+    };
+  }
+
+  const recall = retrievability(elapsedDays, state.stability);
+  return {
+    stability: nextStability(w, state.difficulty, state.stability, recall, grade),
+    difficulty: nextDifficulty(w, state.difficulty, grade)
+  };
+};
+
+export class FSRSScheduler extends FlashcardScheduler {
+  constructor({ parameters, desiredRetention = DEFAULT_DESIRED_RETENTION } = {}) {
+    super('fsrs');
+    this.w = parameters && parameters.length === DEFAULT_FSRS_PARAMETERS.length
+      ? parameters
+      : DEFAULT_FSRS_PARAMETERS;
+    this.desiredRetention = desiredRetention;
+  }
+
+  review(reviewData, quality, { now = new Date(), lastReview } = {}) {
+    const grade = toFsrsGrade(quality);
+    const elapsedDays = lastReview ? (now - new Date(lastReview)) / DAY_MS : 0;
+    const { stability, difficulty } = applyReview(this.w, reviewData, grade, elapsedDays);
+
+    reviewData.stability = stability;
+    reviewData.difficulty = difficulty;
+    reviewData.reviewCount += 1;
+    if (grade === 1) reviewData.lapses = (reviewData.lapses || 0) + 1;
+
+    // A forgotten card is seen again tomorrow
+    const interval = grade === 1 ? 1 : intervalFor(stability, this.desiredRetention);
+    this.setNextReview(reviewData, interval, now);
+    return reviewData;
+  }
+
+  // From SM-2: the current interval was aimed at roughly 90% recall, which is
+  // what FSRS stability measures, and a low ease factor means a hard card
+  // (2.7 -> difficulty 1, 1.3 -> 10). Cards never reviewed stay new; the
+  // card's stats tell, as SM-2 resets reviewCount on a lapse and older cards
+  // have no lastReview. The due date is kept so switching doesn't reshuffle
+  // the queue.
+  migrate(reviewData, { stats } = {}) {
+    const reviewed = reviewData.reviewCount > 0 || reviewData.lastReview ||
+      stats?.timesReviewed > 0 || stats?.lastReviewed;
+
+    if (reviewed) {
+      reviewData.stability = Math.max(0.1, reviewData.interval || 1);
+      reviewData.difficulty = clamp(
+        1 + ((2.7 - (reviewData.easeFactor || 2.5)) / 1.4) * 9,
+        1,
+        10
+      );
+    } else {
+      reviewData.stability = null;
+      reviewData.difficulty = null;
+    }
+    reviewData.scheduler = this.name;
+    return reviewData;
+  }
+}
+
+export default FSRSScheduler;
@@ -0,0 +1,24 @@
+import { SM2Scheduler } from './sm2Scheduler.js';
+import { FSRSScheduler, DEFAULT_FSRS_PARAMETERS, DEFAULT_DESIRED_RETENTION } from './fsrsScheduler.js';
+
+export const SCHEDULER_ALGORITHMS = ['sm2', 'fsrs'];
+
+// Create the flashcard scheduler for a user's flashcardScheduler preferences
+export const createScheduler = (settings = {}) => {
+  switch (settings.algorithm || 'sm2') {
+    case 'sm2':
+      return new SM2Scheduler();
+    case 'fsrs':
+      return new FSRSScheduler({
+        parameters: settings.parameters ? [...settings.parameters] : undefined,
+        desiredRetention: settings.desiredRetention
+      });
+    default:
+      throw new Error(`Unknown flashcard scheduler: ${settings.algorithm}`);
+  }
+};
+
+export const schedulerForUser = (user) => createScheduler(user.preferences?.flashcardScheduler);
+
+export { SM2Scheduler, FSRSScheduler, DEFAULT_FSRS_PARAMETERS, DEFAULT_DESIRED_RETENTION };
+export { optimizeParameters, loadReviewHistory, MIN_OPTIMIZER_REVIEWS } from './optimizer.js';
@@ -0,0 +1,126 @@
+import ActivityEvent from '../../models/ActivityEvent.js';
+import ReviewLog from '../../models/ReviewLog.js';
+import { DAY_MS } from './scheduler.js';
+import {
+  DEFAULT_FSRS_PARAMETERS,
+  toFsrsGrade,
+  retrievability,
+  applyReview
+} from './fsrsScheduler.js';
+
+// Fits FSRS parameters to a user's own reviews. Every card's reviews are
+// replayed under candidate parameters; each review after the first is a
+// prediction (recall probability) checked against what happened (quality >= 3
+// counts as recalled). A coordinate search keeps the parameters with the lowest
+// log loss, within bounds that keep the model well behaved.
+
+export const MIN_OPTIMIZER_REVIEWS = 50;
+const SEARCH_ROUNDS = 8;
+const INITIAL_STEP = 0.2;
+
+const PARAMETER_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.1, 5], [0.1, 5], [0, 0.5],
+  [0, 3], [0, 0.8], [0.01, 3], [0.1, 5],
+  [0.01, 0.2], [0.01, 0.9], [0.01, 3], [0, 1], [1, 6]
+];
+
+const EPSILON = 1e-6;
+
+// Mean log loss of `w` over `histories` (arrays of { at, quality } per card,
+// oldest first), and how many reviews were predicted
+export const evaluateParameters = (w, histories) => {
+  let loss = 0;
+  let count = 0;
+
+  for (const reviews of histories) {
+    let state = { stability: null, difficulty: null };
+    let lastAt = null;
+
+    for (const review of reviews) {
+      const grade = toFsrsGrade(review.quality);
+      const elapsedDays = lastAt ? (review.at - lastAt) / DAY_MS : 0;
+
+      if (state.stability) {
+        const recall = Math.min(1 - EPSILON, Math.max(EPSILON, retrievability(elapsedDays, state.stability)));
+        const recalled = grade > 1 ? 1 : 0;
+        loss -= recalled * Math.log(recall) + (1 - recalled) * Math.log(1 - recall);
+        count += 1;
+      }
+
+      state = applyReview(w, state, grade, elapsedDays);
+      lastAt = review.at;
+    }
+  }
+
+  return { loss: count > 0 ? loss / count : 0, count };
+};
+
+export const optimizeParameters = (histories, { initial = DEFAULT_FSRS_PARAMETERS } = {}) => {
+  let best = [...initial];
+  const start = evaluateParameters(best, histories);
+  let bestLoss = start.loss;
+  let step = INITIAL_STEP;
+
+  for (let round = 0; round < SEARCH_ROUNDS; round++) {
+    for (let i = 0; i < best.length; i++) {
+      const [min, max] = PARAMETER_BOUNDS[i];
+      // Relative steps, with an absolute floor so parameters near 0 can move
+      const delta = Math.max(Math.abs(best[i]) * step, (max - min) * step * 0.05);
+
+      for (const direction of [1, -1]) {
+        const candidate = [...best];
+        candidate[i] = Math.min(max, Math.max(min, best[i] + direction * delta));
+        if (candidate[i] === best[i]) continue;
+
+        const { loss } = evaluateParameters(candidate, histories);
+        if (loss < bestLoss) {
+          best = candidate;
+          bestLoss = loss;
+          break;
+        }
+      }
+    }
+    step /= 2;
+  }
+
+  return {
+    parameters: best.map(value => Math.round(value * 10000) / 10000),
+    lossBefore: Math.round(start.loss * 10000) / 10000,
+    lossAfter: Math.round(bestLoss * 10000) / 10000,
+    reviews: start.count
+  };
+};
+
+// A user's flashcard reviews grouped per card, oldest first. Reviews come
+// from the review log (undone ones left out); graded card_reviewed events from before the log
+// existed are added so earlier history still counts. Backfilled events are
+// skipped as they have no grade.
+export const loadReviewHistory = async (userId) => {
+  const firstLog = await ReviewLog.findOne({ user: userId }).sort({ reviewedAt: 1 });
+
+  const [logs, events] = await Promise.all([
+    ReviewLog.find({ user: userId, undone: false }).select('flashcard reviewedAt quality').lean(),
+    ActivityEvent.find({
+      user: userId,
+      type: 'card_reviewed',
+      backfilled: false,
+      quality: { $ne: null },
+      ...(firstLog ? { occurredAt: { $lt: firstLog.reviewedAt } } : {})
+    }).select('flashcard occurredAt quality').lean()
+  ]);
+
+  const reviews = [
+    ...events.map(event => ({ flashcard: event.flashcard, at: event.occurredAt.getTime(), quality: event.quality })),
+    ...logs.map(log => ({ flashcard: log.flashcard, at: log.reviewedAt.getTime(), quality: log.quality }))
+  ];
+
+  const byCard = new Map();
+  for (const review of reviews) {
+    const key = review.flashcard.toString();
+    if (!byCard.has(key)) byCard.set(key, []);
+    byCard.get(key).push({ at: review.at, quality: review.quality });
+  }
+
+  return [...byCard.values()].map(cardReviews => cardReviews.sort((a, b) => a.at - b.at));
+};
@@ -0,0 +1,32 @@
+// Base class for flashcard schedulers. A scheduler owns the algorithm-specific
+// fields of a card's reviewData and decides when the card is due next.
+// Subclasses implement:
+//   review(reviewData, quality, { now, lastReview }) - apply a 0-5 review grade
+//   migrate(reviewData, { now, stats })              - take over a card whose
+//                                                      state another scheduler wrote
+//                                                      (stats: the card's Flashcard.stats)
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class FlashcardScheduler {
+  constructor(name) {
+    this.name = name;
+  }
+
+  review() {
+    throw new Error(`${this.name} scheduler does not implement review()`);
+  }
+
+  migrate() {
+    throw new Error(`${this.name} scheduler does not implement migrate()`);
+  }
+
+  // Schedule the next review `intervalDays` from `now`
+  setNextReview(reviewData, intervalDays, now) {
+    reviewData.interval = intervalDays;
+    reviewData.nextReview = new Date(now.getTime() + intervalDays * DAY_MS);
+    reviewData.lastReview = now;
+    reviewData.scheduler = this.name;
+  }
+}
+
+export default FlashcardScheduler;
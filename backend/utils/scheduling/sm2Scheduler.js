@@ -0,0 +1,56 @@
+import { FlashcardScheduler } from './scheduler.js';
+
+export const MIN_EASE_FACTOR = 1.3;
+export const DEFAULT_EASE_FACTOR = 2.5;
+
+// Simplified SM-2: intervals of 1 and 6 days, then growing by the ease
+// factor; a failed review (quality < 3) starts the card over
+export class SM2Scheduler extends FlashcardScheduler {
+  constructor() {
+    super('sm2');
+  }
+
+  review(reviewData, quality, { now = new Date() } = {}) {
+    reviewData.reviewCount += 1;
+
+    if (quality >= 3) {
+      if (reviewData.reviewCount === 1) {
+        reviewData.interval = 1;
+      } else if (reviewData.reviewCount === 2) {
+        reviewData.interval = 6;
+      } else {
+        reviewData.interval = Math.round(reviewData.interval * reviewData.easeFactor);
+      }
+
+      reviewData.easeFactor = reviewData.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    } else {
+      reviewData.reviewCount = 0;
+      reviewData.interval = 1;
+    }
+
+    if (reviewData.easeFactor < MIN_EASE_FACTOR) {
+      reviewData.easeFactor = MIN_EASE_FACTOR;
+    }
+
+    this.setNextReview(reviewData, reviewData.interval, now);
+    return reviewData;
+  }
+
+  // From FSRS: the interval becomes the stability, and the ease factor is
+  // mapped back from difficulty (1 -> 2.7, 10 -> 1.3). The due date is kept.
+  migrate(reviewData) {
+    if (reviewData.stability) {
+      reviewData.interval = Math.max(1, Math.round(reviewData.stability));
+    }
+    if (reviewData.difficulty) {
+      reviewData.easeFactor = Math.max(
+        MIN_EASE_FACTOR,
+        Math.round((DEFAULT_EASE_FACTOR + 0.2 - ((reviewData.difficulty - 1) / 9) * 1.4) * 100) / 100
+      );
+    }
+    reviewData.scheduler = this.name;
+    return reviewData;
+  }
+}
+
+export default SM2Scheduler;
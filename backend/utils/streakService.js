@@ -0,0 +1,221 @@
+import User from '../models/User.js';
+import ActivityEvent, { STUDY_ACTIVITY_TYPES } from '../models/ActivityEvent.js';
+import { backfillActivityEvents } from './activityLog.js';
+
+// Streaks count consecutive days with any study activity (completed tasks,
+// flashcard reviews, quiz attempts, study sessions), where a "day" is a
+// calendar day in the user's profile.timezone. A freeze covers one missed day;
+// one is earned every FREEZE_EARN_DAYS days of streak, up to MAX_STREAK_FREEZES.
+
+export const FREEZE_EARN_DAYS = 7;
+export const MAX_STREAK_FREEZES = 2;
+export const MAX_STREAK_HISTORY = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Calendar day ("YYYY-MM-DD") of `date` in `timezone`
+export const localDay = (date, timezone = 'UTC') => {
+  const format = new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  });
+  return format.format(new Date(date));
+};
+
+// First instant of the calendar day `date` falls on in `timezone`. Found by
+// bisection, as day lengths vary with DST.
+export const startOfLocalDay = (date, timezone = 'UTC') => {
+  const day = localDay(date, timezone);
+  let after = new Date(date).getTime();
+  let before = after - DAY_MS - 2 * 60 * 60 * 1000;
+
+  while (after - before > 1000) {
+    const middle = Math.floor((before + after) / 2);
+    if (localDay(middle, timezone) === day) {
+      after = middle;
+    } else {
+      before = middle;
+    }
+  }
+
+  return new Date(Math.floor(after / 1000) * 1000);
+};
+
+// First instant of the calendar day after `date` in `timezone`
+export const startOfNextLocalDay = (date, timezone = 'UTC') => {
+  const day = localDay(date, timezone);
+  let before = new Date(date).getTime();
+  let after = before + DAY_MS + 2 * 60 * 60 * 1000;
+
+  while (after - before > 1000) {
+    const middle = Math.floor((before + after) / 2);
+    if (localDay(middle, timezone) === day) {
+      before = middle;
+    } else {
+      after = middle;
+    }
+  }
+
+  return new Date(Math.floor(after / 1000) * 1000);
+};
+
+const daysBetween = (fromDay, toDay) => Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS);
+
+const emptyState = () => ({
+  streak: 0,
+  longestStreak: 0,
+  lastActiveDay: null,
+  streakStartDay: null,
+  streakFreezes: 0,
+  freezesUsed: 0,
+  streakHistory: []
+});
+
+const endStreak = (state) => {
+  if (state.streak === 0) return;
+
+  state.streakHistory.push({
+    startDay: state.streakStartDay,
+    endDay: state.lastActiveDay,
+    length: state.streak,
+    freezesUsed: state.freezesUsed
+  });
+  if (state.streakHistory.length > MAX_STREAK_HISTORY) {
+    state.streakHistory.splice(0, state.streakHistory.length - MAX_STREAK_HISTORY);
+  }
+};
+
+// Fold one active day into the streak state. Days at or before the last
+// active day change nothing, so recording the same day twice is harmless.
+export const applyActivityDay = (state, day) => {
+  if (state.lastActiveDay && daysBetween(state.lastActiveDay, day) <= 0) {
+    return state;
+  }
+
+  const missed = state.lastActiveDay ? daysBetween(state.lastActiveDay, day) - 1 : 0;
+
+  if (state.lastActiveDay && missed <= state.streakFreezes) {
+    state.streakFreezes -= missed;
+    state.freezesUsed += missed;
+    state.streak += 1;
+  } else {
+    endStreak(state);
+    state.streak = 1;
+    state.streakStartDay = day;
+    state.freezesUsed = 0;
+  }
+
+  if (state.streak % FREEZE_EARN_DAYS === 0) {
+    state.streakFreezes = Math.min(MAX_STREAK_FREEZES, state.streakFreezes + 1);
+  }
+
+  state.lastActiveDay = day;
+  state.longestStreak = Math.max(state.longestStreak, state.streak);
+  return state;
+};
+
+const readState = (user) => {
+  const stats = user.studyStats;
+  return {
+    streak: stats.streak || 0,
+    longestStreak: stats.longestStreak || 0,
+    lastActiveDay: stats.lastActiveDay || null,
+    streakStartDay: stats.streakStartDay || null,
+    streakFreezes: stats.streakFreezes || 0,
+    freezesUsed: stats.freezesUsed || 0,
+    streakHistory: (stats.streakHistory || []).map(entry => ({
+      startDay: entry.startDay,
+      endDay: entry.endDay,
+      length: entry.length,
+      freezesUsed: entry.freezesUsed
+    }))
+  };
+};
+
+const writeState = (user, state) => {
+  Object.assign(user.studyStats, state);
+};
+
+// Record study activity for a user at `at` and update their streak.
+// Returns the user's streak summary.
+export const recordStudyActivity = async (userId, at = new Date()) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  // Without a last active day the stored counter can't be continued (it may
+  // predate day tracking), so start from the activity log instead
+  const current = user.studyStats.lastActiveDay ? readState(user) : await stateFromActivityLog(user);
+  const state = applyActivityDay(current, localDay(at, user.profile.timezone));
+  writeState(user, state);
+  user.studyStats.lastActive = new Date();
+  await user.save();
+
+  return getStreakSummary(user);
+};
+
+// Streak as of `now`: a streak whose missed days can't all be covered by
+// freezes is shown as 0, even though it is only archived on the next activity
+export const getStreakSummary = (user, now = new Date()) => {
+  const state = readState(user);
+  const today = localDay(now, user.profile.timezone);
+  const missed = state.lastActiveDay ? daysBetween(state.lastActiveDay, today) - 1 : 0;
+  const alive = state.lastActiveDay && missed <= state.streakFreezes;
+
+  return {
+    current: alive ? state.streak : 0,
+    longest: state.longestStreak,
+    lastActiveDay: state.lastActiveDay,
+    studiedToday: state.lastActiveDay === today,
+    freezesAvailable: state.streakFreezes,
+    freezesNeeded: alive ? Math.max(0, missed) : 0,
+    timezone: user.profile.timezone,
+    history: [...state.streakHistory].reverse()
+  };
+};
+
+// Every time a user studied, from the activity log. Activity from before the
+// log existed is backfilled first.
+const collectActivityDates = async (userId) => {
+  await backfillActivityEvents(userId);
+
+  const events = await ActivityEvent.find({ user: userId, type: { $in: STUDY_ACTIVITY_TYPES } })
+    .select('occurredAt');
+  return events.map(event => event.occurredAt);
+};
+
+const stateFromActivityLog = async (user) => {
+  const dates = await collectActivityDates(user._id);
+  const days = [...new Set(dates.map(date => localDay(date, user.profile.timezone)))].sort();
+  return days.reduce(applyActivityDay, emptyState());
+};
+
+// Recompute a user's streak from scratch, e.g. after changing timezone
+export const rebuildStreak = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  writeState(user, await stateFromActivityLog(user));
+  await user.save();
+
+  return getStreakSummary(user);
+};
+
+// Streak summary for `user`. Streaks kept before day tracking have a counter
+// but no last active day, and are rebuilt from the activity log first.
+export const loadStreakSummary = async (user) => {
+  if (!user.studyStats.lastActiveDay && user.studyStats.streak > 0) {
+    return rebuildStreak(user._id);
+  }
+  return getStreakSummary(user);
+};
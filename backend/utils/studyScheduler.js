@@ -0,0 +1,388 @@
+import { groupChildren } from './topicTree.js';
+
+// Deterministic study plan scheduler. Distributes a subject's unfinished leaf
+// topics over the days before the exam using their estimated minutes, the time
+// available each day, difficulty spacing and a revision window at the end.
+
+export const DEFAULT_DAILY_MINUTES = 120;
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']; // Date#getDay order
+export const REVISION_RATIO = 0.15; // share of the days kept for revision
+const MIN_SESSION_MINUTES = 15;
+const DEFAULT_TOPIC_MINUTES = 60;
+const SPACING_LOOKAHEAD = 3; // topics we may pull forward to avoid stacking hard topics
+
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+export const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest} minutes`;
+  if (rest === 0) return `${hours} hour${hours > 1 ? 's' : ''}`;
+  return `${hours} hour${hours > 1 ? 's' : ''} ${rest} minutes`;
+};
+
+export const dateKey = (date) => {
+  const day = startOfDay(date);
+  return `${day.getFullYear()}-${day.getMonth() + 1}-${day.getDate()}`;
+};
+
+// Inverse of formatMinutes for task times such as "2 hours" or "1 hour 30 minutes"
+export const parseMinutes = (text, fallback = DEFAULT_TOPIC_MINUTES) => {
+  const hours = /(\d+(?:\.\d+)?)\s*(?:h|hours?|hrs?)\b/i.exec(text || '');
+  const minutes = /(\d+)\s*(?:m|mins?|minutes?)\b/i.exec(text || '');
+  if (!hours && !minutes) return fallback;
+  return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0));
+};
+
+// Minutes a plan task takes; older AI plans only have the text form
+export const taskMinutes = (task) => task.estimatedMinutes || parseMinutes(task.estimatedTime);
+
+// Whole days from `startDate` up to (not including) the exam day
+export const countDaysUntil = (examDate, startDate = new Date()) => {
+  return Math.round((startOfDay(examDate) - startOfDay(startDate)) / (24 * 60 * 60 * 1000));
+};
+
+// Unfinished leaf topics in syllabus order, with the unit each belongs to
+export const getSchedulableTopics = (topics) => {
+  const children = groupChildren(topics);
+  const leaves = [];
+
+  const visit = (topic, unit) => {
+    const kids = children.get(topic._id.toString()) || [];
+    if (kids.length === 0) {
+      if (!topic.completed) leaves.push({ topic, unit });
+      return;
+    }
+    kids.forEach(kid => visit(kid, unit));
+  };
+
+  (children.get('root') || []).forEach(unit => visit(unit, unit));
+  return leaves;
+};
+
+const describeSession = (session) => {
+  const where = session.unitName ? ` (${session.unitName})` : '';
+
+  if (session.part > 1) {
+    return `Continue ${session.name}${where} from where you stopped and finish with a short self-test`;
+  }
+
+  switch (session.difficulty) {
+    case 'easy':
+      return `Read through ${session.name}${where} and summarise the key points in your own words`;
+    case 'hard':
+      return `Work through ${session.name}${where} step by step, practise problems and note anything unclear`;
+    default:
+      return `Study ${session.name}${where}, then practise with examples`;
+  }
+};
+
+// `completedMinutes` maps topic ids to time already studied; a topic is
+// dropped once that covers its estimate
+const buildTopicQueue = (leaves, completedMinutes = new Map()) => {
+  return leaves
+    .map(({ topic, unit }) => ({
+      topicId: topic._id,
+      name: topic.name,
+      unitName: unit === topic ? null : unit.name,
+      difficulty: topic.difficulty || 'medium',
+      remaining: (topic.estimatedTime || DEFAULT_TOPIC_MINUTES) - (completedMinutes.get(topic._id.toString()) || 0),
+      started: false
+    }))
+    .filter(item => item.remaining > 0)
+    .map(item => ({ ...item, remaining: Math.max(MIN_SESSION_MINUTES, item.remaining) }));
+};
+
+// Minutes of `item` for one session on a day with `free` minutes left. Long
+// topics are split into several sessions, but never into pieces shorter than
+// MIN_SESSION_MINUTES.
+const chunkFor = (item, free, maxSessionMinutes = Infinity) => {
+  const limit = Math.min(free, maxSessionMinutes);
+  if (item.remaining <= limit) return item.remaining;
+
+  // Split by session length into equal pieces rather than one long and one short
+  const evenPiece = Math.ceil(item.remaining / Math.ceil(item.remaining / maxSessionMinutes));
+  const chunk = Math.min(limit, evenPiece, item.remaining - MIN_SESSION_MINUTES);
+  return chunk >= MIN_SESSION_MINUTES ? chunk : 0;
+};
+
+// Pick the next topic for a day from the front of the queue. A topic already
+// in progress is always continued; otherwise prefer topics that keep hard ones
+// apart (no two on one day, and not on consecutive days when avoidable).
+const pickTopic = (queue, day, free, previousDayHard, maxSessionMinutes) => {
+  const fits = item => chunkFor(item, free, maxSessionMinutes) > 0;
+
+  if (queue[0].started) {
+    return fits(queue[0]) ? 0 : -1;
+  }
+
+  const window = queue.slice(0, SPACING_LOOKAHEAD);
+  const rules = [
+    item => item.difficulty !== 'hard' || (!day.hasHard && !previousDayHard),
+    item => item.difficulty !== 'hard' || !day.hasHard
+  ];
+
+  for (const rule of rules) {
+    const index = window.findIndex(item => rule(item) && fits(item));
+    if (index !== -1) return index;
+  }
+
+  // Never leave a day empty just because the next topic is hard
+  return day.sessions.length === 0 && fits(queue[0]) ? 0 : -1;
+};
+
+// Spread revision across units, hardest units first
+const buildRevisionTasks = (topics, revisionDays) => {
+  if (revisionDays === 0) return [];
+
+  const children = groupChildren(topics);
+  const weight = { easy: 1, medium: 2, hard: 3 };
+  const units = [...(children.get('root') || [])]
+    .sort((a, b) => (weight[b.difficulty] || 2) - (weight[a.difficulty] || 2));
+
+  const groups = Array.from({ length: revisionDays }, () => []);
+  const reviewDays = revisionDays > 1 ? revisionDays - 1 : revisionDays;
+  units.forEach((unit, index) => groups[index % reviewDays].push(unit.name));
+
+  return groups.map((names, index) => {
+    const isFinal = revisionDays > 1 && index === revisionDays - 1;
+    return {
+      topic: isFinal ? 'Final review' : `Revision: ${names.join(', ') || 'all topics'}`,
+      description: isFinal
+        ? 'Go over your notes for every unit and practise past exam questions under timed conditions'
+        : `Review notes, revisit weak points and practise questions for ${names.join(', ') || 'all topics'}`,
+      difficulty: 'medium',
+      type: 'revision'
+    };
+  });
+};
+
+// Study days between `firstDay` and the exam with the minutes available on each.
+// Blackout dates and weekdays without availability are left out.
+export const buildCalendar = (firstDay, calendarDays, {
+  dailyMinutes = DEFAULT_DAILY_MINUTES,
+  weeklyAvailability,
+  blackoutDates = []
+} = {}) => {
+  const blackouts = new Set(blackoutDates.map(dateKey));
+  const calendar = [];
+
+  for (let index = 0; index < calendarDays; index++) {
+    const date = addDays(firstDay, index);
+    if (blackouts.has(dateKey(date))) continue;
+
+    const capacity = weeklyAvailability
+      ? weeklyAvailability[WEEKDAYS[date.getDay()]] ?? dailyMinutes
+      : dailyMinutes;
+    if (capacity > 0) {
+      calendar.push({ index, date, capacity });
+    }
+  }
+
+  return calendar;
+};
+
+// Blackout dates are stored as UTC midnight of the calendar day the user
+// picked; the scheduler works in server-local days, so move them to local
+// midnight of that same day.
+export const blackoutDay = (date) => {
+  const day = new Date(date);
+  return new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+};
+
+// Scheduler options from a user's study preferences. A plan-level
+// `dailyMinutes` replaces the weekly availability with a flat daily budget.
+export const scheduleOptionsFor = (user, { dailyMinutes } = {}) => {
+  const { weeklyAvailability, blackoutDates, maxSessionMinutes } = user.preferences.studySchedule;
+
+  return {
+    dailyMinutes,
+    weeklyAvailability: dailyMinutes ? undefined : weeklyAvailability,
+    blackoutDates: blackoutDates.map(blackout => blackoutDay(blackout.date)),
+    maxSessionMinutes
+  };
+};
+
+// Build a day-by-day plan for `topics` (a subject's flat topic list).
+// Time per day comes from `weeklyAvailability` ({ monday: minutes, ... }) when
+// given, otherwise `dailyMinutes`; `blackoutDates` are skipped entirely.
+// `completedMinutes` (topic id string -> minutes) is time already studied
+// outside the syllabus, e.g. in completed tasks of an earlier plan version;
+// Infinity marks a topic as finished.
+// Returns the tasks plus a summary and any warnings about the available time.
+export const scheduleStudyPlan = (topics, examDate, {
+  startDate = new Date(),
+  dailyMinutes = DEFAULT_DAILY_MINUTES,
+  weeklyAvailability,
+  blackoutDates = [],
+  maxSessionMinutes,
+  revisionDays,
+  completedMinutes = new Map()
+} = {}) => {
+  const warnings = [];
+  const firstDay = startOfDay(startDate);
+  let calendarDays = countDaysUntil(examDate, firstDay);
+
+  if (calendarDays < 1) {
+    warnings.push('The exam is today or has passed, so everything is scheduled for today');
+    calendarDays = 1;
+  }
+
+  let calendar = buildCalendar(firstDay, calendarDays, { dailyMinutes, weeklyAvailability, blackoutDates });
+  if (calendar.length === 0) {
+    warnings.push('No study time is available before the exam, so everything is scheduled for today');
+    calendar = [{ index: 0, date: firstDay, capacity: dailyMinutes }];
+  }
+
+  const queue = buildTopicQueue(getSchedulableTopics(topics), completedMinutes);
+  const topicCount = queue.length;
+  const totalMinutes = queue.reduce((sum, item) => sum + item.remaining, 0);
+  const capacityOf = days => days.reduce((sum, day) => sum + day.capacity, 0);
+
+  // Revision window: requested size, or a share of the days once there is room for it
+  const available = calendar.length;
+  let reserved = revisionDays ?? (available >= 4 ? Math.max(1, Math.round(available * REVISION_RATIO)) : 0);
+  if (topicCount === 0) {
+    reserved = available;
+  } else {
+    reserved = Math.min(reserved, available - 1);
+    // Give revision days back to study when the topics would not fit otherwise
+    while (reserved > 0 && totalMinutes > capacityOf(calendar.slice(0, available - reserved))) {
+      reserved -= 1;
+    }
+  }
+  if (revisionDays !== undefined && reserved < revisionDays) {
+    warnings.push(`Only ${reserved} of the requested ${revisionDays} revision days fit before the exam`);
+  }
+
+  const days = calendar.slice(0, available - reserved).map(day => ({
+    ...day,
+    budget: day.capacity,
+    sessions: [],
+    minutes: 0,
+    hasHard: false
+  }));
+  const studyCapacity = capacityOf(days);
+
+  // Not enough time: stretch every day proportionally rather than drop topics
+  if (totalMinutes > studyCapacity) {
+    const scale = totalMinutes / studyCapacity;
+    days.forEach(day => {
+      day.budget = Math.ceil(day.capacity * scale);
+    });
+    warnings.push(
+      `The remaining topics need ${totalMinutes} minutes but only ${studyCapacity} are available before the exam, ` +
+      'so daily study time was increased to fit'
+    );
+  }
+
+  // Fill days in syllabus order, pacing evenly towards the exam
+  const totalBudget = days.reduce((sum, day) => sum + day.budget, 0);
+  let budgetSoFar = 0;
+  let scheduled = 0;
+
+  const place = (day, item, minutes) => {
+    day.sessions.push({ ...item, minutes });
+    day.minutes += minutes;
+    day.hasHard = day.hasHard || item.difficulty === 'hard';
+    item.remaining -= minutes;
+    item.started = true;
+    scheduled += minutes;
+  };
+
+  days.forEach((day, index) => {
+    budgetSoFar += day.budget;
+    const isLastDay = index === days.length - 1;
+    const pace = Math.ceil((totalMinutes * budgetSoFar) / totalBudget) - scheduled;
+    // A topic split across days is finished before pacing lets the plan idle
+    const carryOver = queue.length > 0 && queue[0].started ? queue[0].remaining : 0;
+    const target = isLastDay ? day.budget : Math.min(day.budget, Math.max(pace, carryOver));
+    // Consecutive calendar days only: a day off in between already spaces hard topics
+    const previous = days[index - 1];
+    const previousDayHard = Boolean(previous && previous.index === day.index - 1 && previous.hasHard);
+
+    while (queue.length > 0 && day.minutes < target) {
+      const free = day.budget - day.minutes;
+      const pick = pickTopic(queue, day, free, previousDayHard, maxSessionMinutes);
+      if (pick === -1) break;
+
+      const item = queue[pick];
+      place(day, item, chunkFor(item, free, maxSessionMinutes));
+      if (item.remaining === 0) queue.splice(pick, 1);
+    }
+  });
+
+  // Anything left over goes on the last study day, still in session-sized pieces
+  const lastDay = days[days.length - 1];
+  queue.forEach(item => {
+    while (item.remaining > 0) {
+      place(lastDay, item, chunkFor(item, Infinity, maxSessionMinutes) || item.remaining);
+    }
+  });
+
+  // Number the pieces of topics that were split into several sessions
+  const parts = new Map();
+  days.forEach(day => day.sessions.forEach(session => {
+    const key = session.topicId.toString();
+    parts.set(key, (parts.get(key) || 0) + 1);
+    session.part = parts.get(key);
+  }));
+
+  const dailyTasks = [];
+  days.forEach(day => {
+    day.sessions.forEach(session => {
+      const total = parts.get(session.topicId.toString());
+      dailyTasks.push({
+        day: day.index + 1,
+        date: day.date,
+        topic: total > 1 ? `${session.name} (part ${session.part} of ${total})` : session.name,
+        topicId: session.topicId,
+        description: describeSession(session),
+        estimatedTime: formatMinutes(session.minutes),
+        estimatedMinutes: session.minutes,
+        difficulty: session.difficulty,
+        type: 'study'
+      });
+    });
+  });
+
+  const sessionCount = dailyTasks.length;
+  const revisionCalendar = calendar.slice(available - reserved);
+  buildRevisionTasks(topics, reserved).forEach((task, index) => {
+    const day = revisionCalendar[index];
+    dailyTasks.push({
+      ...task,
+      day: day.index + 1,
+      date: day.date,
+      estimatedTime: formatMinutes(day.capacity),
+      estimatedMinutes: day.capacity
+    });
+  });
+
+  return {
+    startDate: firstDay,
+    endDate: startOfDay(examDate),
+    totalDuration: calendarDays,
+    dailyTasks,
+    summary: {
+      studyDays: days.length,
+      revisionDays: reserved,
+      daysOff: calendarDays - available,
+      topics: topicCount,
+      sessions: sessionCount,
+      totalMinutes,
+      availableMinutes: studyCapacity
+    },
+    warnings
+  };
+};
@@ -0,0 +1,46 @@
+import StudyPlan from '../models/StudyPlan.js';
+import Subject from '../models/Subject.js';
+import User from '../models/User.js';
+import { recordStudyActivity } from './streakService.js';
+import { logActivities, sessionEndedEvent } from './activityLog.js';
+
+// Add a finished session's time to the task it was for (if any), its subject
+// and the user's stats, log it, and count the day towards the user's streak.
+// Atomic $inc updates are used so concurrent sessions don't overwrite each
+// other, and subjects whose exam has passed (which fail Subject validation)
+// can still be updated.
+export const recordSessionTime = async (session) => {
+  const minutes = Math.round(session.duration / 60);
+  const studiedAt = session.endedAt || new Date();
+
+  if (session.targetType === 'task' && session.studyPlan && session.taskId) {
+    await StudyPlan.updateOne(
+      { _id: session.studyPlan, 'dailyTasks._id': session.taskId },
+      {
+        $inc: { 'dailyTasks.$.actualTimeSpent': minutes },
+        $set: { 'progress.lastStudied': studiedAt }
+      }
+    );
+  }
+
+  await Subject.updateOne(
+    { _id: session.subject },
+    {
+      $inc: { 'progress.totalStudyTime': minutes },
+      $set: { 'progress.lastStudied': studiedAt }
+    }
+  );
+
+  await User.updateOne(
+    { _id: session.user },
+    {
+      $inc: { 'studyStats.totalStudyTime': minutes },
+      $set: { 'studyStats.lastActive': studiedAt }
+    }
+  );
+
+  await logActivities(session.user, [sessionEndedEvent(session)]);
+  await recordStudyActivity(session.user, studiedAt);
+
+  return minutes;
+};
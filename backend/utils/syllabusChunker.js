@@ -0,0 +1,164 @@
+// Split long syllabi into model-sized chunks and merge the topics extracted from them
+
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+\S/, // Markdown headings
+  /^(unit|chapter|module|week|part|section|topic|lecture)\s*[-:.]?\s*([0-9]+|[ivxlc]+)\b/i,
+  /^([ivxlc]+)[.)]\s+\S/i, // Roman numerals: "IV. Thermodynamics"
+  /^\d+[.)]\s+\S/, // Top-level numbered items: "3. Kinematics" (not "3.1")
+  /^[A-Z][A-Z0-9 ,&/()-]{3,}:?$/ // ALL CAPS lines
+];
+
+export const isHeading = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 120) return false;
+  return HEADING_PATTERNS.some(pattern => pattern.test(trimmed));
+};
+
+// Split a syllabus into sections, each starting at a heading
+export const splitSyllabusIntoSections = (syllabus = '') => {
+  const lines = syllabus.split(/\r?\n/);
+  const sections = [];
+  let current = { heading: null, lines: [] };
+
+  for (const line of lines) {
+    if (isHeading(line) && current.lines.some(existing => existing.trim())) {
+      sections.push(current);
+      current = { heading: line.trim(), lines: [line] };
+    } else {
+      if (!current.heading && isHeading(line)) {
+        current.heading = line.trim();
+      }
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map(section => ({ heading: section.heading, text: section.lines.join('\n').trim() }))
+    .filter(section => section.text);
+};
+
+// Break an oversized section on paragraph, then line, then hard character boundaries
+const splitOversizedText = (text, maxChars) => {
+  const pieces = [];
+  let buffer = '';
+
+  const units = text.split(/\n\s*\n/).flatMap(paragraph => {
+    if (paragraph.length <= maxChars) return [paragraph];
+    return paragraph.split('\n').flatMap(line => {
+      if (line.length <= maxChars) return [line];
+      const parts = [];
+      for (let i = 0; i < line.length; i += maxChars) {
+        parts.push(line.slice(i, i + maxChars));
+      }
+      return parts;
+    });
+  });
+
+  for (const unit of units) {
+    if (buffer && buffer.length + unit.length + 1 > maxChars) {
+      pieces.push(buffer);
+      buffer = '';
+    }
+    buffer = buffer ? `${buffer}\n${unit}` : unit;
+  }
+  if (buffer) pieces.push(buffer);
+
+  return pieces;
+};
+
+// Group sections into chunks of at most `maxChars` characters.
+// Sections are kept whole where possible so topics stay with their headings.
+export const chunkSyllabus = (syllabus = '', { maxChars = 6000 } = {}) => {
+  if (syllabus.length <= maxChars) {
+    return [{ index: 0, headings: [], text: syllabus }];
+  }
+
+  const chunks = [];
+  let current = { headings: [], text: '' };
+
+  const flush = () => {
+    if (current.text.trim()) {
+      chunks.push({ index: chunks.length, ...current });
+    }
+    current = { headings: [], text: '' };
+  };
+
+  for (const section of splitSyllabusIntoSections(syllabus)) {
+    if (section.text.length > maxChars) {
+      flush();
+      splitOversizedText(section.text, maxChars).forEach((piece, i) => {
+        // Repeat the heading so the model keeps context in follow-up pieces
+        const text = i > 0 && section.heading ? `${section.heading} (continued)\n${piece}` : piece;
+        chunks.push({ index: chunks.length, headings: section.heading ? [section.heading] : [], text });
+      });
+      continue;
+    }
+
+    if (current.text && current.text.length + section.text.length + 2 > maxChars) {
+      flush();
+    }
+
+    current.text = current.text ? `${current.text}\n\n${section.text}` : section.text;
+    if (section.heading) current.headings.push(section.heading);
+  }
+  flush();
+
+  return chunks;
+};
+
+// Normalise a topic name for duplicate detection
+export const normalizeTopicName = (name = '') => {
+  return name
+    .toLowerCase()
+    .replace(/^(unit|chapter|module|week|section|lecture)\s*[-:.]?\s*([0-9]+|[ivxlc]+)\b[\s:.-]*/i, '')
+    .replace(/^[\d.)\s-]+/, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(the|an|a|of|to)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Merge topic lists from several chunks, keeping the first occurrence of each topic.
+// Subtopics of duplicates are merged recursively.
+export const mergeTopics = (topicLists) => {
+  const merged = [];
+  const byKey = new Map();
+
+  for (const topics of topicLists) {
+    for (const topic of topics || []) {
+      const key = normalizeTopicName(topic.name) || topic.name.toLowerCase();
+      const existing = byKey.get(key);
+
+      if (!existing) {
+        const copy = { ...topic, subtopics: mergeTopics([topic.subtopics]) };
+        byKey.set(key, copy);
+        merged.push(copy);
+        continue;
+      }
+
+      // Same topic seen in another chunk: keep the richer details
+      if (!existing.description && topic.description) {
+        existing.description = topic.description;
+      }
+      if (topic.estimatedTime > existing.estimatedTime) {
+        existing.estimatedTime = topic.estimatedTime;
+      }
+      existing.subtopics = mergeTopics([existing.subtopics, topic.subtopics]);
+    }
+  }
+
+  return merged;
+};
+
+// Compact, indented outline used in place of the raw syllabus for long inputs
+export const buildTopicOutline = (topics, depth = 0) => {
+  return topics
+    .map(topic => {
+      const line = `${'  '.repeat(depth)}- ${topic.name} (${topic.difficulty}, ~${topic.estimatedTime} min)${topic.description ? `: ${topic.description}` : ''}`;
+      const children = topic.subtopics?.length ? `\n${buildTopicOutline(topic.subtopics, depth + 1)}` : '';
+      return line + children;
+    })
+    .join('\n');
+};
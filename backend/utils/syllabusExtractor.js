@@ -0,0 +1,72 @@
+import path from 'path';
+import mammoth from 'mammoth';
+// Import the library entry directly: the package index runs a debug self-test under ESM
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+export const SYLLABUS_FILE_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.md': ['text/markdown', 'text/x-markdown', 'text/plain'],
+  '.markdown': ['text/markdown', 'text/x-markdown', 'text/plain'],
+  '.txt': ['text/plain']
+};
+
+export const getSyllabusFileExtension = (file) => {
+  return path.extname(file.originalname || '').toLowerCase();
+};
+
+export const isSupportedSyllabusFile = (file) => {
+  const extension = getSyllabusFileExtension(file);
+  const mimeTypes = SYLLABUS_FILE_TYPES[extension];
+  // Browsers often send octet-stream for .md files, so the extension is authoritative
+  return Boolean(mimeTypes) && (mimeTypes.includes(file.mimetype) || file.mimetype === 'application/octet-stream');
+};
+
+// Keep headings and list markers (the chunker relies on them) but drop markup noise
+const cleanMarkdown = (markdown) => {
+  return markdown
+    .replace(/^---\n[\s\S]*?\n---\n/, '') // front matter
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')
+    .replace(/<[^>]+>/g, '');
+};
+
+const normaliseWhitespace = (text) => {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Extract plain text from an uploaded syllabus file (multer memory storage)
+export const extractSyllabusText = async (file) => {
+  const extension = getSyllabusFileExtension(file);
+  let text;
+
+  switch (extension) {
+    case '.pdf': {
+      const result = await pdfParse(file.buffer);
+      text = result.text;
+      break;
+    }
+    case '.docx': {
+      const result = await mammoth.extractRawText({ buffer: file.buffer });
+      text = result.value;
+      break;
+    }
+    case '.md':
+    case '.markdown':
+      text = cleanMarkdown(file.buffer.toString('utf8'));
+      break;
+    case '.txt':
+      text = file.buffer.toString('utf8');
+      break;
+    default:
+      throw new Error(`Unsupported syllabus file type: ${extension || 'unknown'}`);
+  }
+
+  return normaliseWhitespace(text || '');
+};
@@ -0,0 +1,278 @@
+import ActivityEvent from '../models/ActivityEvent.js';
+import { groupChildren } from './topicTree.js';
+
+// Mastery of a subject's topics, estimated from quiz answers and flashcard
+// reviews in the activity log. Each answer or review is evidence that the
+// topic is known (correct) or not, weighted by kind and decaying with age so
+// recent practice counts most. With little evidence the score falls back to
+// a prior: half mastered for topics marked complete, nothing otherwise.
+
+export const MASTERY_HALF_LIFE_DAYS = 21;
+export const MASTERY_LOOKBACK_DAYS = 365;
+export const STUDY_NEXT_COUNT = 5;
+
+const QUIZ_ANSWER_WEIGHT = 1;
+const CARD_REVIEW_WEIGHT = 0.5;
+const PRIOR_WEIGHT = 1;
+const COMPLETED_PRIOR = 0.5;
+// Evidence at which confidence reaches 50%
+const CONFIDENCE_HALF_EVIDENCE = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => (value ? value.toString() : null);
+
+const normalizeName = (name) => (name || '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Subject topic a flashcard or quiz question topic name refers to: an exact
+// (normalized) name match, otherwise the most specific topic whose name
+// contains it or is contained in it
+export const findTopicId = (topics, name) => {
+  const target = normalizeName(name);
+  if (!target) return null;
+
+  const candidates = topics.filter(topic => !topic.removedFromSyllabus);
+  const exact = candidates.find(topic => normalizeName(topic.name) === target);
+  if (exact) return exact._id;
+
+  const partial = candidates
+    .filter(topic => {
+      const topicName = normalizeName(topic.name);
+      return topicName && (topicName.includes(target) || target.includes(topicName));
+    })
+    .sort((a, b) => (b.level || 0) - (a.level || 0) || b.name.length - a.name.length);
+
+  return partial.length > 0 ? partial[0]._id : null;
+};
+
+export const masteryStatus = (entry) => {
+  if (entry.evidence === 0 && !entry.completed) return 'not_started';
+  if (entry.mastery < 50) return 'weak';
+  if (entry.mastery < 80) return 'learning';
+  return 'strong';
+};
+
+// Mastery for every topic of `subject` from its quiz_answered and
+// card_reviewed events. Leaves are scored from their evidence; parents are
+// the estimated-time-weighted average of their children.
+export const computeTopicMastery = (subject, events, now = new Date()) => {
+  const topics = subject.topics.filter(topic => !topic.removedFromSyllabus);
+  const byId = new Map(topics.map(topic => [idOf(topic._id), topic]));
+  const nameMatches = new Map();
+
+  const resolveTopic = (event) => {
+    if (event.topicId && byId.has(idOf(event.topicId))) return idOf(event.topicId);
+    if (!nameMatches.has(event.topic)) {
+      nameMatches.set(event.topic, idOf(findTopicId(topics, event.topic)));
+    }
+    return nameMatches.get(event.topic);
+  };
+
+  const evidence = new Map();
+  for (const event of events) {
+    if (typeof event.correct !== 'boolean') continue;
+
+    const topicId = resolveTopic(event);
+    if (!topicId) continue;
+
+    if (!evidence.has(topicId)) {
+      evidence.set(topicId, {
+        weight: 0,
+        score: 0,
+        quiz: { answered: 0, correct: 0 },
+        flashcards: { reviews: 0, recalled: 0 },
+        lastPracticed: null
+      });
+    }
+
+    const entry = evidence.get(topicId);
+    const ageDays = Math.max(0, (now - new Date(event.occurredAt)) / DAY_MS);
+    const baseWeight = event.type === 'quiz_answered' ? QUIZ_ANSWER_WEIGHT : CARD_REVIEW_WEIGHT;
+    const weight = baseWeight * Math.pow(0.5, ageDays / MASTERY_HALF_LIFE_DAYS);
+
+    entry.weight += weight;
+    if (event.correct) entry.score += weight;
+
+    if (event.type === 'quiz_answered') {
+      entry.quiz.answered += 1;
+      if (event.correct) entry.quiz.correct += 1;
+    } else {
+      entry.flashcards.reviews += 1;
+      if (event.correct) entry.flashcards.recalled += 1;
+    }
+
+    if (!entry.lastPracticed || event.occurredAt > entry.lastPracticed) {
+      entry.lastPracticed = event.occurredAt;
+    }
+  }
+
+  const children = groupChildren(topics);
+  const results = new Map();
+
+  const visit = (topic) => {
+    const kids = children.get(idOf(topic._id)) || [];
+    let result;
+
+    if (kids.length === 0) {
+      const entry = evidence.get(idOf(topic._id));
+      const prior = topic.completed ? COMPLETED_PRIOR : 0;
+      const weight = entry ? entry.weight : 0;
+      const score = entry ? entry.score : 0;
+
+      result = {
+        mastery: Math.round(((score + PRIOR_WEIGHT * prior) / (weight + PRIOR_WEIGHT)) * 100),
+        confidence: Math.round((weight / (weight + CONFIDENCE_HALF_EVIDENCE)) * 100),
+        evidence: entry ? entry.quiz.answered + entry.flashcards.reviews : 0,
+        quiz: entry ? entry.quiz : { answered: 0, correct: 0 },
+        flashcards: entry ? entry.flashcards : { reviews: 0, recalled: 0 },
+        lastPracticed: entry ? entry.lastPracticed : null,
+        estimatedTime: topic.estimatedTime || 0,
+        weight
+      };
+    } else {
+      const kidResults = kids.map(visit);
+      const weights = kidResults.map(kid => Math.max(1, kid.estimatedTime));
+      const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+      const average = (field) => Math.round(
+        kidResults.reduce((sum, kid, i) => sum + kid[field] * weights[i], 0) / totalWeight
+      );
+      // Practice filed under the parent itself (its name matched a quiz
+      // question or flashcard topic) is blended in, weighed against the
+      // evidence behind the children's average
+      const own = evidence.get(idOf(topic._id));
+      const childWeight = kidResults.reduce((sum, kid) => sum + kid.weight, 0) + PRIOR_WEIGHT;
+      const lastPracticed = [own?.lastPracticed, ...kidResults.map(kid => kid.lastPracticed)]
+        .filter(Boolean)
+        .sort((a, b) => b - a)[0] || null;
+
+      result = {
+        mastery: average('mastery'),
+        confidence: average('confidence'),
+        evidence: kidResults.reduce((sum, kid) => sum + kid.evidence, 0),
+        quiz: {
+          answered: kidResults.reduce((sum, kid) => sum + kid.quiz.answered, 0),
+          correct: kidResults.reduce((sum, kid) => sum + kid.quiz.correct, 0)
+        },
+        flashcards: {
+          reviews: kidResults.reduce((sum, kid) => sum + kid.flashcards.reviews, 0),
+          recalled: kidResults.reduce((sum, kid) => sum + kid.flashcards.recalled, 0)
+        },
+        lastPracticed,
+        estimatedTime: kidResults.reduce((sum, kid) => sum + kid.estimatedTime, 0),
+        weight: childWeight - PRIOR_WEIGHT
+      };
+
+      if (own) {
+        result.mastery = Math.round(
+          ((result.mastery / 100) * childWeight + own.score) / (childWeight + own.weight) * 100
+        );
+        result.confidence = Math.max(
+          result.confidence,
+          Math.round((own.weight / (own.weight + CONFIDENCE_HALF_EVIDENCE)) * 100)
+        );
+        result.evidence += own.quiz.answered + own.flashcards.reviews;
+        result.quiz.answered += own.quiz.answered;
+        result.quiz.correct += own.quiz.correct;
+        result.flashcards.reviews += own.flashcards.reviews;
+        result.flashcards.recalled += own.flashcards.recalled;
+        result.weight += own.weight;
+      }
+    }
+
+    result.completed = !!topic.completed;
+    result.status = masteryStatus(result);
+    results.set(idOf(topic._id), result);
+    return result;
+  };
+
+  const roots = (children.get('root') || []).map(visit);
+  const rootWeights = roots.map(root => Math.max(1, root.estimatedTime));
+  const totalRootWeight = rootWeights.reduce((sum, weight) => sum + weight, 0);
+
+  return {
+    byTopic: results,
+    overall: roots.length > 0
+      ? Math.round(roots.reduce((sum, root, i) => sum + root.mastery * rootWeights[i], 0) / totalRootWeight)
+      : 0,
+    children
+  };
+};
+
+// Nested mastery tree for API responses
+export const buildMasteryTree = (mastery) => {
+  const build = (parentKey) => (mastery.children.get(parentKey) || []).map(topic => {
+    const result = mastery.byTopic.get(idOf(topic._id));
+    return {
+      id: topic._id,
+      name: topic.name,
+      mastery: result.mastery,
+      confidence: result.confidence,
+      status: result.status,
+      completed: result.completed,
+      quiz: result.quiz,
+      flashcards: result.flashcards,
+      lastPracticed: result.lastPracticed,
+      subtopics: build(idOf(topic._id))
+    };
+  });
+
+  return build('root');
+};
+
+// Leaf topics to study next: everything not yet strong, lowest mastery first,
+// and among equals the one practised longest ago
+export const pickStudyNext = (subject, mastery, count = STUDY_NEXT_COUNT) => {
+  return subject.topics
+    .filter(topic => !topic.removedFromSyllabus && !(mastery.children.get(idOf(topic._id)) || []).length)
+    .map(topic => ({ topic, result: mastery.byTopic.get(idOf(topic._id)) }))
+    .filter(({ result }) => result && result.status !== 'strong')
+    .sort((a, b) => a.result.mastery - b.result.mastery ||
+      new Date(a.result.lastPracticed || 0) - new Date(b.result.lastPracticed || 0))
+    .slice(0, count)
+    .map(({ topic, result }) => ({
+      id: topic._id,
+      name: topic.name,
+      mastery: result.mastery,
+      status: result.status
+    }));
+};
+
+// Load a subject's practice events and compute its topic mastery. Undone
+// flashcard reviews are left out, and a re-answered quiz question only
+// counts its last answer.
+export const getSubjectMastery = async (userId, subject, now = new Date()) => {
+  const since = new Date(now.getTime() - MASTERY_LOOKBACK_DAYS * DAY_MS);
+  const events = await ActivityEvent.find({
+    user: userId,
+    subject: subject._id,
+    type: { $in: ['quiz_answered', 'card_reviewed', 'card_review_undone'] },
+    occurredAt: { $gte: since }
+  }).select('type occurredAt topicId topic correct reviewLog attemptId questionIndex').lean();
+
+  const undone = new Set(events
+    .filter(event => event.type === 'card_review_undone')
+    .map(event => idOf(event.reviewLog)));
+  const answerKey = (event) => `${idOf(event.attemptId)}:${event.questionIndex}`;
+  const lastAnswers = new Map();
+  events
+    .filter(event => event.type === 'quiz_answered' && event.questionIndex !== undefined)
+    .forEach(event => {
+      const last = lastAnswers.get(answerKey(event));
+      if (!last || event.occurredAt >= last.occurredAt) lastAnswers.set(answerKey(event), event);
+    });
+
+  const practice = events.filter(event => {
+    if (event.type === 'card_review_undone') return false;
+    if (event.reviewLog && undone.has(idOf(event.reviewLog))) return false;
+    if (event.type === 'quiz_answered' && event.questionIndex !== undefined) {
+      return lastAnswers.get(answerKey(event)) === event;
+    }
+    return true;
+  });
+
+  return computeTopicMastery(subject, practice, now);
+};
@@ -0,0 +1,160 @@
+import { normalizeTopicName } from './syllabusChunker.js';
+import { flattenTopicTree } from './topicTree.js';
+
+// Matching threshold for treating an old and a new topic as the same topic
+export const TOPIC_MATCH_THRESHOLD = 0.6;
+
+const bigrams = (text) => {
+  const grams = new Map();
+  const compact = text.replace(/\s+/g, ' ');
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+// Similarity between two topic names in [0, 1]: Dice coefficient over character
+// bigrams, boosted when one name's words are all contained in the other's
+export const topicSimilarity = (a, b) => {
+  const left = normalizeTopicName(a);
+  const right = normalizeTopicName(b);
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let overlap = 0;
+  for (const [gram, count] of leftGrams) {
+    overlap += Math.min(count, rightGrams.get(gram) || 0);
+  }
+  const total = Math.max(1, left.length - 1) + Math.max(1, right.length - 1);
+  const dice = (2 * overlap) / total;
+
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const [smaller, larger] = leftWords.size <= rightWords.size ? [leftWords, rightWords] : [rightWords, leftWords];
+  const contained = [...smaller].every(word => larger.has(word));
+
+  return contained ? Math.max(dice, 0.8) : dice;
+};
+
+const hasProgress = (topic) => Boolean(topic.completed || (topic.notes && topic.notes.trim()));
+
+// Merge a freshly extracted topic tree into a subject's existing topics.
+// Matched topics keep their id, completion state and notes; unmatched old
+// topics with progress are kept but flagged as removed from the syllabus.
+// Returns the merged flat topic list and a diff describing the changes.
+export const planTopicMerge = (existingTopics, newTree, { threshold = TOPIC_MATCH_THRESHOLD } = {}) => {
+  // Previously removed topics take part in matching so they can be restored
+  const oldTopics = existingTopics
+    .map(topic => (typeof topic.toObject === 'function' ? topic.toObject() : { ...topic }));
+  const newTopics = flattenTopicTree(newTree);
+  const newById = new Map(newTopics.map(topic => [topic._id.toString(), topic]));
+
+  // Greedy best-first matching on similarity
+  const candidates = [];
+  for (const newTopic of newTopics) {
+    for (const oldTopic of oldTopics) {
+      const score = topicSimilarity(oldTopic.name, newTopic.name);
+      if (score >= threshold) {
+        candidates.push({ newTopic, oldTopic, score });
+      }
+    }
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const matchByNewId = new Map();
+  const matchedOldIds = new Set();
+  for (const candidate of candidates) {
+    const newId = candidate.newTopic._id.toString();
+    const oldId = candidate.oldTopic._id.toString();
+    if (matchByNewId.has(newId) || matchedOldIds.has(oldId)) continue;
+    matchByNewId.set(newId, candidate);
+    matchedOldIds.add(oldId);
+  }
+
+  // Matched new topics take over the old id so references stay valid
+  const idMap = new Map(newTopics.map(topic => {
+    const match = matchByNewId.get(topic._id.toString());
+    return [topic._id.toString(), match ? match.oldTopic._id : topic._id];
+  }));
+
+  const diff = { matched: [], added: [], removed: [] };
+  const merged = newTopics.map(topic => {
+    const match = matchByNewId.get(topic._id.toString());
+    const node = {
+      ...topic,
+      _id: idMap.get(topic._id.toString()),
+      parent: topic.parent ? idMap.get(topic.parent.toString()) : null
+    };
+
+    if (match) {
+      node.completed = match.oldTopic.completed;
+      node.completedAt = match.oldTopic.completedAt;
+      node.notes = match.oldTopic.notes;
+      diff.matched.push({
+        id: node._id,
+        oldName: match.oldTopic.name,
+        newName: topic.name,
+        similarity: Math.round(match.score * 100) / 100,
+        renamed: match.oldTopic.name !== topic.name,
+        restored: Boolean(match.oldTopic.removedFromSyllabus),
+        completed: Boolean(match.oldTopic.completed),
+        hasNotes: Boolean(match.oldTopic.notes)
+      });
+    } else {
+      diff.added.push({
+        name: topic.name,
+        parentName: topic.parent ? newById.get(topic.parent.toString()).name : null,
+        difficulty: topic.difficulty,
+        estimatedTime: topic.estimatedTime
+      });
+    }
+
+    return node;
+  });
+
+  const removedAt = new Date();
+  const preservedRoots = new Set();
+  oldTopics
+    .filter(topic => !matchedOldIds.has(topic._id.toString()))
+    .forEach(topic => {
+      // Already flagged by an earlier re-extraction: carry over unchanged
+      if (topic.removedFromSyllabus) {
+        merged.push({ ...topic });
+        return;
+      }
+
+      const preserved = hasProgress(topic);
+      diff.removed.push({
+        id: topic._id,
+        name: topic.name,
+        completed: Boolean(topic.completed),
+        hasNotes: Boolean(topic.notes),
+        preserved
+      });
+
+      if (preserved) {
+        preservedRoots.add(topic._id.toString());
+        merged.push({
+          ...topic,
+          parent: null,
+          order: merged.length,
+          removedFromSyllabus: true,
+          removedAt
+        });
+      }
+    });
+
+  diff.summary = {
+    matched: diff.matched.length,
+    renamed: diff.matched.filter(match => match.renamed).length,
+    added: diff.added.length,
+    removed: diff.removed.length,
+    preservedProgress: diff.matched.filter(match => match.completed || match.hasNotes).length + preservedRoots.size
+  };
+
+  return { topics: merged, diff };
+};
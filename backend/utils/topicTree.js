@@ -0,0 +1,234 @@
+import mongoose from 'mongoose';
+
+// Subject topics are stored as a flat array where each node points at its
+// parent (null for top-level units). These helpers convert between that
+// representation and nested trees, and keep roll-up fields consistent.
+
+export const MAX_TOPIC_DEPTH = 3; // units -> topics -> subtopics
+
+const idOf = (value) => (value ? value.toString() : null);
+
+// Flatten a nested { name, ..., subtopics: [...] } tree into topic nodes with parent ids
+export const flattenTopicTree = (tree = [], parent = null, depth = 0) => {
+  const nodes = [];
+
+  tree.forEach((item, index) => {
+    const { subtopics, ...fields } = item;
+    const _id = new mongoose.Types.ObjectId();
+
+    const hasSubtopics = Array.isArray(subtopics) && subtopics.length > 0;
+
+    if (hasSubtopics && depth + 1 >= MAX_TOPIC_DEPTH) {
+      // Too deep to store as nodes: keep the names in the description instead
+      const covers = `Covers: ${subtopics.map(subtopic => subtopic.name).join(', ')}`;
+      fields.description = fields.description ? `${fields.description}. ${covers}` : covers;
+    }
+
+    nodes.push({ ...fields, _id, parent, order: index });
+
+    if (hasSubtopics && depth + 1 < MAX_TOPIC_DEPTH) {
+      nodes.push(...flattenTopicTree(subtopics, _id, depth + 1));
+    }
+  });
+
+  return nodes;
+};
+
+// Map of parent id (or 'root') to its children sorted by order.
+// Topics flagged as removed from the syllabus are left out of the tree.
+export const groupChildren = (topics) => {
+  const children = new Map();
+
+  for (const topic of topics) {
+    if (topic.removedFromSyllabus) continue;
+
+    const key = idOf(topic.parent) || 'root';
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(topic);
+  }
+
+  for (const list of children.values()) {
+    list.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  }
+
+  return children;
+};
+
+export const getChildren = (topics, parentId) => {
+  return groupChildren(topics).get(idOf(parentId) || 'root') || [];
+};
+
+// Ids of every node below `topicId`
+export const getDescendantIds = (topics, topicId) => {
+  const children = groupChildren(topics);
+  const ids = [];
+  const stack = [idOf(topicId)];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    for (const child of children.get(current) || []) {
+      const childId = idOf(child._id);
+      ids.push(childId);
+      stack.push(childId);
+    }
+  }
+
+  return ids;
+};
+
+export const getDepth = (topics, topicId) => {
+  const byId = new Map(topics.map(topic => [idOf(topic._id), topic]));
+  let depth = 0;
+  let current = byId.get(idOf(topicId));
+
+  while (current && current.parent) {
+    depth += 1;
+    current = byId.get(idOf(current.parent));
+  }
+
+  return depth;
+};
+
+// Height of the subtree rooted at `topicId` (a leaf has height 1)
+export const getSubtreeHeight = (topics, topicId) => {
+  const children = groupChildren(topics);
+  const height = (id) => {
+    const kids = children.get(id) || [];
+    return 1 + (kids.length ? Math.max(...kids.map(kid => height(idOf(kid._id)))) : 0);
+  };
+  return height(idOf(topicId));
+};
+
+export const isLeaf = (topics, topicId) => {
+  const id = idOf(topicId);
+  return !topics.some(topic => idOf(topic.parent) === id);
+};
+
+// Renumber siblings 0..n-1 after inserts, moves and deletes
+export const normalizeOrder = (topics, parentId) => {
+  getChildren(topics, parentId).forEach((topic, index) => {
+    topic.order = index;
+  });
+};
+
+// Put `topic` under `parentId` at `position` (end of list when omitted)
+// and renumber both the new and the old sibling lists
+export const placeTopic = (topics, topic, parentId, position) => {
+  const oldParent = topic.parent;
+  const siblings = getChildren(topics, parentId).filter(sibling => idOf(sibling._id) !== idOf(topic._id));
+  const index = position === undefined || position === null
+    ? siblings.length
+    : Math.max(0, Math.min(position, siblings.length));
+
+  siblings.splice(index, 0, topic);
+  topic.parent = parentId || null;
+  siblings.forEach((sibling, i) => {
+    sibling.order = i;
+  });
+
+  if (idOf(oldParent) !== idOf(parentId)) {
+    normalizeOrder(topics, oldParent);
+  }
+};
+
+// Mark a topic and everything below it complete or incomplete.
+// Ancestors are left to rollUpTopics so they follow their children.
+export const setTopicCompletion = (topics, topicId, completed, completedAt = new Date()) => {
+  const ids = new Set([idOf(topicId), ...getDescendantIds(topics, topicId)]);
+
+  for (const topic of topics) {
+    if (!ids.has(idOf(topic._id))) continue;
+
+    if (completed && !topic.completed) {
+      topic.completed = true;
+      topic.completedAt = completedAt;
+    } else if (!completed && topic.completed) {
+      topic.completed = false;
+      topic.completedAt = undefined;
+    }
+  }
+};
+
+// Recompute per-node roll-ups bottom-up:
+//   level              - depth in the tree (0 = unit)
+//   totalEstimatedTime - own time for leaves, sum of children otherwise
+//   progress           - % of leaf topics below this node that are complete
+//   completed          - a parent is complete when all of its children are
+export const rollUpTopics = (topics) => {
+  const byId = new Map(topics.filter(topic => !topic.removedFromSyllabus).map(topic => [idOf(topic._id), topic]));
+  const totals = { leaves: 0, completedLeaves: 0, estimatedTime: 0 };
+
+  // Orphans (parent no longer exists) are promoted to the root
+  for (const topic of byId.values()) {
+    if (topic.parent && !byId.has(idOf(topic.parent))) {
+      topic.parent = null;
+    }
+  }
+
+  const children = groupChildren(topics);
+
+  const visit = (topic, level) => {
+    topic.level = level;
+    const kids = children.get(idOf(topic._id)) || [];
+
+    if (kids.length === 0) {
+      topic.totalEstimatedTime = topic.estimatedTime || 0;
+      topic.progress = topic.completed ? 100 : 0;
+      totals.leaves += 1;
+      totals.estimatedTime += topic.totalEstimatedTime;
+      if (topic.completed) totals.completedLeaves += 1;
+      return { leaves: 1, completedLeaves: topic.completed ? 1 : 0, estimatedTime: topic.totalEstimatedTime };
+    }
+
+    const sum = { leaves: 0, completedLeaves: 0, estimatedTime: 0 };
+    for (const kid of kids) {
+      const result = visit(kid, level + 1);
+      sum.leaves += result.leaves;
+      sum.completedLeaves += result.completedLeaves;
+      sum.estimatedTime += result.estimatedTime;
+    }
+
+    topic.totalEstimatedTime = sum.estimatedTime;
+    topic.progress = Math.round((sum.completedLeaves / sum.leaves) * 100);
+
+    const allComplete = sum.completedLeaves === sum.leaves;
+    if (allComplete && !topic.completed) {
+      topic.completed = true;
+      topic.completedAt = new Date(Math.max(...kids.map(kid => new Date(kid.completedAt || Date.now()).getTime())));
+    } else if (!allComplete && topic.completed) {
+      topic.completed = false;
+      topic.completedAt = undefined;
+    }
+
+    return sum;
+  };
+
+  for (const root of children.get('root') || []) {
+    visit(root, 0);
+  }
+
+  return totals;
+};
+
+// Build a nested tree for API responses
+export const buildTopicTree = (topics) => {
+  const children = groupChildren(topics);
+
+  const build = (parentKey) => (children.get(parentKey) || []).map(topic => ({
+    id: topic._id,
+    name: topic.name,
+    description: topic.description,
+    estimatedTime: topic.estimatedTime,
+    totalEstimatedTime: topic.totalEstimatedTime,
+    difficulty: topic.difficulty,
+    level: topic.level,
+    order: topic.order,
+    completed: topic.completed,
+    completedAt: topic.completedAt,
+    progress: topic.progress,
+    notes: topic.notes,
+    subtopics: build(idOf(topic._id))
+  }));
+
+  return build('root');
+};
@@ -11,6 +11,8 @@ import StudyPlans from './pages/StudyPlans';
 import Flashcards from './pages/Flashcards';
 import Quizzes from './pages/Quizzes';
 import Settings from './pages/Settings';
+import Focus from './pages/Focus';
+import Analytics from './pages/Analytics';
 
 function App() {
   return (
@@ -52,6 +54,16 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/analytics"
+              element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Analytics />
+                  </Layout>
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/study-plans"
               element={
@@ -62,6 +74,16 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/focus"
+              element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Focus />
+                  </Layout>
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/flashcards"
               element={
@@ -11,6 +11,28 @@ export const authAPI = {
     return response.data;
   },
 
+  getProfile: async () => {
+    const response = await api.get('/auth/profile');
+    return response.data;
+  },
+
+  // { name, profile: { timezone, ... }, preferences }
+  updateProfile: async (updates) => {
+    const response = await api.patch('/auth/profile', updates);
+    return response.data;
+  },
+
+  getStudySchedule: async () => {
+    const response = await api.get('/auth/study-schedule');
+    return response.data;
+  },
+
+  // { weeklyAvailability: { monday: minutes, ... }, blackoutDates: [{ date, reason }], maxSessionMinutes }
+  updateStudySchedule: async (studySchedule) => {
+    const response = await api.patch('/auth/study-schedule', studySchedule);
+    return response.data;
+  },
+
   logout: () => {
     localStorage.removeItem('token');
     localStorage.removeItem('user');
@@ -7,14 +7,151 @@ export const studyAPI = {
     return response.data;
   },
 
+  // syllabusData is a FormData carrying a `syllabusFile` (PDF, DOCX, MD or TXT)
+  uploadSyllabusFile: async (syllabusData) => {
+    const response = await api.post('/syllabus', syllabusData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
   getSubjects: async () => {
-    const response = await api.get('/subjects');
+    const response = await api.get('/syllabus/subjects');
+    return response.data;
+  },
+
+  // Topics
+  getTopics: async (subjectId) => {
+    const response = await api.get(`/syllabus/${subjectId}/topics`);
+    return response.data;
+  },
+
+  getTopicMastery: async (subjectId) => {
+    const response = await api.get(`/syllabus/${subjectId}/mastery`);
+    return response.data;
+  },
+
+  getExamReadiness: async (subjectId) => {
+    const response = await api.get(`/syllabus/${subjectId}/readiness`);
+    return response.data;
+  },
+
+  addTopic: async (subjectId, topicData) => {
+    const response = await api.post(`/syllabus/${subjectId}/topics`, topicData);
+    return response.data;
+  },
+
+  updateTopic: async (subjectId, topicId, changes) => {
+    const response = await api.patch(`/syllabus/${subjectId}/topics/${topicId}`, changes);
+    return response.data;
+  },
+
+  deleteTopic: async (subjectId, topicId) => {
+    const response = await api.delete(`/syllabus/${subjectId}/topics/${topicId}`);
+    return response.data;
+  },
+
+  // { updates: [{ id, ...changes }], deleteIds: [...] }
+  bulkUpdateTopics: async (subjectId, bulkData) => {
+    const response = await api.patch(`/syllabus/${subjectId}/topics`, bulkData);
+    return response.data;
+  },
+
+  reorderTopics: async (subjectId, parentId, orderedIds) => {
+    const response = await api.patch(`/syllabus/${subjectId}/topics/reorder`, { parentId, orderedIds });
     return response.data;
   },
 
   // Study plans
-  generateStudyPlan: async (subjectId) => {
-    const response = await api.post('/study-plan', { subjectId });
+  // options: { dailyMinutes, revisionDays, enrichDescriptions }
+  generateStudyPlan: async (subjectId, options = {}) => {
+    const response = await api.post('/study-plan', { subjectId, ...options });
+    return response.data;
+  },
+
+  // Rebuilds unfinished tasks from today; options as for generateStudyPlan
+  regenerateStudyPlan: async (planId, options = {}) => {
+    const response = await api.post(`/study-plan/${planId}/regenerate`, options);
+    return response.data;
+  },
+
+  getStudyPlanVersions: async (subjectId) => {
+    const response = await api.get(`/study-plan/subject/${subjectId}/versions`);
+    return response.data;
+  },
+
+  activateStudyPlanVersion: async (planId) => {
+    const response = await api.post(`/study-plan/${planId}/activate`);
+    return response.data;
+  },
+
+  compareStudyPlanVersions: async (planId, againstId) => {
+    const response = await api.get(`/study-plan/${planId}/diff`, { params: { against: againstId } });
+    return response.data;
+  },
+
+  rebalanceStudyPlan: async (planId) => {
+    const response = await api.post(`/study-plan/${planId}/rebalance`);
+    return response.data;
+  },
+
+  startStudySession: async (sessionData) => {
+    const response = await api.post('/study-sessions', sessionData);
+    return response.data;
+  },
+
+  getCurrentStudySession: async () => {
+    const response = await api.get('/study-sessions/current');
+    return response.data;
+  },
+
+  getStudySessions: async (params = {}) => {
+    const response = await api.get('/study-sessions', { params });
+    return response.data;
+  },
+
+  pauseStudySession: async (sessionId, endedAt) => {
+    const response = await api.post(`/study-sessions/${sessionId}/pause`, { endedAt });
+    return response.data;
+  },
+
+  resumeStudySession: async (sessionId) => {
+    const response = await api.post(`/study-sessions/${sessionId}/resume`);
+    return response.data;
+  },
+
+  stopStudySession: async (sessionId, notes, endedAt) => {
+    const response = await api.post(`/study-sessions/${sessionId}/stop`, { notes, endedAt });
+    return response.data;
+  },
+
+  getCalendar: async (view = 'week', date) => {
+    const response = await api.get('/calendar', { params: { view, date } });
+    return response.data;
+  },
+
+  applyCalendar: async () => {
+    const response = await api.post('/calendar/apply');
+    return response.data;
+  },
+
+  getCalendarFeed: async () => {
+    const response = await api.get('/calendar/feed');
+    return response.data;
+  },
+
+  createCalendarFeed: async () => {
+    const response = await api.post('/calendar/feed');
+    return response.data;
+  },
+
+  disableCalendarFeed: async () => {
+    const response = await api.delete('/calendar/feed');
+    return response.data;
+  },
+
+  exportStudyPlan: async (planId) => {
+    const response = await api.get(`/study-plan/${planId}/export.ics`, { responseType: 'blob' });
     return response.data;
   },
 
@@ -24,8 +161,15 @@ export const studyAPI = {
   },
 
   // Flashcards
-  generateFlashcards: async (subjectId) => {
-    const response = await api.post('/flashcards', { subjectId });
+  // type: 'cloze' generates cloze deletion cards instead of question/answer
+  generateFlashcards: async (subjectId, type) => {
+    const response = await api.post('/flashcards', { subjectId, type });
+    return response.data;
+  },
+
+  // Add reversed (answer -> question) siblings to a subject's basic cards
+  addReverseFlashcards: async (subjectId) => {
+    const response = await api.post('/flashcards/reverse', { subjectId });
     return response.data;
   },
 
@@ -34,6 +178,31 @@ export const studyAPI = {
     return response.data;
   },
 
+  reviewFlashcard: async (flashcardId, quality, responseTime) => {
+    const response = await api.post(`/flashcards/card/${flashcardId}/review`, { quality, responseTime });
+    return response.data;
+  },
+
+  undoFlashcardReview: async (flashcardId) => {
+    const response = await api.post(`/flashcards/card/${flashcardId}/review/undo`);
+    return response.data;
+  },
+
+  getFlashcardScheduler: async () => {
+    const response = await api.get('/flashcards/scheduler');
+    return response.data;
+  },
+
+  updateFlashcardScheduler: async (settings) => {
+    const response = await api.patch('/flashcards/scheduler', settings);
+    return response.data;
+  },
+
+  optimizeFlashcardScheduler: async () => {
+    const response = await api.post('/flashcards/scheduler/optimize');
+    return response.data;
+  },
+
   // Quizzes
   generateQuiz: async (subjectId) => {
     const response = await api.post('/quiz', { subjectId });
@@ -51,8 +220,29 @@ export const studyAPI = {
     return response.data;
   },
 
-  markTopicComplete: async (topicId) => {
-    const response = await api.patch('/mark-topic', { topicId });
+  markTopicComplete: async (topicId, studyPlanId) => {
+    const response = await api.patch('/dashboard/mark-topic', { topicId, studyPlanId });
+    return response.data;
+  },
+
+  // Analytics time series
+  getActivityHeatmap: async (days = 365) => {
+    const response = await api.get('/dashboard/analytics/heatmap', { params: { days } });
+    return response.data;
+  },
+
+  getWeeklyStudyTime: async (weeks = 12) => {
+    const response = await api.get('/dashboard/analytics/study-time', { params: { weeks } });
+    return response.data;
+  },
+
+  getQuizScoreTrend: async (days = 90, subjectId) => {
+    const response = await api.get('/dashboard/analytics/quiz-scores', { params: { days, subjectId } });
+    return response.data;
+  },
+
+  getFlashcardRetention: async (days = 90, subjectId) => {
+    const response = await api.get('/dashboard/analytics/retention', { params: { days, subjectId } });
     return response.data;
   }
 };
\ No newline at end of file
@@ -8,7 +8,9 @@ import {
   FileText, 
   Settings, 
   LogOut,
-  GraduationCap
+  GraduationCap,
+  Timer,
+  BarChart3
 } from 'lucide-react';
 
 const Layout = ({ children }) => {
@@ -23,7 +25,9 @@ const Layout = ({ children }) => {
 
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: Home },
+    { name: 'Analytics', href: '/analytics', icon: BarChart3 },
     { name: 'Study Plans', href: '/study-plans', icon: BookOpen },
+    { name: 'Focus', href: '/focus', icon: Timer },
     { name: 'Flashcards', href: '/flashcards', icon: Brain },
     { name: 'Quizzes', href: '/quizzes', icon: FileText },
     { name: 'Settings', href: '/settings', icon: Settings },
@@ -0,0 +1,177 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { studyAPI } from '../api/study';
+import { GitCompare, RefreshCw, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const formatChange = (name, { from, to }) => {
+  if (name === 'firstDate' || name === 'lastDate') {
+    return `${name === 'firstDate' ? 'starts' : 'ends'} ${formatDate(from)} → ${formatDate(to)}`;
+  }
+  return `${name} ${from} → ${to}`;
+};
+
+const StudyPlanVersions = ({ subject, onClose, onChange }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [diff, setDiff] = useState(null);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      const data = await studyAPI.getStudyPlanVersions(subject.id);
+      setVersions(data.versions || []);
+    } catch {
+      toast.error('Failed to load study plan versions');
+    } finally {
+      setLoading(false);
+    }
+  }, [subject.id]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  const runUpdate = async (request) => {
+    setSaving(true);
+    try {
+      const data = await request();
+      toast.success(data.message);
+      data.warnings?.forEach(warning => toast(warning, { icon: '⚠️' }));
+      setDiff(null);
+      await fetchVersions();
+      if (onChange) onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update study plan');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCompare = async (version) => {
+    try {
+      const data = await studyAPI.compareStudyPlanVersions(version.id);
+      setDiff(data.diff);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to compare versions');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl p-6 w-full max-w-3xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-start justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900">{subject.name} Plan Versions</h2>
+          <button onClick={onClose} title="Close">
+            <X className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-4">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {versions.map(version => (
+                <li key={version.id} className="flex items-center py-3">
+                  <div className="flex-1">
+                    <p className="text-sm font-semibold text-gray-900">
+                      Version {version.version}
+                      {version.active && (
+                        <span className="ml-2 text-xs px-2 py-1 rounded-full bg-accent-100 text-accent-800">Active</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Created {formatDate(version.createdAt)} · {version.dailyTasksCount} tasks ·{' '}
+                      {version.progress?.completionPercentage || 0}% complete
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {version.basedOn && (
+                      <button onClick={() => handleCompare(version)} className="btn-secondary text-sm flex items-center">
+                        <GitCompare className="h-4 w-4 mr-1" />
+                        Changes
+                      </button>
+                    )}
+                    {version.active ? (
+                      <button
+                        onClick={() => runUpdate(() => studyAPI.regenerateStudyPlan(version.id))}
+                        disabled={saving}
+                        className="btn-secondary text-sm flex items-center"
+                      >
+                        <RefreshCw className="h-4 w-4 mr-1" />
+                        Regenerate
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => runUpdate(() => studyAPI.activateStudyPlanVersion(version.id))}
+                        disabled={saving}
+                        className="btn-secondary text-sm"
+                      >
+                        Make Active
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {!loading && versions.length === 0 && (
+            <p className="text-center text-gray-500 py-8">No study plan yet</p>
+          )}
+
+          {diff && (
+            <div className="p-4 bg-gray-50 rounded-lg text-sm space-y-3">
+              <p className="font-semibold text-gray-900">
+                Version {diff.from.version} → {diff.to.version}: {diff.summary.added} added, {diff.summary.removed} removed,{' '}
+                {diff.summary.changed} changed ({diff.summary.minutesDelta >= 0 ? '+' : ''}{diff.summary.minutesDelta} min)
+              </p>
+              {diff.added.length > 0 && (
+                <div>
+                  <p className="font-medium text-accent-700">Added</p>
+                  {diff.added.map(entry => (
+                    <p key={`added-${entry.topic}`} className="text-gray-700">+ {entry.topic} ({entry.minutes} min)</p>
+                  ))}
+                </div>
+              )}
+              {diff.removed.length > 0 && (
+                <div>
+                  <p className="font-medium text-red-700">Removed</p>
+                  {diff.removed.map(entry => (
+                    <p key={`removed-${entry.topic}`} className="text-gray-700">− {entry.topic} ({entry.minutes} min)</p>
+                  ))}
+                </div>
+              )}
+              {diff.changed.length > 0 && (
+                <div>
+                  <p className="font-medium text-primary-700">Changed</p>
+                  {diff.changed.map(entry => (
+                    <p key={`changed-${entry.topic}`} className="text-gray-700">
+                      {entry.topic}: {Object.entries(entry.changes).map(([name, change]) => formatChange(name, change)).join(', ')}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+StudyPlanVersions.propTypes = {
+  subject: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onChange: PropTypes.func
+};
+
+export default StudyPlanVersions;
@@ -0,0 +1,370 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { studyAPI } from '../api/study';
+import {
+  CheckCircle,
+  Circle,
+  ChevronUp,
+  ChevronDown,
+  Pencil,
+  Plus,
+  Trash2,
+  X
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Units -> topics -> subtopics, matching MAX_TOPIC_DEPTH on the backend
+const MAX_DEPTH = 3;
+
+const difficultyStyles = {
+  easy: 'bg-accent-100 text-accent-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  hard: 'bg-red-100 text-red-800'
+};
+
+const TopicEditor = ({ subject, onClose, onChange }) => {
+  const [topicTree, setTopicTree] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [selected, setSelected] = useState(new Set());
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [addingTo, setAddingTo] = useState(null);
+  const [newTopicName, setNewTopicName] = useState('');
+
+  useEffect(() => {
+    const fetchTopics = async () => {
+      try {
+        const data = await studyAPI.getTopics(subject.id);
+        setTopicTree(data.topicTree || []);
+        setProgress(data.progress);
+      } catch {
+        toast.error('Failed to load topics');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTopics();
+  }, [subject.id]);
+
+  // Run a topic request and refresh the tree from its response
+  const runUpdate = async (request, successMessage) => {
+    setSaving(true);
+    try {
+      const data = await request();
+      if (data.topicTree) setTopicTree(data.topicTree);
+      if (data.progress) setProgress(data.progress);
+      if (successMessage) toast.success(successMessage);
+      if (onChange) onChange();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update topics');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleSelected = (topicId) => {
+    const next = new Set(selected);
+    if (next.has(topicId)) {
+      next.delete(topicId);
+    } else {
+      next.add(topicId);
+    }
+    setSelected(next);
+  };
+
+  const startEditing = (topic) => {
+    setEditingId(topic.id);
+    setDraft({
+      name: topic.name,
+      estimatedTime: topic.estimatedTime || '',
+      difficulty: topic.difficulty || 'medium',
+      notes: topic.notes || ''
+    });
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    const changes = {
+      name: draft.name,
+      difficulty: draft.difficulty,
+      notes: draft.notes
+    };
+    if (draft.estimatedTime) changes.estimatedTime = Number(draft.estimatedTime);
+
+    const saved = await runUpdate(() => studyAPI.updateTopic(subject.id, editingId, changes), 'Topic updated');
+    if (saved) setEditingId(null);
+  };
+
+  const handleToggleComplete = (topic) => {
+    runUpdate(() => studyAPI.updateTopic(subject.id, topic.id, { completed: !topic.completed }));
+  };
+
+  const handleDelete = (topic) => {
+    const message = topic.subtopics.length > 0
+      ? `Delete "${topic.name}" and its ${topic.subtopics.length} subtopics?`
+      : `Delete "${topic.name}"?`;
+    if (!window.confirm(message)) return;
+
+    runUpdate(() => studyAPI.deleteTopic(subject.id, topic.id), 'Topic deleted');
+  };
+
+  const handleMove = (siblings, index, direction, parentId) => {
+    const orderedIds = siblings.map(sibling => sibling.id);
+    const [moved] = orderedIds.splice(index, 1);
+    orderedIds.splice(index + direction, 0, moved);
+
+    runUpdate(() => studyAPI.reorderTopics(subject.id, parentId, orderedIds));
+  };
+
+  const handleAddTopic = async (e) => {
+    e.preventDefault();
+    if (!newTopicName.trim()) return;
+
+    const topicData = { name: newTopicName.trim() };
+    if (addingTo !== 'root') topicData.parentId = addingTo;
+
+    const saved = await runUpdate(() => studyAPI.addTopic(subject.id, topicData), 'Topic added');
+    if (saved) {
+      setNewTopicName('');
+      setAddingTo(null);
+    }
+  };
+
+  const handleBulkComplete = (completed) => {
+    const updates = [...selected].map(id => ({ id, completed }));
+    runUpdate(
+      () => studyAPI.bulkUpdateTopics(subject.id, { updates }),
+      `${updates.length} topics marked ${completed ? 'complete' : 'incomplete'}`
+    ).then(saved => saved && setSelected(new Set()));
+  };
+
+  const handleBulkDelete = () => {
+    if (!window.confirm(`Delete ${selected.size} selected topics and their subtopics?`)) return;
+
+    runUpdate(
+      () => studyAPI.bulkUpdateTopics(subject.id, { deleteIds: [...selected] }),
+      'Selected topics deleted'
+    ).then(saved => saved && setSelected(new Set()));
+  };
+
+  const renderAddForm = () => (
+    <form onSubmit={handleAddTopic} className="flex items-center space-x-2 mt-2">
+      <input
+        type="text"
+        autoFocus
+        value={newTopicName}
+        onChange={(e) => setNewTopicName(e.target.value)}
+        className="input-field text-sm"
+        placeholder="Topic name"
+      />
+      <button type="submit" disabled={saving} className="btn-primary text-sm">
+        Add
+      </button>
+      <button type="button" onClick={() => setAddingTo(null)} className="btn-secondary text-sm">
+        Cancel
+      </button>
+    </form>
+  );
+
+  const renderEditForm = () => (
+    <form onSubmit={handleSaveEdit} className="space-y-2 p-3 bg-gray-50 rounded-lg">
+      <input
+        type="text"
+        required
+        value={draft.name}
+        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        className="input-field text-sm"
+      />
+      <div className="flex space-x-2">
+        <input
+          type="number"
+          min="1"
+          value={draft.estimatedTime}
+          onChange={(e) => setDraft({ ...draft, estimatedTime: e.target.value })}
+          className="input-field text-sm"
+          placeholder="Minutes"
+        />
+        <select
+          value={draft.difficulty}
+          onChange={(e) => setDraft({ ...draft, difficulty: e.target.value })}
+          className="input-field text-sm"
+        >
+          <option value="easy">Easy</option>
+          <option value="medium">Medium</option>
+          <option value="hard">Hard</option>
+        </select>
+      </div>
+      <textarea
+        value={draft.notes}
+        onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+        className="input-field text-sm h-20"
+        placeholder="Notes"
+      />
+      <div className="flex space-x-2">
+        <button type="submit" disabled={saving} className="btn-primary text-sm">
+          Save
+        </button>
+        <button type="button" onClick={() => setEditingId(null)} className="btn-secondary text-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderTopic = (topic, depth, siblings, index, parentId) => (
+    <li key={topic.id}>
+      {editingId === topic.id ? renderEditForm() : (
+        <div className="flex items-center py-2 group" style={{ paddingLeft: `${depth * 1.5}rem` }}>
+          <input
+            type="checkbox"
+            checked={selected.has(topic.id)}
+            onChange={() => toggleSelected(topic.id)}
+            className="mr-3"
+          />
+          <button
+            onClick={() => handleToggleComplete(topic)}
+            disabled={saving}
+            className="mr-2"
+            title={topic.completed ? 'Mark incomplete' : 'Mark complete'}
+          >
+            {topic.completed
+              ? <CheckCircle className="h-5 w-5 text-accent-600" />
+              : <Circle className="h-5 w-5 text-gray-400" />}
+          </button>
+          <div className="flex-1 min-w-0">
+            <p className={`text-sm ${depth === 0 ? 'font-semibold' : ''} ${topic.completed ? 'text-gray-500 line-through' : 'text-gray-900'}`}>
+              {topic.name}
+            </p>
+            {topic.notes && (
+              <p className="text-xs text-gray-500 truncate">{topic.notes}</p>
+            )}
+          </div>
+          <span className={`text-xs px-2 py-1 rounded-full mr-2 ${difficultyStyles[topic.difficulty] || 'bg-gray-200 text-gray-600'}`}>
+            {topic.difficulty}
+          </span>
+          <span className="text-xs text-gray-500 w-16 text-right mr-2">
+            {topic.totalEstimatedTime || topic.estimatedTime} min
+          </span>
+          <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100">
+            <button
+              onClick={() => handleMove(siblings, index, -1, parentId)}
+              disabled={saving || index === 0}
+              title="Move up"
+            >
+              <ChevronUp className="h-4 w-4 text-gray-500" />
+            </button>
+            <button
+              onClick={() => handleMove(siblings, index, 1, parentId)}
+              disabled={saving || index === siblings.length - 1}
+              title="Move down"
+            >
+              <ChevronDown className="h-4 w-4 text-gray-500" />
+            </button>
+            {depth + 1 < MAX_DEPTH && (
+              <button onClick={() => setAddingTo(topic.id)} title="Add subtopic">
+                <Plus className="h-4 w-4 text-gray-500" />
+              </button>
+            )}
+            <button onClick={() => startEditing(topic)} title="Edit">
+              <Pencil className="h-4 w-4 text-gray-500" />
+            </button>
+            <button onClick={() => handleDelete(topic)} disabled={saving} title="Delete">
+              <Trash2 className="h-4 w-4 text-red-500" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {addingTo === topic.id && (
+        <div style={{ paddingLeft: `${(depth + 1) * 1.5}rem` }}>
+          {renderAddForm()}
+        </div>
+      )}
+
+      {topic.subtopics.length > 0 && (
+        <ul>
+          {topic.subtopics.map((subtopic, i) => renderTopic(subtopic, depth + 1, topic.subtopics, i, topic.id))}
+        </ul>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl p-6 w-full max-w-3xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">{subject.name} Topics</h2>
+            {progress && (
+              <p className="text-sm text-gray-600">
+                {progress.completedTopics} of {progress.totalTopics} topics complete ({progress.completionPercentage}%)
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} title="Close">
+            <X className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        {selected.size > 0 && (
+          <div className="flex items-center space-x-2 mb-3 p-2 bg-primary-50 rounded-lg text-sm">
+            <span className="text-primary-700 font-medium mr-2">{selected.size} selected</span>
+            <button onClick={() => handleBulkComplete(true)} disabled={saving} className="btn-secondary text-sm">
+              Mark complete
+            </button>
+            <button onClick={() => handleBulkComplete(false)} disabled={saving} className="btn-secondary text-sm">
+              Mark incomplete
+            </button>
+            <button onClick={handleBulkDelete} disabled={saving} className="btn-secondary text-sm text-red-600">
+              Delete
+            </button>
+            <button onClick={() => setSelected(new Set())} className="text-gray-500 hover:text-gray-700">
+              Clear
+            </button>
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {topicTree.map((topic, i) => renderTopic(topic, 0, topicTree, i, null))}
+            </ul>
+          )}
+
+          {!loading && topicTree.length === 0 && (
+            <p className="text-center text-gray-500 py-8">No topics yet</p>
+          )}
+        </div>
+
+        <div className="mt-4 pt-4 border-t border-gray-200">
+          {addingTo === 'root' ? renderAddForm() : (
+            <button onClick={() => setAddingTo('root')} className="btn-secondary flex items-center text-sm">
+              <Plus className="h-4 w-4 mr-2" />
+              Add Unit
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+TopicEditor.propTypes = {
+  subject: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onChange: PropTypes.func
+};
+
+export default TopicEditor;
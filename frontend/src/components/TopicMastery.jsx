@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { studyAPI } from '../api/study';
+import { Target, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const statusStyles = {
+  not_started: { label: 'Not started', badge: 'bg-gray-200 text-gray-600', bar: 'bg-gray-300' },
+  weak: { label: 'Weak', badge: 'bg-red-100 text-red-800', bar: 'bg-red-500' },
+  learning: { label: 'Learning', badge: 'bg-yellow-100 text-yellow-800', bar: 'bg-yellow-500' },
+  strong: { label: 'Strong', badge: 'bg-accent-100 text-accent-800', bar: 'bg-accent-500' }
+};
+
+const practiceSummary = (topic) => {
+  const parts = [];
+  if (topic.quiz.answered > 0) parts.push(`${topic.quiz.correct}/${topic.quiz.answered} quiz answers right`);
+  if (topic.flashcards.reviews > 0) parts.push(`${topic.flashcards.recalled}/${topic.flashcards.reviews} cards recalled`);
+  if (topic.lastPracticed) parts.push(`last practised ${new Date(topic.lastPracticed).toLocaleDateString()}`);
+  return parts.join(' · ') || 'No quiz answers or flashcard reviews yet';
+};
+
+const TopicMastery = ({ subject, onClose }) => {
+  const [mastery, setMastery] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchMastery = async () => {
+      try {
+        setMastery(await studyAPI.getTopicMastery(subject.id));
+      } catch {
+        toast.error('Failed to load topic mastery');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMastery();
+  }, [subject.id]);
+
+  const renderTopic = (topic, depth) => {
+    const style = statusStyles[topic.status] || statusStyles.not_started;
+    return (
+      <li key={topic.id}>
+        <div className="py-2" style={{ paddingLeft: `${depth * 1.5}rem` }}>
+          <div className="flex items-center">
+            <p className={`flex-1 text-sm ${depth === 0 ? 'font-semibold' : ''} text-gray-900`}>{topic.name}</p>
+            <span className={`text-xs px-2 py-1 rounded-full mr-3 ${style.badge}`}>{style.label}</span>
+            <div className="w-24 bg-gray-100 rounded-full h-2 mr-2">
+              <div className={`${style.bar} h-2 rounded-full`} style={{ width: `${topic.mastery}%` }} />
+            </div>
+            <span className="text-sm text-gray-700 w-10 text-right">{topic.mastery}%</span>
+          </div>
+          {topic.subtopics.length === 0 && (
+            <p className="text-xs text-gray-500 mt-1">{practiceSummary(topic)}</p>
+          )}
+        </div>
+        {topic.subtopics.length > 0 && (
+          <ul>
+            {topic.subtopics.map(subtopic => renderTopic(subtopic, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-xl p-6 w-full max-w-3xl mx-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">{subject.name} Mastery</h2>
+            {mastery && (
+              <p className="text-sm text-gray-600">
+                Overall {mastery.overall}%, from quiz answers and flashcard reviews (recent practice counts most)
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} title="Close">
+            <X className="h-5 w-5 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-6">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          ) : mastery && (
+            <>
+              {mastery.studyNext.length > 0 && (
+                <div className="p-4 bg-primary-50 rounded-lg">
+                  <div className="flex items-center mb-2">
+                    <Target className="h-4 w-4 text-primary-600 mr-2" />
+                    <h3 className="text-sm font-semibold text-primary-900">Study next</h3>
+                  </div>
+                  <ol className="list-decimal list-inside space-y-1 text-sm text-primary-800">
+                    {mastery.studyNext.map(topic => (
+                      <li key={topic.id}>
+                        {topic.name} <span className="text-primary-600">({topic.mastery}%)</span>
+                      </li>
+                    ))}
+                  </ol>
+                </div>
+              )}
+
+              <ul className="divide-y divide-gray-100">
+                {mastery.topicTree.map(topic => renderTopic(topic, 0))}
+              </ul>
+
+              {mastery.topicTree.length === 0 && (
+                <p className="text-center text-gray-500 py-8">No topics yet</p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+TopicMastery.propTypes = {
+  subject: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  }).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default TopicMastery;
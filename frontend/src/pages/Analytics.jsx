@@ -0,0 +1,319 @@
+import { useState, useEffect } from 'react';
+import { studyAPI } from '../api/study';
+import { Activity, BarChart3, Brain, TrendingUp } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Colors for subjects in the weekly study time chart
+const SUBJECT_COLORS = ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
+
+// Heatmap shades, from no activity to a lot
+const HEAT_COLORS = ['#f3f4f6', '#d1fae5', '#6ee7b7', '#10b981', '#047857'];
+
+const RANGE_OPTIONS = [30, 90, 180, 365];
+const WEEK_OPTIONS = [4, 12, 26, 52];
+
+// Dates are "YYYY-MM-DD" strings in the user's timezone; they are handled
+// as UTC dates so stepping a day never hits a DST change
+const addDaysToKey = (key, days) => new Date(Date.parse(key) + days * DAY_MS).toISOString().slice(0, 10);
+
+const formatDay = (key) => new Date(`${key}T00:00:00Z`).toLocaleDateString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const heatLevel = (count, max) => {
+  if (!count) return 0;
+  return Math.min(HEAT_COLORS.length - 1, Math.ceil((count / max) * (HEAT_COLORS.length - 1)));
+};
+
+const renderHeatmap = (heatmap) => {
+  const byDay = new Map(heatmap.days.map(day => [day.date, day]));
+  const max = Math.max(1, ...heatmap.days.map(day => day.count));
+
+  // Columns are weeks starting on Monday
+  const firstDay = new Date(`${heatmap.from}T00:00:00Z`);
+  let key = addDaysToKey(heatmap.from, -((firstDay.getUTCDay() + 6) % 7));
+  const weeks = [];
+  while (key <= heatmap.to) {
+    const week = [];
+    for (let i = 0; i < 7; i += 1) {
+      week.push(key >= heatmap.from && key <= heatmap.to ? key : null);
+      key = addDaysToKey(key, 1);
+    }
+    weeks.push(week);
+  }
+
+  const activeDays = heatmap.days.length;
+  const totalMinutes = heatmap.days.reduce((sum, day) => sum + day.minutes, 0);
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <div className="flex space-x-1">
+          {weeks.map((week, i) => (
+            <div key={i} className="flex flex-col space-y-1">
+              {week.map((day, j) => {
+                if (!day) return <div key={j} className="h-3 w-3" />;
+                const activity = byDay.get(day);
+                return (
+                  <div
+                    key={day}
+                    className="h-3 w-3 rounded-sm"
+                    style={{ backgroundColor: HEAT_COLORS[heatLevel(activity?.count, max)] }}
+                    title={activity
+                      ? `${formatDay(day)}: ${activity.count} activities, ${activity.minutes} min`
+                      : `${formatDay(day)}: no activity`}
+                  />
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="flex items-center justify-between mt-3 text-xs text-gray-500">
+        <span>{activeDays} active days, {Math.round(totalMinutes / 60)} hours in sessions</span>
+        <div className="flex items-center space-x-1">
+          <span>Less</span>
+          {HEAT_COLORS.map(color => (
+            <div key={color} className="h-3 w-3 rounded-sm" style={{ backgroundColor: color }} />
+          ))}
+          <span>More</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const renderWeeklyStudyChart = (studyTime) => {
+  const max = Math.max(1, ...studyTime.totals);
+
+  if (studyTime.subjects.length === 0) {
+    return <p className="text-center text-gray-500 py-8">No study sessions in this period</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex items-end space-x-2 h-48">
+        {studyTime.weeks.map((week, index) => (
+          <div key={week} className="flex-1 flex flex-col items-center h-full">
+            <div className="flex-1 w-full flex flex-col justify-end" title={`Week of ${formatDay(week)}: ${studyTime.totals[index]} min`}>
+              {studyTime.subjects.map((subject, i) => subject.minutes[index] > 0 && (
+                <div
+                  key={subject.id || i}
+                  className="w-full"
+                  style={{
+                    height: `${(subject.minutes[index] / max) * 100}%`,
+                    backgroundColor: SUBJECT_COLORS[i % SUBJECT_COLORS.length]
+                  }}
+                  title={`${subject.name}: ${subject.minutes[index]} min`}
+                />
+              ))}
+            </div>
+            <span className="text-xs text-gray-500 mt-1 whitespace-nowrap">{formatDay(week)}</span>
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-4 mt-4 text-sm">
+        {studyTime.subjects.map((subject, i) => (
+          <div key={subject.id || i} className="flex items-center">
+            <div className="h-3 w-3 rounded-sm mr-2" style={{ backgroundColor: SUBJECT_COLORS[i % SUBJECT_COLORS.length] }} />
+            <span className="text-gray-700">{subject.name}</span>
+            <span className="text-gray-500 ml-1">({Math.round(subject.total / 60 * 10) / 10} h)</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Line chart of scores (0-100%) over time
+const renderQuizTrendChart = (trend) => {
+  const width = 600;
+  const height = 200;
+  const padding = 30;
+
+  if (trend.attempts.length === 0) {
+    return <p className="text-center text-gray-500 py-8">No completed quizzes in this period</p>;
+  }
+
+  const times = trend.attempts.map(attempt => new Date(attempt.date).getTime());
+  const start = Math.min(...times);
+  const span = Math.max(DAY_MS, Math.max(...times) - start);
+  const x = (time) => padding + ((time - start) / span) * (width - padding * 2);
+  const y = (score) => height - padding - (score / 100) * (height - padding * 2);
+
+  const points = trend.attempts.map(attempt => `${x(new Date(attempt.date).getTime())},${y(attempt.score)}`).join(' ');
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48">
+        {[0, 50, 100].map(score => (
+          <g key={score}>
+            <line x1={padding} x2={width - padding} y1={y(score)} y2={y(score)} stroke="#e5e7eb" />
+            <text x={padding - 6} y={y(score) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{score}%</text>
+          </g>
+        ))}
+        <polyline points={points} fill="none" stroke="#2563eb" strokeWidth="2" />
+        {trend.attempts.map((attempt, i) => (
+          <circle key={i} cx={x(new Date(attempt.date).getTime())} cy={y(attempt.score)} r="4" fill="#2563eb">
+            <title>{`${attempt.quizTitle}: ${attempt.score}% (${new Date(attempt.date).toLocaleDateString()})`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex flex-wrap gap-2 mt-2">
+        {trend.weekly.map(week => (
+          <span key={week.week} className="text-xs px-2 py-1 bg-gray-100 rounded-full text-gray-700">
+            {formatDay(week.week)}: {week.averageScore}% avg ({week.attempts})
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const intervalLabel = (bucket) => {
+  if (bucket.maxDays === null) return `${bucket.minDays}+ days`;
+  if (bucket.minDays === bucket.maxDays) return bucket.minDays === 0 ? 'Same day' : `${bucket.minDays} day${bucket.minDays === 1 ? '' : 's'}`;
+  return `${bucket.minDays}-${bucket.maxDays} days`;
+};
+
+const renderRetentionChart = (retention) => {
+  if (retention.byInterval.length === 0 && retention.weekly.length === 0) {
+    return <p className="text-center text-gray-500 py-8">No flashcard reviews in this period</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <p className="text-sm text-gray-600 mb-3">Recall rate by days since the card was last reviewed</p>
+        <div className="space-y-2">
+          {retention.byInterval.map(bucket => (
+            <div key={bucket.minDays} className="flex items-center text-sm">
+              <span className="w-24 text-gray-600">{intervalLabel(bucket)}</span>
+              <div className="flex-1 bg-gray-100 rounded-full h-3 mx-3">
+                <div className="bg-accent-500 h-3 rounded-full" style={{ width: `${bucket.retention}%` }} />
+              </div>
+              <span className="w-28 text-right text-gray-700">{bucket.retention}% of {bucket.reviews}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div>
+        <p className="text-sm text-gray-600 mb-3">Recall rate per week</p>
+        <div className="flex items-end space-x-2 h-32">
+          {retention.weekly.map(week => (
+            <div key={week.week} className="flex-1 flex flex-col items-center h-full">
+              <div className="flex-1 w-full flex flex-col justify-end">
+                <div
+                  className="w-full bg-primary-500 rounded-t"
+                  style={{ height: `${week.retention}%` }}
+                  title={`${week.retention}% of ${week.reviews} reviews`}
+                />
+              </div>
+              <span className="text-xs text-gray-500 mt-1 whitespace-nowrap">{formatDay(week.week)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const renderRangeSelect = (value, options, unit, onChange) => (
+  <select value={value} onChange={(e) => onChange(Number(e.target.value))} className="input-field text-sm w-auto">
+    {options.map(option => (
+      <option key={option} value={option}>Last {option} {unit}</option>
+    ))}
+  </select>
+);
+
+const Analytics = () => {
+  const [heatmap, setHeatmap] = useState(null);
+  const [studyTime, setStudyTime] = useState(null);
+  const [quizTrend, setQuizTrend] = useState(null);
+  const [retention, setRetention] = useState(null);
+  const [weeks, setWeeks] = useState(12);
+  const [days, setDays] = useState(90);
+
+  useEffect(() => {
+    studyAPI.getActivityHeatmap(365)
+      .then(setHeatmap)
+      .catch(() => toast.error('Failed to load activity'));
+  }, []);
+
+  useEffect(() => {
+    studyAPI.getWeeklyStudyTime(weeks)
+      .then(setStudyTime)
+      .catch(() => toast.error('Failed to load study time'));
+  }, [weeks]);
+
+  useEffect(() => {
+    Promise.all([studyAPI.getQuizScoreTrend(days), studyAPI.getFlashcardRetention(days)])
+      .then(([trend, cards]) => {
+        setQuizTrend(trend);
+        setRetention(cards);
+      })
+      .catch(() => toast.error('Failed to load quiz and flashcard trends'));
+  }, [days]);
+
+  const loadingIndicator = (
+    <div className="flex justify-center py-8">
+      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Analytics</h1>
+        <p className="text-gray-600 mt-1">How your studying is going over time</p>
+      </div>
+
+      <div className="card">
+        <div className="flex items-center mb-4">
+          <Activity className="h-5 w-5 text-accent-600 mr-2" />
+          <h2 className="text-lg font-semibold text-gray-900">Daily Activity</h2>
+        </div>
+        {heatmap ? renderHeatmap(heatmap) : loadingIndicator}
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <BarChart3 className="h-5 w-5 text-primary-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Study Time per Subject</h2>
+          </div>
+          {renderRangeSelect(weeks, WEEK_OPTIONS, 'weeks', setWeeks)}
+        </div>
+        {studyTime ? renderWeeklyStudyChart(studyTime) : loadingIndicator}
+      </div>
+
+      <div className="flex justify-end">
+        {renderRangeSelect(days, RANGE_OPTIONS, 'days', setDays)}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <TrendingUp className="h-5 w-5 text-primary-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Quiz Scores</h2>
+          </div>
+          {quizTrend ? renderQuizTrendChart(quizTrend) : loadingIndicator}
+        </div>
+
+        <div className="card">
+          <div className="flex items-center mb-4">
+            <Brain className="h-5 w-5 text-accent-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Flashcard Retention</h2>
+          </div>
+          {retention ? renderRetentionChart(retention) : loadingIndicator}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Analytics;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { studyAPI } from '../api/study';
 import { 
@@ -9,10 +10,17 @@ import {
   TrendingUp, 
   CheckCircle,
   AlertCircle,
-  Plus
+  Plus,
+  Timer
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+const readinessStyles = {
+  on_track: { label: 'On track', text: 'text-accent-700', bar: 'bg-accent-500' },
+  at_risk: { label: 'At risk', text: 'text-yellow-700', bar: 'bg-yellow-500' },
+  behind: { label: 'Behind', text: 'text-red-700', bar: 'bg-red-500' }
+};
+
 const Dashboard = () => {
   const { user } = useAuth();
   const [dashboardData, setDashboardData] = useState({
@@ -38,9 +46,9 @@ const Dashboard = () => {
     }
   };
 
-  const handleMarkComplete = async (topicId) => {
+  const handleMarkComplete = async (task) => {
     try {
-      await studyAPI.markTopicComplete(topicId);
+      await studyAPI.markTopicComplete(task.id, task.studyPlanId);
       toast.success('Topic marked as complete!');
       fetchDashboardData();
     } catch (error) {
@@ -97,6 +105,9 @@ const Dashboard = () => {
               <p className="text-2xl font-bold text-gray-900">
                 {dashboardData.progress?.streak || 0} days
               </p>
+              <p className="text-xs text-gray-500">
+                Best {dashboardData.progress?.longestStreak || 0} · {dashboardData.progress?.streakFreezes || 0} freezes
+              </p>
             </div>
             <div className="h-12 w-12 bg-accent-100 rounded-full flex items-center justify-center">
               <TrendingUp className="h-6 w-6 text-accent-600" />
@@ -157,12 +168,21 @@ const Dashboard = () => {
                       </div>
                     </div>
                     {!task.completed && (
-                      <button
-                        onClick={() => handleMarkComplete(task.id)}
-                        className="text-primary-600 hover:text-primary-700 text-sm font-medium"
-                      >
-                        Mark Complete
-                      </button>
+                      <div className="flex items-center space-x-4">
+                        <Link
+                          to={`/focus?task=${task.id}`}
+                          className="flex items-center text-gray-600 hover:text-gray-900 text-sm font-medium"
+                        >
+                          <Timer className="h-4 w-4 mr-1" />
+                          Focus
+                        </Link>
+                        <button
+                          onClick={() => handleMarkComplete(task)}
+                          className="text-primary-600 hover:text-primary-700 text-sm font-medium"
+                        >
+                          Mark Complete
+                        </button>
+                      </div>
                     )}
                   </div>
                 ))}
@@ -192,6 +212,27 @@ const Dashboard = () => {
                     <p className="font-medium text-gray-900">{exam.subject}</p>
                     <p className="text-sm text-orange-600">{exam.daysLeft} days left</p>
                     <p className="text-xs text-gray-500">{exam.date}</p>
+                    {exam.readiness && (
+                      <div className="mt-2">
+                        <div className="flex items-center justify-between text-xs">
+                          <span className="text-gray-700">Readiness {exam.readiness.score}%</span>
+                          <span className={readinessStyles[exam.readiness.status]?.text}>
+                            {readinessStyles[exam.readiness.status]?.label}: {exam.readiness.projected}% by exam
+                          </span>
+                        </div>
+                        <div className="w-full bg-white rounded-full h-2 mt-1">
+                          <div
+                            className={`${readinessStyles[exam.readiness.status]?.bar} h-2 rounded-full`}
+                            style={{ width: `${exam.readiness.score}%` }}
+                          />
+                        </div>
+                        {exam.readiness.weakestTopics.length > 0 && (
+                          <p className="text-xs text-gray-600 mt-1">
+                            Weakest: {exam.readiness.weakestTopics.map(topic => topic.name).join(', ')}
+                          </p>
+                        )}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { studyAPI } from '../api/study';
 import { 
   RotateCcw, 
@@ -6,10 +6,23 @@ import {
   ChevronRight, 
   Brain, 
   Sparkles,
-  BookOpen
+  BookOpen,
+  Undo2
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+// Cloze text with every {{cN::answer::hint}} deletion revealed
+const revealCloze = (text = '') => text.replace(/\{\{c\d+::([\s\S]*?)(?:::[\s\S]*?)?\}\}/g, '$1');
+
+// Grades offered after revealing the answer, sent as review quality (0-5).
+// Keys 1-4 pick them.
+const gradeOptions = [
+  { quality: 1, label: 'Again', className: 'bg-red-100 text-red-700 hover:bg-red-200' },
+  { quality: 3, label: 'Hard', className: 'bg-yellow-100 text-yellow-700 hover:bg-yellow-200' },
+  { quality: 4, label: 'Good', className: 'bg-green-100 text-green-700 hover:bg-green-200' },
+  { quality: 5, label: 'Easy', className: 'bg-blue-100 text-blue-700 hover:bg-blue-200' }
+];
+
 const Flashcards = () => {
   const [subjects, setSubjects] = useState([]);
   const [selectedSubject, setSelectedSubject] = useState(null);
@@ -17,11 +30,27 @@ const Flashcards = () => {
   const [currentCard, setCurrentCard] = useState(0);
   const [isFlipped, setIsFlipped] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [reviewing, setReviewing] = useState(false);
+  // Reviews made this session, most recent last, so they can be undone
+  const [reviewHistory, setReviewHistory] = useState([]);
+  const shownAt = useRef(Date.now());
+  const handleKey = useRef(null);
 
   useEffect(() => {
     fetchSubjects();
   }, []);
 
+  // Response time is measured from when a card is shown
+  useEffect(() => {
+    shownAt.current = Date.now();
+  }, [currentCard, flashcards]);
+
+  useEffect(() => {
+    const onKeyDown = (event) => handleKey.current?.(event);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
   const fetchSubjects = async () => {
     try {
       const data = await studyAPI.getSubjects();
@@ -35,9 +64,11 @@ const Flashcards = () => {
     setLoading(true);
     try {
       const data = await studyAPI.getFlashcards(subjectId);
-      setFlashcards(data.flashcards || []);
+      // Buried cards have a sibling that was reviewed today
+      setFlashcards((data.flashcards || []).filter(card => !card.isBuried));
       setCurrentCard(0);
       setIsFlipped(false);
+      setReviewHistory([]);
     } catch (error) {
       toast.error('Failed to load flashcards');
     } finally {
@@ -45,14 +76,26 @@ const Flashcards = () => {
     }
   };
 
-  const generateFlashcards = async (subjectId) => {
+  const addReverseCards = async (subjectId) => {
     setLoading(true);
     try {
-      await studyAPI.generateFlashcards(subjectId);
-      toast.success('Flashcards generated successfully!');
+      const data = await studyAPI.addReverseFlashcards(subjectId);
+      toast.success(`${data.flashcardsCount} reverse cards added`);
       fetchFlashcards(subjectId);
     } catch (error) {
-      toast.error('Failed to generate flashcards');
+      toast.error(error.response?.data?.message || 'Failed to add reverse cards');
+      setLoading(false);
+    }
+  };
+
+  const generateFlashcards = async (subjectId, type) => {
+    setLoading(true);
+    try {
+      await studyAPI.generateFlashcards(subjectId, type);
+      toast.success(type === 'cloze' ? 'Cloze cards generated successfully!' : 'Flashcards generated successfully!');
+      fetchFlashcards(subjectId);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to generate flashcards');
       setLoading(false);
     }
   };
@@ -82,6 +125,76 @@ const Flashcards = () => {
     setIsFlipped(!isFlipped);
   };
 
+  // Next card after `index`, skipping siblings of cards reviewed this session
+  // (the server buries them until tomorrow)
+  const nextCardIndex = (index, history) => {
+    const reviewedNotes = new Set(history.map(entry => entry.noteId).filter(Boolean));
+    for (let i = index + 1; i < flashcards.length; i++) {
+      if (!flashcards[i].noteId || !reviewedNotes.has(flashcards[i].noteId)) return i;
+    }
+    return -1;
+  };
+
+  const gradeCard = async (quality) => {
+    const card = flashcards[currentCard];
+    if (!card || reviewing) return;
+
+    setReviewing(true);
+    try {
+      const responseTime = Math.round((Date.now() - shownAt.current) / 1000);
+      await studyAPI.reviewFlashcard(card.id, quality, responseTime);
+      const history = [...reviewHistory, { index: currentCard, cardId: card.id, noteId: card.noteId }];
+      setReviewHistory(history);
+
+      const next = nextCardIndex(currentCard, history);
+      if (next >= 0) {
+        setCurrentCard(next);
+        setIsFlipped(false);
+      } else {
+        toast.success('All cards reviewed!');
+      }
+    } catch {
+      toast.error('Failed to save review');
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  // Undo the most recent review and go back to that card to grade it again
+  const undoReview = async () => {
+    const last = reviewHistory[reviewHistory.length - 1];
+    if (!last || reviewing) return;
+
+    setReviewing(true);
+    try {
+      await studyAPI.undoFlashcardReview(last.cardId);
+      setReviewHistory(reviewHistory.slice(0, -1));
+      setCurrentCard(last.index);
+      setIsFlipped(true);
+      toast.success('Review undone');
+    } catch {
+      toast.error('Failed to undo review');
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  // Space flips, 1-4 grade a revealed card, U or Ctrl+Z undoes
+  handleKey.current = (event) => {
+    if (!selectedSubject || flashcards.length === 0) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+    if (event.key === 'u' || ((event.ctrlKey || event.metaKey) && event.key === 'z')) {
+      event.preventDefault();
+      undoReview();
+    } else if (event.key === ' ') {
+      event.preventDefault();
+      flipCard();
+    } else if (isFlipped && ['1', '2', '3', '4'].includes(event.key)) {
+      gradeCard(gradeOptions[Number(event.key) - 1].quality);
+    }
+  };
+
   return (
     <div className="space-y-8">
       {/* Header */}
@@ -169,8 +282,29 @@ const Flashcards = () => {
               {/* Progress */}
               <div className="flex items-center justify-between">
                 <h2 className="text-xl font-bold text-gray-900">{selectedSubject.name}</h2>
-                <div className="text-sm text-gray-600">
-                  {currentCard + 1} of {flashcards.length}
+                <div className="flex items-center space-x-4">
+                  {flashcards.some(card => card.type !== 'cloze') &&
+                    !flashcards.some(card => card.direction === 'reverse') && (
+                    <button
+                      onClick={() => addReverseCards(selectedSubject.id)}
+                      className="btn-secondary flex items-center text-sm"
+                    >
+                      <RotateCcw className="h-4 w-4 mr-2" />
+                      Add Reverse Cards
+                    </button>
+                  )}
+                  {!flashcards.some(card => card.type === 'cloze') && (
+                    <button
+                      onClick={() => generateFlashcards(selectedSubject.id, 'cloze')}
+                      className="btn-secondary flex items-center text-sm"
+                    >
+                      <Sparkles className="h-4 w-4 mr-2" />
+                      Add Cloze Cards
+                    </button>
+                  )}
+                  <div className="text-sm text-gray-600">
+                    {currentCard + 1} of {flashcards.length}
+                  </div>
                 </div>
               </div>
 
@@ -191,7 +325,11 @@ const Flashcards = () => {
                             <Brain className="h-6 w-6 text-primary-600" />
                           </div>
                         </div>
-                        <h3 className="text-lg font-semibold text-gray-900 mb-2">Question</h3>
+                        <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                          {flashcards[currentCard]?.type === 'cloze'
+                            ? 'Fill in the blank'
+                            : flashcards[currentCard]?.direction === 'reverse' ? 'Question (reversed)' : 'Question'}
+                        </h3>
                         <p className="text-gray-700 text-lg leading-relaxed">
                           {flashcards[currentCard]?.question}
                         </p>
@@ -211,12 +349,45 @@ const Flashcards = () => {
                         <p className="text-gray-700 text-lg leading-relaxed">
                           {flashcards[currentCard]?.answer}
                         </p>
+                        {flashcards[currentCard]?.type === 'cloze' && (
+                          <p className="text-sm text-gray-600 mt-3 max-w-lg">
+                            {revealCloze(flashcards[currentCard].clozeText)}
+                          </p>
+                        )}
                         <p className="text-sm text-gray-500 mt-4">Click to see question</p>
                       </div>
                     </div>
                   </div>
                 </div>
 
+                {/* Grading */}
+                <div className="flex justify-center items-center space-x-3 mt-6">
+                  {isFlipped ? (
+                    gradeOptions.map((option, index) => (
+                      <button
+                        key={option.quality}
+                        onClick={() => gradeCard(option.quality)}
+                        disabled={reviewing}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors duration-200 disabled:opacity-50 ${option.className}`}
+                      >
+                        {option.label}
+                        <span className="ml-2 text-xs opacity-60">{index + 1}</span>
+                      </button>
+                    ))
+                  ) : (
+                    <p className="text-sm text-gray-500">Reveal the answer to grade this card (Space)</p>
+                  )}
+                  <button
+                    onClick={undoReview}
+                    disabled={reviewHistory.length === 0 || reviewing}
+                    className="btn-secondary flex items-center text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Undo last review (U)"
+                  >
+                    <Undo2 className="h-4 w-4 mr-1" />
+                    Undo
+                  </button>
+                </div>
+
                 {/* Navigation */}
                 <div className="flex justify-between items-center mt-6">
                   <button
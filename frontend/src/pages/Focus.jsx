@@ -0,0 +1,414 @@
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { studyAPI } from '../api/study';
+import {
+  Play,
+  Pause,
+  Square,
+  SkipForward,
+  CheckCircle,
+  Coffee,
+  Timer
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Timer and settings live in localStorage so a reload picks up where it left off
+const TIMER_KEY = 'focusTimer';
+const SETTINGS_KEY = 'focusSettings';
+
+const DEFAULT_SETTINGS = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  cyclesBeforeLongBreak: 4
+};
+
+const IDLE_TIMER = {
+  task: null,
+  sessionId: null,
+  sessionStatus: null, // backend session: 'running' | 'paused' | null
+  phase: 'work', // 'work' | 'shortBreak' | 'longBreak'
+  running: false,
+  endsAt: null, // while running
+  remainingMs: null, // while stopped; null means a full phase
+  completedCycles: 0,
+  cycleFinished: false // a work block just ended: offer to mark the task complete
+};
+
+const phaseLabels = {
+  work: 'Focus',
+  shortBreak: 'Short Break',
+  longBreak: 'Long Break'
+};
+
+const loadJSON = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? { ...fallback, ...JSON.parse(value) } : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const phaseLength = (settings, phase) => {
+  const minutes = {
+    work: settings.workMinutes,
+    shortBreak: settings.shortBreakMinutes,
+    longBreak: settings.longBreakMinutes
+  }[phase];
+  return minutes * 60 * 1000;
+};
+
+const formatClock = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+// When the running work block ended: now, or when its timer ran out if that
+// was earlier (the tab was closed or asleep), so that time isn't recorded
+const workEndedAt = (state) => {
+  if (!state.running || state.phase !== 'work' || !state.endsAt) return undefined;
+  return new Date(Math.min(Date.now(), state.endsAt)).toISOString();
+};
+
+const Focus = () => {
+  const [searchParams] = useSearchParams();
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [settings, setSettings] = useState(() => loadJSON(SETTINGS_KEY, DEFAULT_SETTINGS));
+  const [timer, setTimer] = useState(() => loadJSON(TIMER_KEY, IDLE_TIMER));
+  const [now, setNow] = useState(Date.now());
+  const [busy, setBusy] = useState(false);
+  const finishingPhase = useRef(false);
+
+  const remaining = timer.running
+    ? timer.endsAt - now
+    : timer.remainingMs ?? phaseLength(settings, timer.phase);
+
+  useEffect(() => {
+    localStorage.setItem(TIMER_KEY, JSON.stringify(timer));
+  }, [timer]);
+
+  useEffect(() => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Load today's tasks and line the saved timer up with the backend session
+  useEffect(() => {
+    const initialize = async () => {
+      try {
+        const [dashboard, current] = await Promise.all([
+          studyAPI.getDashboard(),
+          studyAPI.getCurrentStudySession()
+        ]);
+        const todayTasks = (dashboard.todayTasks || []).filter(task => !task.completed);
+        setTasks(todayTasks);
+
+        const session = current.session;
+        setTimer(saved => {
+          if (saved.sessionId && (!session || session.id !== saved.sessionId)) {
+            // Session was stopped elsewhere
+            return { ...saved, sessionId: null, sessionStatus: null };
+          }
+          if (!saved.sessionId && session && session.targetType === 'task') {
+            const task = todayTasks.find(item => item.id === session.taskId);
+            if (task) {
+              return { ...IDLE_TIMER, task, sessionId: session.id, sessionStatus: session.status };
+            }
+          }
+          if (!saved.task && !saved.running) {
+            const task = todayTasks.find(item => item.id === searchParams.get('task'));
+            if (task) return { ...saved, task };
+          }
+          return saved;
+        });
+      } catch {
+        toast.error('Failed to load today\'s tasks');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    initialize();
+  }, [searchParams]);
+
+  // Backend session calls; the timer keeps going if one fails
+  const pauseSession = async (state) => {
+    if (!state.sessionId || state.sessionStatus !== 'running') return state;
+    try {
+      await studyAPI.pauseStudySession(state.sessionId, workEndedAt(state));
+      return { ...state, sessionStatus: 'paused' };
+    } catch {
+      return state;
+    }
+  };
+
+  const stopSession = async (state) => {
+    if (!state.sessionId) return null;
+    try {
+      const data = await studyAPI.stopStudySession(state.sessionId, undefined, workEndedAt(state));
+      return data.minutesRecorded;
+    } catch {
+      return null;
+    }
+  };
+
+  // When a phase runs out: work -> break (and offer to complete the task),
+  // break -> the next work block, waiting for the user to start it
+  useEffect(() => {
+    if (!timer.running || now < timer.endsAt || finishingPhase.current) return;
+
+    const finishPhase = async () => {
+      finishingPhase.current = true;
+
+      if (timer.phase === 'work') {
+        const completedCycles = timer.completedCycles + 1;
+        const phase = completedCycles % settings.cyclesBeforeLongBreak === 0 ? 'longBreak' : 'shortBreak';
+        const paused = await pauseSession(timer);
+        setTimer({
+          ...paused,
+          phase,
+          completedCycles,
+          running: true,
+          endsAt: Date.now() + phaseLength(settings, phase),
+          remainingMs: null,
+          cycleFinished: true
+        });
+        toast.success('Focus block done, time for a break!');
+      } else {
+        setTimer({ ...timer, phase: 'work', running: false, endsAt: null, remainingMs: null });
+        toast('Break over, ready for the next block?', { icon: '⏰' });
+      }
+
+      finishingPhase.current = false;
+    };
+
+    finishPhase();
+  }, [now, timer, settings]);
+
+  const handleStart = async () => {
+    if (!timer.task) return;
+    setBusy(true);
+
+    let next = { ...timer };
+    if (timer.phase === 'work') {
+      try {
+        if (!timer.sessionId) {
+          const data = await studyAPI.startStudySession({
+            targetType: 'task',
+            studyPlanId: timer.task.studyPlanId,
+            taskId: timer.task.id
+          });
+          next = { ...next, sessionId: data.session.id, sessionStatus: 'running' };
+        } else if (timer.sessionStatus === 'paused') {
+          await studyAPI.resumeStudySession(timer.sessionId);
+          next = { ...next, sessionStatus: 'running' };
+        }
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to start study session');
+        setBusy(false);
+        return;
+      }
+    }
+
+    const remainingMs = timer.remainingMs ?? phaseLength(settings, timer.phase);
+    setTimer({ ...next, running: true, endsAt: Date.now() + remainingMs, remainingMs: null, cycleFinished: false });
+    setBusy(false);
+  };
+
+  const handlePause = async () => {
+    setBusy(true);
+    const paused = await pauseSession(timer);
+    setTimer({ ...paused, running: false, endsAt: null, remainingMs: Math.max(0, timer.endsAt - Date.now()) });
+    setBusy(false);
+  };
+
+  const handleSkipBreak = () => {
+    setTimer({ ...timer, phase: 'work', running: false, endsAt: null, remainingMs: null });
+  };
+
+  const handleStop = async () => {
+    setBusy(true);
+    const minutes = await stopSession(timer);
+    if (minutes !== null) toast.success(`Logged ${minutes} minutes of study`);
+    setTimer({ ...IDLE_TIMER, task: timer.task });
+    setBusy(false);
+  };
+
+  const handleMarkComplete = async () => {
+    setBusy(true);
+    try {
+      await stopSession(timer);
+      await studyAPI.markTopicComplete(timer.task.id, timer.task.studyPlanId);
+      toast.success('Task marked as complete!');
+      setTasks(tasks.filter(task => task.id !== timer.task.id));
+      setTimer(IDLE_TIMER);
+    } catch {
+      toast.error('Failed to mark task as complete');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSelectTask = (task) => {
+    if (timer.sessionId) {
+      toast.error('Stop the current session before switching tasks');
+      return;
+    }
+    setTimer({ ...IDLE_TIMER, task });
+  };
+
+  const updateSetting = (key, value) => {
+    setSettings({ ...settings, [key]: Math.max(1, Number(value) || 1) });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  const isBreak = timer.phase !== 'work';
+  const progress = 1 - remaining / phaseLength(settings, timer.phase);
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Focus Mode</h1>
+        <p className="text-gray-600 mt-1">
+          Work through today&apos;s tasks in focused blocks with short breaks in between
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Timer */}
+        <div className="lg:col-span-2 card text-center">
+          <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium mb-4 ${
+            isBreak ? 'bg-accent-100 text-accent-800' : 'bg-primary-100 text-primary-800'
+          }`}>
+            {isBreak ? <Coffee className="h-4 w-4 mr-2" /> : <Timer className="h-4 w-4 mr-2" />}
+            {phaseLabels[timer.phase]}
+          </div>
+
+          <p className="text-7xl font-bold text-gray-900 tabular-nums">{formatClock(remaining)}</p>
+
+          <div className="w-full bg-gray-200 rounded-full h-2 my-6">
+            <div
+              className={`h-2 rounded-full ${isBreak ? 'bg-accent-500' : 'bg-primary-600'}`}
+              style={{ width: `${Math.min(100, Math.max(0, progress * 100))}%` }}
+            />
+          </div>
+
+          <p className="text-gray-700 font-medium">
+            {timer.task ? timer.task.title : 'Pick a task to focus on'}
+          </p>
+          {timer.task && (
+            <p className="text-sm text-gray-500">{timer.task.subject} • {timer.task.estimatedTime}</p>
+          )}
+          <p className="text-sm text-gray-500 mt-1">
+            {timer.completedCycles} focus {timer.completedCycles === 1 ? 'block' : 'blocks'} completed
+          </p>
+
+          <div className="flex items-center justify-center space-x-3 mt-6">
+            {timer.running ? (
+              <button onClick={handlePause} disabled={busy} className="btn-secondary flex items-center">
+                <Pause className="h-5 w-5 mr-2" />
+                Pause
+              </button>
+            ) : (
+              <button onClick={handleStart} disabled={busy || !timer.task} className="btn-primary flex items-center">
+                <Play className="h-5 w-5 mr-2" />
+                {timer.remainingMs ? 'Resume' : 'Start'}
+              </button>
+            )}
+            {isBreak && (
+              <button onClick={handleSkipBreak} disabled={busy} className="btn-secondary flex items-center">
+                <SkipForward className="h-5 w-5 mr-2" />
+                Skip Break
+              </button>
+            )}
+            {timer.sessionId && (
+              <button onClick={handleStop} disabled={busy} className="btn-secondary flex items-center">
+                <Square className="h-5 w-5 mr-2" />
+                Stop
+              </button>
+            )}
+          </div>
+
+          {timer.cycleFinished && timer.task && (
+            <div className="mt-6 p-4 bg-accent-50 rounded-lg flex items-center justify-between">
+              <p className="text-sm text-accent-800">Finished this task?</p>
+              <button onClick={handleMarkComplete} disabled={busy} className="btn-primary flex items-center text-sm">
+                <CheckCircle className="h-4 w-4 mr-2" />
+                Mark Task Complete
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-6">
+          {/* Today's tasks */}
+          <div className="card">
+            <h2 className="text-lg font-bold text-gray-900 mb-4">Today&apos;s Tasks</h2>
+            {tasks.length > 0 ? (
+              <div className="space-y-2">
+                {tasks.map(task => (
+                  <button
+                    key={task.id}
+                    onClick={() => handleSelectTask(task)}
+                    className={`w-full text-left p-3 rounded-lg ${
+                      timer.task?.id === task.id ? 'bg-primary-50 border border-primary-200' : 'bg-gray-50 hover:bg-gray-100'
+                    }`}
+                  >
+                    <p className="text-sm font-medium text-gray-900">{task.title}</p>
+                    <p className="text-xs text-gray-500">{task.subject} • {task.estimatedTime}</p>
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">No tasks left for today</p>
+            )}
+          </div>
+
+          {/* Settings */}
+          <div className="card">
+            <h2 className="text-lg font-bold text-gray-900 mb-4">Timer Settings</h2>
+            <div className="grid grid-cols-2 gap-3">
+              {[
+                { key: 'workMinutes', label: 'Focus (min)' },
+                { key: 'shortBreakMinutes', label: 'Short break (min)' },
+                { key: 'longBreakMinutes', label: 'Long break (min)' },
+                { key: 'cyclesBeforeLongBreak', label: 'Blocks per long break' }
+              ].map(({ key, label }) => (
+                <div key={key}>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="180"
+                    value={settings[key]}
+                    onChange={(e) => updateSetting(key, e.target.value)}
+                    disabled={timer.running}
+                    className="input-field text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Focus;
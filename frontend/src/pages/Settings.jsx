@@ -1,5 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../api/auth';
+import { studyAPI } from '../api/study';
 import { 
   User, 
   Bell, 
@@ -8,10 +10,19 @@ import {
   Globe,
   Mail,
   Save,
-  CheckCircle
+  CheckCircle,
+  CalendarClock,
+  Trash2,
+  Copy
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+// IANA zones the browser knows about, falling back to a short list
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const timezoneOptions = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : ['UTC', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'Europe/London', 'Europe/Berlin', 'Asia/Kolkata', 'Asia/Tokyo', 'Australia/Sydney'];
+
 const Settings = () => {
   const { user } = useAuth();
   const [activeTab, setActiveTab] = useState('profile');
@@ -28,12 +39,120 @@ const Settings = () => {
     preferences: {
       theme: 'light',
       language: 'en',
-      timezone: 'UTC'
+      timezone: user?.profile?.timezone || 'UTC'
     }
   });
 
+  const [studySchedule, setStudySchedule] = useState({
+    weeklyAvailability: {},
+    blackoutDates: [],
+    maxSessionMinutes: ''
+  });
+  const [newBlackout, setNewBlackout] = useState({ date: '', reason: '' });
+  const [calendarFeedUrl, setCalendarFeedUrl] = useState(null);
+  const [flashcardScheduler, setFlashcardScheduler] = useState(null);
+  const [optimizing, setOptimizing] = useState(false);
+
+  useEffect(() => {
+    const fetchStudySchedule = async () => {
+      try {
+        const data = await authAPI.getStudySchedule();
+        setStudySchedule({
+          weeklyAvailability: data.studySchedule.weeklyAvailability || {},
+          blackoutDates: (data.studySchedule.blackoutDates || []).map(blackout => ({
+            date: blackout.date.slice(0, 10),
+            reason: blackout.reason || ''
+          })),
+          maxSessionMinutes: data.studySchedule.maxSessionMinutes || ''
+        });
+      } catch {
+        // Defaults stay in place until the schedule is saved
+      }
+    };
+
+    const fetchCalendarFeed = async () => {
+      try {
+        const data = await studyAPI.getCalendarFeed();
+        setCalendarFeedUrl(data.feedUrl);
+      } catch {
+        // Feed section shows the "create" button instead
+      }
+    };
+
+    const fetchProfile = async () => {
+      try {
+        const data = await authAPI.getProfile();
+        setSettings(current => ({
+          ...current,
+          preferences: { ...current.preferences, timezone: data.user.profile?.timezone || 'UTC' }
+        }));
+      } catch {
+        // Keep the timezone from the stored user
+      }
+    };
+
+    const fetchFlashcardScheduler = async () => {
+      try {
+        const data = await studyAPI.getFlashcardScheduler();
+        setFlashcardScheduler(data.scheduler);
+      } catch {
+        // Scheduling section stays hidden
+      }
+    };
+
+    fetchStudySchedule();
+    fetchCalendarFeed();
+    fetchProfile();
+    fetchFlashcardScheduler();
+  }, []);
+
+  const handleCreateCalendarFeed = async () => {
+    if (calendarFeedUrl && !window.confirm('Create a new link? Calendars subscribed to the old link will stop updating.')) return;
+
+    try {
+      const data = await studyAPI.createCalendarFeed();
+      setCalendarFeedUrl(data.feedUrl);
+      toast.success('Calendar link created');
+    } catch {
+      toast.error('Failed to create calendar link');
+    }
+  };
+
+  const handleDisableCalendarFeed = async () => {
+    try {
+      await studyAPI.disableCalendarFeed();
+      setCalendarFeedUrl(null);
+      toast.success('Calendar link turned off');
+    } catch {
+      toast.error('Failed to turn off calendar link');
+    }
+  };
+
+  const handleCopyCalendarFeed = async () => {
+    try {
+      await navigator.clipboard.writeText(calendarFeedUrl);
+      toast.success('Link copied');
+    } catch {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  const handleOptimizeScheduler = async () => {
+    setOptimizing(true);
+    try {
+      const data = await studyAPI.optimizeFlashcardScheduler();
+      setFlashcardScheduler(data.scheduler);
+      toast.success(`Fitted to ${data.optimization.reviews} reviews`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to optimize scheduler');
+    } finally {
+      setOptimizing(false);
+    }
+  };
+
   const tabs = [
     { id: 'profile', name: 'Profile', icon: User },
+    { id: 'schedule', name: 'Study Schedule', icon: CalendarClock },
     { id: 'notifications', name: 'Notifications', icon: Bell },
     { id: 'preferences', name: 'Preferences', icon: Palette },
     { id: 'security', name: 'Security', icon: Shield },
@@ -42,8 +161,26 @@ const Settings = () => {
   const handleSaveSettings = async () => {
     setLoading(true);
     try {
-      // API call to save settings would go here
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate API call
+      if (activeTab === 'schedule') {
+        await authAPI.updateStudySchedule({
+          weeklyAvailability: studySchedule.weeklyAvailability,
+          blackoutDates: studySchedule.blackoutDates,
+          maxSessionMinutes: studySchedule.maxSessionMinutes ? Number(studySchedule.maxSessionMinutes) : null
+        });
+      } else if (activeTab === 'preferences') {
+        // Streaks count days in this timezone
+        await authAPI.updateProfile({ profile: { timezone: settings.preferences.timezone } });
+        if (flashcardScheduler) {
+          const data = await studyAPI.updateFlashcardScheduler({
+            algorithm: flashcardScheduler.algorithm,
+            desiredRetention: flashcardScheduler.desiredRetention
+          });
+          setFlashcardScheduler(data.scheduler);
+        }
+      } else {
+        // API call to save settings would go here
+        await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate API call
+      }
       toast.success('Settings saved successfully!');
     } catch (error) {
       toast.error('Failed to save settings');
@@ -104,6 +241,142 @@ const Settings = () => {
           </div>
         );
 
+      case 'schedule':
+        return (
+          <div className="space-y-6">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">Weekly Availability</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                Minutes you can study on each day. Study plans skip days set to 0.
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'].map((day) => (
+                  <div key={day}>
+                    <label className="block text-sm font-medium text-gray-700 mb-2 capitalize">
+                      {day}
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="1440"
+                      value={studySchedule.weeklyAvailability[day] ?? 120}
+                      onChange={(e) => setStudySchedule({
+                        ...studySchedule,
+                        weeklyAvailability: {
+                          ...studySchedule.weeklyAvailability,
+                          [day]: Number(e.target.value)
+                        }
+                      })}
+                      className="input-field"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Max Session Length (minutes)
+              </label>
+              <input
+                type="number"
+                min="15"
+                max="480"
+                value={studySchedule.maxSessionMinutes}
+                onChange={(e) => setStudySchedule({...studySchedule, maxSessionMinutes: e.target.value})}
+                className="input-field md:w-1/2"
+                placeholder="No limit"
+              />
+              <p className="text-xs text-gray-500 mt-1">Longer topics are split into several sessions</p>
+            </div>
+
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">Blackout Dates</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                Holidays, other exams or any day you cannot study.
+              </p>
+              <div className="space-y-2 mb-4">
+                {studySchedule.blackoutDates.map((blackout, index) => (
+                  <div key={`${blackout.date}-${index}`} className="flex items-center justify-between py-2 border-b border-gray-200">
+                    <div>
+                      <p className="font-medium text-gray-900">{new Date(`${blackout.date}T00:00:00`).toLocaleDateString()}</p>
+                      {blackout.reason && <p className="text-sm text-gray-500">{blackout.reason}</p>}
+                    </div>
+                    <button
+                      onClick={() => setStudySchedule({
+                        ...studySchedule,
+                        blackoutDates: studySchedule.blackoutDates.filter((_, i) => i !== index)
+                      })}
+                      title="Remove"
+                    >
+                      <Trash2 className="h-4 w-4 text-red-500" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="flex space-x-2">
+                <input
+                  type="date"
+                  value={newBlackout.date}
+                  onChange={(e) => setNewBlackout({...newBlackout, date: e.target.value})}
+                  className="input-field"
+                />
+                <input
+                  type="text"
+                  value={newBlackout.reason}
+                  onChange={(e) => setNewBlackout({...newBlackout, reason: e.target.value})}
+                  className="input-field"
+                  placeholder="Reason (optional)"
+                />
+                <button
+                  onClick={() => {
+                    if (!newBlackout.date) return;
+                    setStudySchedule({
+                      ...studySchedule,
+                      blackoutDates: [...studySchedule.blackoutDates, newBlackout]
+                        .sort((a, b) => a.date.localeCompare(b.date))
+                    });
+                    setNewBlackout({ date: '', reason: '' });
+                  }}
+                  className="btn-secondary"
+                >
+                  Add
+                </button>
+              </div>
+            </div>
+
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">Calendar Subscription</h3>
+              <p className="text-sm text-gray-500 mb-4">
+                Add your study tasks and exam dates to Google Calendar, Outlook or Apple Calendar
+                by subscribing to this link. Anyone with the link can see your schedule.
+              </p>
+              {calendarFeedUrl ? (
+                <div className="space-y-2">
+                  <div className="flex space-x-2">
+                    <input type="text" readOnly value={calendarFeedUrl} className="input-field text-sm" />
+                    <button onClick={handleCopyCalendarFeed} className="btn-secondary flex items-center" title="Copy link">
+                      <Copy className="h-4 w-4" />
+                    </button>
+                  </div>
+                  <div className="flex space-x-2">
+                    <button onClick={handleCreateCalendarFeed} className="btn-secondary text-sm">
+                      New Link
+                    </button>
+                    <button onClick={handleDisableCalendarFeed} className="btn-secondary text-sm text-red-600">
+                      Turn Off
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <button onClick={handleCreateCalendarFeed} className="btn-secondary">
+                  Create Calendar Link
+                </button>
+              )}
+            </div>
+          </div>
+        );
+
       case 'notifications':
         return (
           <div className="space-y-6">
@@ -199,14 +472,101 @@ const Settings = () => {
                     })}
                     className="input-field"
                   >
-                    <option value="UTC">UTC</option>
-                    <option value="EST">Eastern Time</option>
-                    <option value="PST">Pacific Time</option>
-                    <option value="CET">Central European Time</option>
+                    {!timezoneOptions.includes(settings.preferences.timezone) && (
+                      <option value={settings.preferences.timezone}>{settings.preferences.timezone}</option>
+                    )}
+                    {timezoneOptions.map(timezone => (
+                      <option key={timezone} value={timezone}>
+                        {timezone}{timezone === browserTimezone ? ' (this device)' : ''}
+                      </option>
+                    ))}
                   </select>
+                  {settings.preferences.timezone !== browserTimezone && (
+                    <button
+                      type="button"
+                      onClick={() => setSettings({
+                        ...settings,
+                        preferences: {...settings.preferences, timezone: browserTimezone}
+                      })}
+                      className="text-sm text-primary-600 hover:text-primary-700 mt-2"
+                    >
+                      Use this device&apos;s timezone ({browserTimezone})
+                    </button>
+                  )}
+                  <p className="text-xs text-gray-500 mt-1">
+                    Study streaks count days in this timezone.
+                  </p>
                 </div>
               </div>
             </div>
+
+            {flashcardScheduler && (
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Flashcard Scheduling</h3>
+                <div className="space-y-6">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Algorithm
+                    </label>
+                    <select
+                      value={flashcardScheduler.algorithm}
+                      onChange={(e) => setFlashcardScheduler({...flashcardScheduler, algorithm: e.target.value})}
+                      className="input-field"
+                    >
+                      <option value="sm2">SM-2 (classic)</option>
+                      <option value="fsrs">FSRS</option>
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Switching keeps each card&apos;s next review date.
+                    </p>
+                  </div>
+
+                  {flashcardScheduler.algorithm === 'fsrs' && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Desired retention: {Math.round(flashcardScheduler.desiredRetention * 100)}%
+                        </label>
+                        <input
+                          type="range"
+                          min="0.7"
+                          max="0.97"
+                          step="0.01"
+                          value={flashcardScheduler.desiredRetention}
+                          onChange={(e) => setFlashcardScheduler({
+                            ...flashcardScheduler,
+                            desiredRetention: Number(e.target.value)
+                          })}
+                          className="w-full"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                          Higher retention means more frequent reviews.
+                        </p>
+                      </div>
+
+                      <div className="flex items-center justify-between border border-gray-200 rounded-lg p-4">
+                        <div>
+                          <p className="font-medium text-gray-900">Optimize for my reviews</p>
+                          <p className="text-sm text-gray-500">
+                            {flashcardScheduler.optimized
+                              ? `Fitted to ${flashcardScheduler.optimizedReviews} reviews on ${new Date(flashcardScheduler.optimizedAt).toLocaleDateString()}`
+                              : 'Using default parameters'}
+                          </p>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={handleOptimizeScheduler}
+                          disabled={optimizing}
+                          className="btn-secondary text-sm"
+                        >
+                          {optimizing ? 'Optimizing...' : 'Optimize'}
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
           </div>
         );
 
@@ -1,5 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { studyAPI } from '../api/study';
+import TopicEditor from '../components/TopicEditor';
+import StudyPlanVersions from '../components/StudyPlanVersions';
+import TopicMastery from '../components/TopicMastery';
 import { 
   Plus, 
   Calendar, 
@@ -8,7 +11,9 @@ import {
   Upload, 
   FileText,
   Sparkles,
-  Target
+  Target,
+  ListTree,
+  History
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -23,6 +28,10 @@ const StudyPlans = () => {
     examDate: '',
     description: ''
   });
+  const [syllabusFile, setSyllabusFile] = useState(null);
+  const [editingSubject, setEditingSubject] = useState(null);
+  const [versionsSubject, setVersionsSubject] = useState(null);
+  const [masterySubject, setMasterySubject] = useState(null);
 
   useEffect(() => {
     fetchSubjects();
@@ -53,13 +62,23 @@ const StudyPlans = () => {
     setLoading(true);
 
     try {
-      await studyAPI.uploadSyllabus(formData);
+      if (syllabusFile) {
+        const data = new FormData();
+        Object.entries(formData).forEach(([key, value]) => {
+          if (value) data.append(key, value);
+        });
+        data.append('syllabusFile', syllabusFile);
+        await studyAPI.uploadSyllabusFile(data);
+      } else {
+        await studyAPI.uploadSyllabus(formData);
+      }
       toast.success('Subject added successfully!');
       setFormData({ name: '', syllabus: '', examDate: '', description: '' });
+      setSyllabusFile(null);
       setShowAddSubject(false);
       fetchSubjects();
     } catch (error) {
-      toast.error('Failed to add subject');
+      toast.error(error.response?.data?.message || 'Failed to add subject');
     } finally {
       setLoading(false);
     }
@@ -68,11 +87,12 @@ const StudyPlans = () => {
   const handleGenerateStudyPlan = async (subjectId) => {
     setLoading(true);
     try {
-      await studyAPI.generateStudyPlan(subjectId);
+      const data = await studyAPI.generateStudyPlan(subjectId);
       toast.success('Study plan generated successfully!');
+      data.warnings?.forEach(warning => toast(warning, { icon: '⚠️' }));
       fetchStudyPlan();
     } catch (error) {
-      toast.error('Failed to generate study plan');
+      toast.error(error.response?.data?.message || 'Failed to generate study plan');
     } finally {
       setLoading(false);
     }
@@ -135,12 +155,26 @@ const StudyPlans = () => {
                   Syllabus Content
                 </label>
                 <textarea
-                  required
+                  required={!syllabusFile}
+                  disabled={!!syllabusFile}
                   value={formData.syllabus}
                   onChange={(e) => setFormData({...formData, syllabus: e.target.value})}
                   className="input-field h-32"
-                  placeholder="Enter syllabus topics, chapters, or upload content..."
+                  placeholder={syllabusFile ? 'Syllabus will be read from the uploaded file' : 'Enter syllabus topics, chapters, or upload content...'}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Or Upload Syllabus File
+                </label>
+                <input
+                  type="file"
+                  accept=".pdf,.docx,.md,.markdown,.txt"
+                  onChange={(e) => setSyllabusFile(e.target.files[0] || null)}
+                  className="block w-full text-sm text-gray-600 file:mr-3 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-primary-50 file:text-primary-700 hover:file:bg-primary-100"
                 />
+                <p className="text-xs text-gray-500 mt-1">PDF, DOCX, Markdown or plain text, up to 10MB</p>
               </div>
               
               <div>
@@ -176,6 +210,30 @@ const StudyPlans = () => {
         </div>
       )}
 
+      {/* Topic Editor Modal */}
+      {editingSubject && (
+        <TopicEditor
+          subject={editingSubject}
+          onClose={() => setEditingSubject(null)}
+          onChange={fetchSubjects}
+        />
+      )}
+
+      {versionsSubject && (
+        <StudyPlanVersions
+          subject={versionsSubject}
+          onClose={() => setVersionsSubject(null)}
+          onChange={fetchStudyPlan}
+        />
+      )}
+
+      {masterySubject && (
+        <TopicMastery
+          subject={masterySubject}
+          onClose={() => setMasterySubject(null)}
+        />
+      )}
+
       {/* Subjects Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {subjects.map((subject) => (
@@ -207,7 +265,28 @@ const StudyPlans = () => {
               </div>
             </div>
             
-            <div className="mt-4 pt-4 border-t border-gray-200">
+            <div className="mt-4 pt-4 border-t border-gray-200 space-y-2">
+              <button
+                onClick={() => setEditingSubject(subject)}
+                className="btn-secondary w-full flex items-center justify-center text-sm"
+              >
+                <ListTree className="h-4 w-4 mr-2" />
+                Edit Topics
+              </button>
+              <button
+                onClick={() => setVersionsSubject(subject)}
+                className="btn-secondary w-full flex items-center justify-center text-sm"
+              >
+                <History className="h-4 w-4 mr-2" />
+                Plan Versions
+              </button>
+              <button
+                onClick={() => setMasterySubject(subject)}
+                className="btn-secondary w-full flex items-center justify-center text-sm"
+              >
+                <Target className="h-4 w-4 mr-2" />
+                Topic Mastery
+              </button>
               <button
                 onClick={() => handleGenerateStudyPlan(subject.id)}
                 disabled={loading}
@@ -237,7 +316,7 @@ const StudyPlans = () => {
               <div key={index} className="p-4 bg-gray-50 rounded-lg">
                 <div className="flex items-center justify-between mb-2">
                   <span className="text-sm font-medium text-gray-900">
-                    Day {index + 1}
+                    Day {task.day || index + 1}
                   </span>
                   <span className={`text-xs px-2 py-1 rounded-full ${
                     task.completed 